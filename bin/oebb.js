@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+
+/**
+ * oebb command line tool, see `oebb --help`
+ */
+
+import { main } from '../lib/cli.js';
+
+main(process.argv.slice(2))
+    .then(code => {
+        process.exitCode = code;
+    });
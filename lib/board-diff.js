@@ -0,0 +1,74 @@
+/**
+ * Comparison of successive station boards
+ *
+ * Entries are matched by their journey ID (by name and scheduled time if the
+ * board sent none), so a board polled again can be reduced to what changed.
+ */
+
+/**
+ * Key identifying a board entry across requests
+ * @param {BoardEntry} entry - Board entry
+ * @returns {string}
+ */
+export function boardEntryKey(entry) {
+    if (entry.id) {
+        return entry.id;
+    }
+    return `${entry.name}|${entry.scheduledTime ? entry.scheduledTime.getTime() : ''}`;
+}
+
+/**
+ * What changed about an entry since it was last seen
+ * @param {BoardEntry|null} previous - Entry from the earlier board, null to compare with the schedule
+ * @param {BoardEntry} entry - Entry from the current board
+ * @returns {{delay: boolean, platform: boolean, canceled: boolean}} - `delay` if the delay differs,
+ *   `platform` if the platform differs (or was changed against the schedule without an earlier
+ *   entry), `canceled` if the entry is canceled now and was not before
+ */
+export function entryChanges(previous, entry) {
+    if (!previous) {
+        return {
+            delay: entry.delayMinutes !== 0,
+            platform: entry.platformChanged,
+            canceled: entry.isCanceled
+        };
+    }
+    return {
+        delay: entry.delayMinutes !== previous.delayMinutes,
+        platform: entry.platform !== previous.platform ||
+            (entry.platformChanged && !previous.platformChanged),
+        canceled: entry.isCanceled && !previous.isCanceled
+    };
+}
+
+/**
+ * Compare two versions of a station board
+ * @param {Array<BoardEntry>} previous - Earlier board
+ * @param {Array<BoardEntry>} current - Current board
+ * @returns {{added: Array<BoardEntry>, removed: Array<BoardEntry>, changed: Array<Object>}} -
+ *   `changed` holds `{ entry, previous, changes }` with `changes` as returned by entryChanges
+ */
+export function diffBoards(previous, current) {
+    const before = new Map(previous.map(entry => [boardEntryKey(entry), entry]));
+    const keys = new Set();
+    const added = [];
+    const changed = [];
+
+    current.forEach(entry => {
+        const key = boardEntryKey(entry);
+        keys.add(key);
+        const old = before.get(key);
+        if (!old) {
+            added.push(entry);
+            return;
+        }
+        const changes = entryChanges(old, entry);
+        if (changes.delay || changes.platform || changes.canceled) {
+            changed.push({ entry, previous: old, changes });
+        }
+    });
+
+    const removed = previous.filter(entry => !keys.has(boardEntryKey(entry)));
+
+    return { added, removed, changed };
+}
@@ -0,0 +1,224 @@
+/**
+ * Normalized station board entries
+ *
+ * The SCOTTY station board returns journeys with short HAFAS keys
+ * (`ti`, `da`, `pr`, `tr`, `trChg`, `rt.dlm`, ...). The classes in this
+ * module turn them into readable objects with real dates and numbers.
+ */
+
+import { productClass } from './products.js';
+import { fromVienna, viennaParts } from './time.js';
+
+// A time more than this far before its reference belongs to the next day
+const ROLLOVER_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * Cancellation state of a board entry
+ * @readonly
+ * @enum {string}
+ */
+export const CancellationStatus = Object.freeze({
+    NONE: 'none',
+    PARTIAL: 'partial',
+    CANCELED: 'canceled'
+});
+
+/**
+ * Common fields of departures and arrivals
+ */
+export class BoardEntry {
+    /**
+     * @param {Object} raw - Raw journey entry from the station board
+     * @param {string} boardType - "dep" or "arr"
+     * @param {string} [stationId] - Station whose board the entry is from
+     */
+    constructor(raw, boardType, stationId) {
+        const rt = raw.rt || {};
+        const name = (raw.pr || '').trim();
+        const { category, number } = splitProductName(name);
+
+        this.id = raw.id || '';
+        this.boardType = boardType;
+        this.stationId = stationId ? String(stationId) : '';
+        this.name = name;
+        this.category = category;
+        this.number = number;
+        this.productClass = productClass(category);
+        this.scheduledTime = parseBoardDateTime(raw.da, raw.ti);
+        this.expectedTime = parseExpectedTime(raw, rt, this.scheduledTime);
+        this.delayMinutes = parseDelay(rt, this.scheduledTime, this.expectedTime);
+        this.platform = raw.tr || '';
+        this.platformChanged = raw.trChg === true || raw.trChg === 'true';
+        this.cancellation = parseCancellation(rt.status);
+        this.status = rt.status || null;
+
+        // Keep the original entry reachable without bloating JSON output
+        Object.defineProperty(this, 'raw', { value: raw, enumerable: false });
+    }
+
+    /**
+     * @returns {boolean} - True if the entry runs late
+     */
+    get isDelayed() {
+        return this.delayMinutes > 0;
+    }
+
+    /**
+     * @returns {boolean} - True if the entry is fully canceled
+     */
+    get isCanceled() {
+        return this.cancellation === CancellationStatus.CANCELED;
+    }
+
+    /**
+     * Check whether this entry belongs to the given train
+     * @param {string} trainName - Train name/number (e.g., "RJ 840")
+     * @returns {boolean}
+     */
+    matches(trainName) {
+        if (!this.name || !trainName) {
+            return false;
+        }
+
+        const name = this.name.toLowerCase();
+        const search = trainName.toLowerCase();
+
+        return name.replace(/\s+/g, '') === search.replace(/\s+/g, '') ||
+               name.includes(search);
+    }
+}
+
+/**
+ * A train leaving the station
+ */
+export class Departure extends BoardEntry {
+    /**
+     * @param {Object} raw - Raw journey entry from the departure board
+     * @param {string} [stationId] - Station whose board the entry is from
+     */
+    constructor(raw, stationId) {
+        super(raw, 'dep', stationId);
+        this.origin = '';
+        this.destination = raw.lastStop || raw.st || '';
+        // `ati` is earlier than `ti` when the train reaches its destination after midnight
+        this.destinationArrivalTime = parseBoardDateTime(raw.da, raw.ati, this.scheduledTime);
+    }
+}
+
+/**
+ * A train arriving at the station. `ti`/`da` hold the arrival time and
+ * `st` names the station the train is coming from.
+ */
+export class Arrival extends BoardEntry {
+    /**
+     * @param {Object} raw - Raw journey entry from the arrival board
+     * @param {string} [stationId] - Station whose board the entry is from
+     */
+    constructor(raw, stationId) {
+        super(raw, 'arr', stationId);
+        this.origin = raw.st || '';
+        this.destination = '';
+    }
+}
+
+/**
+ * Create the model object for a raw board entry
+ * @param {Object} raw - Raw journey entry from the station board
+ * @param {string} boardType - "dep" or "arr"
+ * @param {string} [stationId] - Station whose board the entry is from
+ * @returns {Departure|Arrival}
+ */
+export function createBoardEntry(raw, boardType, stationId) {
+    return boardType === 'arr' ? new Arrival(raw, stationId) : new Departure(raw, stationId);
+}
+
+/**
+ * Split a product name into category and line number
+ * @param {string} name - Product name (e.g., "RJ 373", "S7")
+ * @returns {{category: string, number: string}}
+ */
+export function splitProductName(name) {
+    const match = (name || '').trim().match(/^([^\s\d]+)\s*(.*)$/);
+    if (!match) {
+        return { category: '', number: (name || '').trim() };
+    }
+    return { category: match[1], number: match[2] };
+}
+
+/**
+ * Parse the "dd.mm.yyyy" and "HH:MM" pair used by the station board as
+ * Vienna time
+ * @param {string} date - Date string
+ * @param {string} time - Time string
+ * @param {Date|null} [reference] - Earlier time of the same journey; a result more than
+ *   12 hours before it is moved to the next day
+ * @returns {Date|null}
+ */
+export function parseBoardDateTime(date, time, reference = null) {
+    const dateMatch = (date || '').match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+    const timeMatch = (time || '').match(/^(\d{1,2}):(\d{2})$/);
+    if (!dateMatch || !timeMatch) {
+        return null;
+    }
+
+    const year = parseInt(dateMatch[3]);
+    const month = parseInt(dateMatch[2]);
+    const day = parseInt(dateMatch[1]);
+    const hour = parseInt(timeMatch[1]);
+    const minute = parseInt(timeMatch[2]);
+
+    const result = fromVienna(year, month, day, hour, minute);
+    if (reference && reference - result > ROLLOVER_MS) {
+        return fromVienna(year, month, day + 1, hour, minute);
+    }
+    return result;
+}
+
+/**
+ * Format a date the way the station board does ("dd.mm.yyyy HH:MM", Vienna time)
+ * @param {Date|null} date - Date to format
+ * @returns {string}
+ */
+export function formatBoardDateTime(date) {
+    if (!date) {
+        return '';
+    }
+    const parts = viennaParts(date);
+    const pad = value => value.toString().padStart(2, '0');
+    return `${pad(parts.day)}.${pad(parts.month)}.${parts.year} ` +
+           `${pad(parts.hour)}:${pad(parts.minute)}`;
+}
+
+function parseExpectedTime(raw, rt, scheduledTime) {
+    if (rt.dlt) {
+        // Without `dld` a delayed time past midnight is on the next day
+        return parseBoardDateTime(rt.dld || raw.da, rt.dlt, rt.dld ? null : scheduledTime);
+    }
+    // Some entries only carry the delay in minutes
+    const minutes = parseInt(rt.dlm);
+    if (scheduledTime && !isNaN(minutes)) {
+        return new Date(scheduledTime.getTime() + minutes * 60000);
+    }
+    return scheduledTime;
+}
+
+function parseDelay(rt, scheduledTime, expectedTime) {
+    const minutes = parseInt(rt.dlm);
+    if (!isNaN(minutes)) {
+        return minutes;
+    }
+    if (scheduledTime && expectedTime) {
+        return Math.round((expectedTime - scheduledTime) / 60000);
+    }
+    return 0;
+}
+
+function parseCancellation(status) {
+    if (status === 'Ausfall') {
+        return CancellationStatus.CANCELED;
+    }
+    if (status === 'Teilausfall') {
+        return CancellationStatus.PARTIAL;
+    }
+    return CancellationStatus.NONE;
+}
@@ -0,0 +1,162 @@
+/**
+ * Live station boards shared by many subscribers
+ *
+ * A BoardFeed polls one station board for all its subscribers. A new
+ * subscriber gets the current board as a snapshot, after that every
+ * subscriber receives the same incremental diffs. Polling starts with the
+ * first subscriber and stops when the last one leaves.
+ */
+
+import { diffBoards } from './board-diff.js';
+import { silentLogger } from './logger.js';
+
+export const DEFAULT_FEED_INTERVAL = 30 * 1000;
+
+/**
+ * Types of feed events
+ * @readonly
+ * @enum {string}
+ */
+export const FeedEventType = Object.freeze({
+    SNAPSHOT: 'snapshot',
+    DIFF: 'diff',
+    ERROR: 'error'
+});
+
+export class BoardFeed {
+    /**
+     * @param {Function} load - Loads the current board, `() => Promise<Array<BoardEntry>>`
+     * @param {Object} [options]
+     * @param {number} [options.interval] - Time between polls in milliseconds (default: 30 s)
+     * @param {string} [options.stationId] - Station of the board, included in the events
+     * @param {string} [options.boardType] - "dep" or "arr", included in the events
+     * @param {Function} [options.onIdle] - Called when the last subscriber left
+     * @param {Object} [options.logger] - Logger for failed polls
+     */
+    constructor(load, options = {}) {
+        this.load = load;
+        this.interval = options.interval || DEFAULT_FEED_INTERVAL;
+        this.stationId = options.stationId || '';
+        this.boardType = options.boardType || 'dep';
+        this.onIdle = options.onIdle || null;
+        this.logger = options.logger || silentLogger;
+        this.listeners = new Set();
+        this.entries = null;
+        this.timer = null;
+        this.polling = false;
+    }
+
+    /**
+     * Receive the events of the feed. The first event is a snapshot of the
+     * board, `{ type: "snapshot", stationId, boardType, time, entries }`; diffs
+     * follow with `added`, `removed`, `delayUpdated`, `platformChanged` and
+     * `canceled` entries instead of `entries`, failed polls with `error`.
+     * @param {Function} listener - Called with each event
+     * @returns {Function} - Unsubscribes the listener again
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        if (this.entries) {
+            listener(this._event(FeedEventType.SNAPSHOT, { entries: this.entries }));
+        } else if (!this.polling) {
+            this._poll();
+        }
+        return () => this._unsubscribe(listener);
+    }
+
+    /**
+     * @returns {number} - Number of subscribers
+     */
+    get size() {
+        return this.listeners.size;
+    }
+
+    /**
+     * Stop polling and drop all subscribers
+     */
+    close() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.listeners.clear();
+        this.entries = null;
+    }
+
+    /**
+     * Close the feed and call `onIdle` if nobody is subscribed, e.g. when the
+     * client that asked for it left before subscribing
+     */
+    releaseIfIdle() {
+        if (this.listeners.size > 0) {
+            return;
+        }
+        this.close();
+        if (this.onIdle) {
+            this.onIdle(this);
+        }
+    }
+
+    _unsubscribe(listener) {
+        if (this.listeners.delete(listener)) {
+            this.releaseIfIdle();
+        }
+    }
+
+    _poll() {
+        this.polling = true;
+        this.load()
+            .then(entries => {
+                if (this.listeners.size === 0) {
+                    return;
+                }
+                if (!this.entries) {
+                    this.entries = entries;
+                    this._publish(this._event(FeedEventType.SNAPSHOT, { entries }));
+                    return;
+                }
+                const diff = this._diff(entries);
+                this.entries = entries;
+                if (diff) {
+                    this._publish(diff);
+                }
+            })
+            .catch(error => {
+                this.logger.warn('Board feed poll failed', { error: error.message });
+                this._publish(this._event(FeedEventType.ERROR, { error }));
+            })
+            .then(() => {
+                this.polling = false;
+                if (this.listeners.size > 0) {
+                    this.timer = setTimeout(() => this._poll(), this.interval);
+                }
+            });
+    }
+
+    /**
+     * Diff event between the last board and a new one
+     * @param {Array<BoardEntry>} entries - New board
+     * @returns {Object|null} - Null if nothing changed
+     */
+    _diff(entries) {
+        const { added, removed, changed } = diffBoards(this.entries, entries);
+        const updated = type => changed
+            .filter(change => change.changes[type])
+            .map(change => change.entry);
+
+        const event = this._event(FeedEventType.DIFF, {
+            added,
+            removed,
+            delayUpdated: updated('delay'),
+            platformChanged: updated('platform'),
+            canceled: updated('canceled')
+        });
+        return added.length + removed.length + changed.length > 0 ? event : null;
+    }
+
+    _event(type, fields) {
+        return { type, stationId: this.stationId, boardType: this.boardType, time: new Date(), ...fields };
+    }
+
+    _publish(event) {
+        Array.from(this.listeners).forEach(listener => listener(event));
+    }
+}
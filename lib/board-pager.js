@@ -0,0 +1,170 @@
+/**
+ * Station boards over a time window
+ *
+ * The station board returns a limited number of entries from one point in
+ * time on. BoardPager requests page after page, each starting at the last
+ * entry of the previous one, drops the entries seen twice and hands them out
+ * as an async iterator, so only one page is held in memory at a time.
+ *
+ * A full page whose entries all leave in the minute it starts at cannot be
+ * continued from a later time without skipping the rest of that minute, so
+ * it is requested again with twice the page size, up to MAX_PAGE_SIZE.
+ * Entries beyond that in a single minute are skipped and `truncated` is set.
+ */
+
+import { boardEntryKey } from './board-diff.js';
+
+// Cursor step when a page does not get past its own start time
+const MIN_STEP_MS = 60 * 1000;
+
+// Largest page requested for a minute with more entries than a page holds
+export const MAX_PAGE_SIZE = 800;
+
+const DEFAULT_PAGE_SIZE = 50;
+
+export class BoardPager {
+    /**
+     * @param {Function} load - Loads the page starting at a date with at most `pageSize` entries,
+     *   `(date, pageSize) => Promise<Array<BoardEntry>>`
+     * @param {Object} options
+     * @param {Date} options.from - Start of the window
+     * @param {Date} options.to - End of the window
+     * @param {number} [options.pageSize] - Entries per page (default: 50)
+     * @param {Function} [options.filter] - Filters the new entries of a page,
+     *   `(entries) => Promise<Array<BoardEntry>>`
+     */
+    constructor(load, options) {
+        this.load = load;
+        this.from = options.from;
+        this.to = options.to;
+        this.filter = options.filter || (entries => Promise.resolve(entries));
+        this.pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+        this.cursor = options.from;
+        this.done = this.to < this.from;
+        // Set once entries of a crowded minute had to be skipped
+        this.truncated = false;
+        this.closed = false;
+        this.buffer = [];
+        // Keys of entries at or after the cursor, which the next page returns again
+        this.seen = new Map();
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * @returns {BoardPager} - This pager, for `for await`
+     */
+    [Symbol.asyncIterator]() {
+        return this;
+    }
+
+    /**
+     * Get the next entry, loading pages as needed
+     * @returns {Promise<{value: BoardEntry, done: boolean}>}
+     */
+    next() {
+        const result = this.queue.then(() => this._next());
+        // A failed page must not block later calls
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Stop paging (called by `for await` on `break`)
+     * @returns {Promise<{value: undefined, done: boolean}>}
+     */
+    return() {
+        this.closed = true;
+        this.buffer = [];
+        return Promise.resolve({ value: undefined, done: true });
+    }
+
+    /**
+     * Collect all entries of the window
+     * @returns {Promise<Array<BoardEntry>>}
+     */
+    toArray() {
+        const entries = [];
+        const step = () => this.next()
+            .then(result => {
+                if (result.done) {
+                    return entries;
+                }
+                entries.push(result.value);
+                return step();
+            });
+        return step();
+    }
+
+    _next() {
+        if (this.closed) {
+            return Promise.resolve({ value: undefined, done: true });
+        }
+        if (this.buffer.length > 0) {
+            return Promise.resolve({ value: this.buffer.shift(), done: false });
+        }
+        if (this.done) {
+            return Promise.resolve({ value: undefined, done: true });
+        }
+        return this._loadPage()
+            .then(() => this._next());
+    }
+
+    _loadPage() {
+        const cursor = this.cursor;
+        return this._loadEntries(cursor)
+            .then(entries => {
+                if (entries.length === 0) {
+                    this.done = true;
+                    return [];
+                }
+
+                const fresh = entries.filter(entry => {
+                    const time = entry.scheduledTime;
+                    return time && time >= this.from && time <= this.to && !this.seen.has(boardEntryKey(entry));
+                });
+
+                const last = lastTime(entries);
+                this.cursor = new Date(last > cursor.getTime() ? last : cursor.getTime() + MIN_STEP_MS);
+                this.done = this.done || last > this.to.getTime();
+
+                fresh.forEach(entry => this.seen.set(boardEntryKey(entry), entry.scheduledTime));
+                this.seen.forEach((time, key) => {
+                    if (time < this.cursor) {
+                        this.seen.delete(key);
+                    }
+                });
+
+                return this.filter(fresh);
+            })
+            .then(entries => {
+                if (!this.closed) {
+                    this.buffer.push(...entries);
+                }
+            });
+    }
+
+    /**
+     * Load the page at a date, growing the page size while a full page does not get past it
+     * @param {Date} cursor - Start of the page
+     * @returns {Promise<Array<BoardEntry>>}
+     */
+    _loadEntries(cursor) {
+        const pageSize = this.pageSize;
+        return this.load(cursor, pageSize)
+            .then(entries => {
+                if (entries.length < pageSize || lastTime(entries) > cursor.getTime()) {
+                    return entries;
+                }
+                if (pageSize >= MAX_PAGE_SIZE) {
+                    this.truncated = true;
+                    return entries;
+                }
+                this.pageSize = Math.min(pageSize * 2, MAX_PAGE_SIZE);
+                return this._loadEntries(cursor);
+            });
+    }
+}
+
+function lastTime(entries) {
+    return Math.max(...entries.map(entry => entry.scheduledTime || 0));
+}
@@ -0,0 +1,257 @@
+/**
+ * Response caching with pluggable stores
+ *
+ * A store keeps entries of the form `{ value, expires }` under string keys.
+ * Its methods may return plain values or promises:
+ * - get(key) → entry or undefined
+ * - set(key, entry)
+ * - delete(key)
+ * - clear()
+ *
+ * Cached values are plain JSON data (parsed upstream responses), so every
+ * store can persist them.
+ */
+
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export const DEFAULT_TTL = Object.freeze({
+    stations: 24 * 60 * 60 * 1000,
+    board: 15 * 1000,
+    connections: 60 * 1000,
+    trip: 30 * 1000
+});
+
+/**
+ * In-memory store evicting the least recently used entries
+ */
+export class MemoryStore {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxEntries] - Maximum number of entries (default: 500)
+     */
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 500;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (entry !== undefined) {
+            // Move to the end to mark it as recently used
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+        }
+        return entry;
+    }
+
+    set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+/**
+ * Store keeping one JSON file per entry in a directory
+ */
+export class FileStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.directory - Directory for the cache files (created on demand)
+     */
+    constructor(options = {}) {
+        if (!options.directory) {
+            throw new Error('FileStore requires a directory');
+        }
+        this.directory = options.directory;
+    }
+
+    get(key) {
+        return fs.readFile(this._file(key), 'utf8')
+            .then(content => {
+                const stored = JSON.parse(content);
+                return stored.key === key ? { value: stored.value, expires: stored.expires } : undefined;
+            })
+            .catch(() => undefined);
+    }
+
+    set(key, entry) {
+        const file = this._file(key);
+        const temp = `${file}.${process.pid}.tmp`;
+        return fs.mkdir(this.directory, { recursive: true })
+            .then(() => fs.writeFile(temp, JSON.stringify({ key, ...entry })))
+            .then(() => fs.rename(temp, file));
+    }
+
+    delete(key) {
+        return fs.rm(this._file(key), { force: true });
+    }
+
+    clear() {
+        return fs.readdir(this.directory)
+            .then(files => Promise.all(files
+                .filter(file => file.endsWith('.json'))
+                .map(file => fs.rm(path.join(this.directory, file), { force: true }))))
+            .catch(error => {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            });
+    }
+
+    _file(key) {
+        const hash = createHash('sha1').update(key).digest('hex');
+        return path.join(this.directory, `${hash}.json`);
+    }
+}
+
+/**
+ * Cache with per-operation TTLs, hit statistics and sharing of concurrent
+ * identical requests
+ */
+export class ResponseCache {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.store] - Store implementation (default: MemoryStore)
+     * @param {number} [options.maxEntries] - Size of the default MemoryStore
+     * @param {Object<string, number>} [options.ttl] - TTL in milliseconds per operation; 0 disables caching
+     */
+    constructor(options = {}) {
+        this.store = options.store || new MemoryStore({ maxEntries: options.maxEntries });
+        this.ttl = { ...DEFAULT_TTL, ...options.ttl };
+        this.inflight = new Map();
+        this.counters = {};
+    }
+
+    /**
+     * Get a value from the cache or load it
+     * @param {string} operation - Operation name, selects the TTL
+     * @param {Object} params - Parameters identifying the request
+     * @param {Function} loader - `() => Promise` fetching the value
+     * @param {Object} [options]
+     * @param {boolean} [options.bypass] - Skip the cache lookup, but store the fresh value
+     * @returns {Promise<*>}
+     */
+    get(operation, params, loader, options = {}) {
+        const key = `${operation}:${JSON.stringify(params)}`;
+        const ttl = this.ttl[operation] || 0;
+        const counters = this._counters(operation);
+
+        if (ttl <= 0) {
+            counters.misses++;
+            return Promise.resolve().then(loader);
+        }
+
+        if (options.bypass) {
+            counters.bypassed++;
+            return this._load(key, ttl, loader);
+        }
+
+        if (this.inflight.has(key)) {
+            counters.shared++;
+            return this.inflight.get(key);
+        }
+
+        return Promise.resolve(this.store.get(key))
+            .catch(() => undefined)
+            .then(entry => {
+                if (entry && entry.expires > Date.now()) {
+                    counters.hits++;
+                    return entry.value;
+                }
+
+                // Another caller may have started loading while the store was read
+                if (this.inflight.has(key)) {
+                    counters.shared++;
+                    return this.inflight.get(key);
+                }
+
+                counters.misses++;
+                const promise = this._load(key, ttl, loader);
+                this.inflight.set(key, promise);
+                const forget = () => {
+                    if (this.inflight.get(key) === promise) {
+                        this.inflight.delete(key);
+                    }
+                };
+                promise.then(forget, forget);
+                return promise;
+            });
+    }
+
+    /**
+     * Cache statistics per operation and in total
+     * @returns {Object} - `{ total: {hits, misses, shared, bypassed, hitRate}, <operation>: {...} }`
+     */
+    stats() {
+        const result = {};
+        const total = { hits: 0, misses: 0, shared: 0, bypassed: 0 };
+
+        Object.keys(this.counters).forEach(operation => {
+            const counters = this.counters[operation];
+            result[operation] = { ...counters, hitRate: hitRate(counters) };
+            Object.keys(total).forEach(key => {
+                total[key] += counters[key];
+            });
+        });
+
+        result.total = { ...total, hitRate: hitRate(total) };
+        return result;
+    }
+
+    /**
+     * Remove all entries
+     * @returns {Promise}
+     */
+    clear() {
+        return Promise.resolve(this.store.clear());
+    }
+
+    _load(key, ttl, loader) {
+        return Promise.resolve()
+            .then(loader)
+            .then(value => {
+                return Promise.resolve(this.store.set(key, { value, expires: Date.now() + ttl }))
+                    .catch(() => {})
+                    .then(() => value);
+            });
+    }
+
+    _counters(operation) {
+        if (!this.counters[operation]) {
+            this.counters[operation] = { hits: 0, misses: 0, shared: 0, bypassed: 0 };
+        }
+        return this.counters[operation];
+    }
+}
+
+/**
+ * Cache that never stores anything, used when caching is disabled
+ */
+export class NoCache extends ResponseCache {
+    constructor() {
+        super();
+        this.ttl = {};
+    }
+}
+
+function hitRate(counters) {
+    const lookups = counters.hits + counters.shared + counters.misses;
+    return lookups > 0 ? (counters.hits + counters.shared) / lookups : 0;
+}
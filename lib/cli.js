@@ -0,0 +1,609 @@
+/**
+ * Command line interface
+ *
+ * `oebb <command> [arguments] [options]` runs one client call and prints
+ * its result as a table, CSV, JSON or NDJSON on stdout; log messages and
+ * errors go to stderr. The exit code tells scripts whether the train in
+ * question is on time, delayed or canceled (see ExitCode).
+ */
+
+import { parseArgs } from 'util';
+import { OebbClient } from './client.js';
+import { CancellationStatus } from './board-entry.js';
+import { ConsoleLogger } from './logger.js';
+import { OutputFormat, formatRecords, recordFormatter } from './format.js';
+import { PositionStatus } from './position.js';
+import { productBitmask } from './products.js';
+import { WatchEventType } from './watch.js';
+import { formatTime, parseDateTime } from './time.js';
+import { AmbiguousStationError, NotFoundError, ValidationError } from './errors.js';
+
+/**
+ * Exit codes of the CLI
+ * @readonly
+ * @enum {number}
+ */
+export const ExitCode = Object.freeze({
+    OK: 0,
+    ERROR: 1,
+    USAGE: 2,
+    DELAYED: 3,
+    CANCELED: 4,
+    NOT_FOUND: 5
+});
+
+const OPTIONS = Object.freeze({
+    'time': { type: 'string', short: 't', value: 'TIME', description: 'Time to start from: "20:58", "2025-05-07T20:58" or ISO 8601 with offset (default: now)' },
+    'until': { type: 'string', value: 'TIME', description: 'End of the time window, loads the board page by page' },
+    'arrive': { type: 'boolean', description: 'Take --time as the latest arrival instead of the earliest departure' },
+    'products': { type: 'string', short: 'p', value: 'LIST', description: 'Products, comma-separated: railjet, intercity, interregional, regional, sbahn, bus, ferry, subway, tram, ondemand' },
+    'direction': { type: 'string', short: 'd', value: 'STATION', description: 'Only trains heading towards this station' },
+    'destination': { type: 'string', value: 'NAMES', description: 'Only trains ending at these stations, comma-separated' },
+    'via': { type: 'string', value: 'STATION', description: 'Only trains (connections) calling at this station' },
+    'limit': { type: 'string', short: 'n', value: 'N', description: 'Maximum number of results' },
+    'max-changes': { type: 'string', value: 'N', description: 'Maximum number of changes' },
+    'types': { type: 'string', value: 'LIST', description: 'Result types, comma-separated: station, area, address, poi (default: station,area)' },
+    'interval': { type: 'string', short: 'i', value: 'SECONDS', description: 'Shortest time between polls (default: 30)' },
+    'format': { type: 'string', short: 'f', value: 'FORMAT', description: 'Output format: table, json, csv or ndjson (default: table)' },
+    'color': { type: 'boolean', description: 'Color the table even if stdout is not a terminal' },
+    'no-color': { type: 'boolean', description: 'Do not color the table (also with NO_COLOR set)' },
+    'lang': { type: 'string', value: 'LANG', description: 'Language of station and train texts: de or en (default: de)' },
+    'verbose': { type: 'boolean', short: 'v', description: 'Log requests to stderr' },
+    'help': { type: 'boolean', short: 'h', description: 'Show help' }
+});
+
+const GLOBAL_OPTIONS = ['format', 'color', 'no-color', 'lang', 'verbose', 'help'];
+
+const BOARD_OPTIONS = ['time', 'until', 'products', 'direction', 'destination', 'via', 'limit'];
+
+const COMMANDS = Object.freeze({
+    search: {
+        usage: 'search <name>',
+        summary: 'Search stations by name',
+        arguments: [1, 1],
+        options: ['limit', 'types'],
+        examples: ['oebb search "Wien Hbf"', 'oebb search Linz --types station,poi --format json'],
+        run: searchCommand
+    },
+    departures: {
+        usage: 'departures <station>',
+        summary: 'Departure board of a station',
+        arguments: [1, 1],
+        options: BOARD_OPTIONS,
+        examples: ['oebb departures "Wien Hbf" --products railjet,intercity -n 10', 'oebb departures 1290401 --time 18:00 --until 20:00 --format csv'],
+        run: (context, args) => boardCommand(context, args, 'dep')
+    },
+    arrivals: {
+        usage: 'arrivals <station>',
+        summary: 'Arrival board of a station',
+        arguments: [1, 1],
+        options: BOARD_OPTIONS,
+        examples: ['oebb arrivals "Salzburg Hbf" --via "Linz Hbf"'],
+        run: (context, args) => boardCommand(context, args, 'arr')
+    },
+    delay: {
+        usage: 'delay <station> <train>',
+        summary: 'Check whether a train leaving a station is delayed (exit code 3) or canceled (4)',
+        arguments: [2, 2],
+        options: ['time'],
+        examples: ['oebb delay "Wien Hbf" "RJ 373"', 'oebb delay 1290401 "RJ 373" --format json || echo "not on time"'],
+        run: delayCommand
+    },
+    track: {
+        usage: 'track <train> [station...]',
+        summary: 'Status of a train at all its stops, or at the given stations',
+        arguments: [1, Infinity],
+        options: ['time'],
+        examples: ['oebb track "RJ 840"', 'oebb track "RJ 840" "Wien Hbf" "Linz Hbf" "Salzburg Hbf"'],
+        run: trackCommand
+    },
+    connections: {
+        usage: 'connections <from> <to>',
+        summary: 'Connections between two stations',
+        arguments: [2, 2],
+        options: ['time', 'arrive', 'via', 'products', 'limit', 'max-changes'],
+        examples: ['oebb connections "Wien Hbf" "Graz Hbf"', 'oebb connections Linz Innsbruck --time 2025-05-07T18:00 --arrive'],
+        run: connectionsCommand
+    },
+    watch: {
+        usage: 'watch <station> [train]',
+        summary: 'Print changes of a train (until it leaves) or of a whole departure board (until Ctrl+C)',
+        arguments: [1, 2],
+        options: ['time', 'interval', 'products', 'direction', 'destination', 'via'],
+        examples: ['oebb watch "Wien Hbf" "RJ 373"', 'oebb watch "Wien Meidling" --products sbahn --format ndjson'],
+        run: watchCommand
+    }
+});
+
+const STATION_COLUMNS = [
+    { label: 'ID', value: station => station.number },
+    { label: 'Name', value: station => station.name || station.meta },
+    { label: 'Type', value: station => station.type, color: () => 'dim' }
+];
+
+const TRACK_STATUS_COLORS = Object.freeze({
+    scheduled: 'green',
+    delayed: 'yellow',
+    departed: 'dim',
+    canceled: 'red',
+    not_found: 'red'
+});
+
+const TRACK_COLUMNS = [
+    { label: 'Station', value: result => (result.stop && result.stop.station ? result.stop.station.name : result.stationId) },
+    { label: 'Time', value: result => formatTime(parseDateTime(result.scheduledDeparture)) },
+    { label: 'Expected', value: result => formatTime(parseDateTime(result.actualDeparture)) },
+    { label: 'Delay', align: 'right', value: result => (result.found ? result.delayMinutes : '') },
+    { label: 'Platform', value: result => (result.found ? result.platform : '') },
+    {
+        label: 'Status',
+        value: result => result.status.replace('_', ' '),
+        color: result => TRACK_STATUS_COLORS[result.status]
+    }
+];
+
+const CONNECTION_COLUMNS = [
+    { label: 'Departure', value: connection => formatTime(connection.scheduledDeparture) },
+    { label: 'Arrival', value: connection => formatTime(connection.scheduledArrival) },
+    { label: 'Duration', align: 'right', value: connection => formatDuration(connection.durationMinutes) },
+    { label: 'Changes', align: 'right', value: connection => connection.changes },
+    {
+        label: 'Trains',
+        value: connection => connection.legs
+            .filter(leg => leg.type === 'journey')
+            .map(leg => leg.name)
+            .join(', ')
+    },
+    { label: 'Status', value: connectionStatus, color: connection => statusColor(connection.isCanceled, connectionDelay(connection)) }
+];
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the program name
+ * @param {Object} [io]
+ * @param {Object} [io.stdout] - Stream for results (default: process.stdout)
+ * @param {Object} [io.stderr] - Stream for logs and errors (default: process.stderr)
+ * @param {Object} [io.env] - Environment variables (default: process.env)
+ * @param {OebbClient} [io.client] - Client to use (default: a new client configured by the options)
+ * @returns {Promise<number>} - Exit code (see ExitCode)
+ */
+export function main(argv, io = {}) {
+    const stdout = io.stdout || process.stdout;
+    const stderr = io.stderr || process.stderr;
+    const env = io.env || process.env;
+    const name = argv[0];
+    const command = Object.prototype.hasOwnProperty.call(COMMANDS, name) ? COMMANDS[name] : null;
+
+    if (!name || name === '--help' || name === '-h' || name === 'help') {
+        stdout.write(`${generalHelp()}\n`);
+        return Promise.resolve(ExitCode.OK);
+    }
+
+    return Promise.resolve()
+        .then(() => {
+            if (!command) {
+                throw new ValidationError(`Unknown command "${name}"`);
+            }
+            const { values, positionals } = parseOptions(argv.slice(1), [...command.options, ...GLOBAL_OPTIONS]);
+
+            if (values.help) {
+                stdout.write(`${commandHelp(name, command)}\n`);
+                return ExitCode.OK;
+            }
+
+            const [min, max] = command.arguments;
+            if (positionals.length < min || positionals.length > max) {
+                throw new ValidationError(`Usage: oebb ${command.usage}`);
+            }
+
+            const format = values.format || OutputFormat.TABLE;
+            if (!Object.values(OutputFormat).includes(format)) {
+                throw new ValidationError(`Unknown format "${format}" (use table, json, csv or ndjson)`);
+            }
+
+            const context = {
+                options: values,
+                format,
+                color: format === OutputFormat.TABLE && !values['no-color'] &&
+                    (Boolean(values.color) || (Boolean(stdout.isTTY) && !env.NO_COLOR)),
+                client: io.client || new OebbClient({
+                    language: values.lang,
+                    logger: new ConsoleLogger({ level: values.verbose ? 'debug' : 'warn', stream: stderr })
+                }),
+                out: line => stdout.write(`${line}\n`),
+                err: line => stderr.write(`${line}\n`)
+            };
+            context.print = (columns, records) => {
+                if (records.length > 0 || format !== OutputFormat.TABLE) {
+                    context.out(formatRecords(format, columns, records, { color: context.color }));
+                }
+            };
+
+            return command.run(context, positionals);
+        })
+        .catch(error => reportError(error, name, command, stderr));
+}
+
+function searchCommand(context, [name]) {
+    const options = context.options;
+    return context.client.searchStations(name, positiveInteger(options, 'limit') || 15, { types: listOption(options.types) })
+        .then(stations => {
+            context.print(STATION_COLUMNS, stations);
+            return stations.length > 0 ? ExitCode.OK : ExitCode.NOT_FOUND;
+        });
+}
+
+function boardCommand(context, [station], boardType) {
+    const client = context.client;
+    const options = boardOptions(context.options);
+    const limit = positiveInteger(context.options, 'limit');
+    const load = boardType === 'arr' ? client.getTrainArrivals : client.getTrainDepartures;
+
+    return load.call(client, station, options)
+        .then(entries => {
+            context.print(boardColumns(boardType), entries.slice(0, limit || entries.length));
+            return ExitCode.OK;
+        });
+}
+
+function delayCommand(context, [station, train]) {
+    const date = timeOption(context.options, 'time');
+    // The table shows the board entry, JSON the whole result
+    const columns = boardColumns('dep').map(column => ({
+        ...column,
+        value: result => column.value(result.train),
+        color: column.color && (result => column.color(result.train))
+    }));
+
+    return context.client.checkTrainDelay(station, train, date ? { date } : {})
+        .then(result => {
+            context.print(columns, [result]);
+            return entryExitCode(result.train);
+        });
+}
+
+function trackCommand(context, [train, ...stations]) {
+    const date = timeOption(context.options, 'time');
+    const options = date ? { date } : {};
+
+    return context.client.trackTrainJourney(train, stations.length > 0 ? stations : undefined, options)
+        .then(results => {
+            context.print(TRACK_COLUMNS, results);
+            const code = results.some(result => result.status === 'canceled')
+                ? ExitCode.CANCELED
+                : results.some(result => result.status === 'delayed')
+                    ? ExitCode.DELAYED
+                    : results.some(result => result.found) ? ExitCode.OK : ExitCode.NOT_FOUND;
+
+            // Where the train is now only fits the table of a whole run
+            if (stations.length > 0 || context.format !== OutputFormat.TABLE || code === ExitCode.NOT_FOUND) {
+                return code;
+            }
+            return context.client.getTrainPosition(train, options)
+                .then(position => {
+                    context.out('');
+                    context.out(describePosition(position));
+                }, error => {
+                    context.err(`oebb: position unknown: ${error.message}`);
+                })
+                .then(() => code);
+        });
+}
+
+function connectionsCommand(context, [from, to]) {
+    const options = context.options;
+    const time = timeOption(options, 'time');
+    const search = {
+        products: listOption(options.products),
+        via: options.via,
+        maxChanges: nonNegativeInteger(options, 'max-changes'),
+        results: positiveInteger(options, 'limit') || undefined
+    };
+    if (time) {
+        search[options.arrive ? 'arriveBy' : 'departureAt'] = time;
+    }
+
+    return context.client.searchConnections(from, to, search)
+        .then(connections => {
+            context.print(CONNECTION_COLUMNS, connections);
+            return connections.length > 0 ? ExitCode.OK : ExitCode.NOT_FOUND;
+        });
+}
+
+function watchCommand(context, [station, train]) {
+    const options = context.options;
+    const seconds = options.interval !== undefined ? Number(options.interval) : null;
+    if (seconds !== null && !(seconds > 0)) {
+        throw new ValidationError('--interval has to be a positive number of seconds');
+    }
+    // `date` only matters to train watchers, boards are always watched from now on
+    const watchOptions = { ...boardOptions(options), interval: seconds ? seconds * 1000 : undefined };
+    // Watchers only report invalid products after the header was printed
+    if (watchOptions.products) {
+        productBitmask(watchOptions.products);
+    }
+    const watcher = train
+        ? context.client.watchTrain(station, train, watchOptions)
+        : context.client.watchBoard(station, watchOptions);
+
+    const formatter = recordFormatter(context.format, watchColumns(), { color: context.color });
+    const header = formatter.header();
+    if (header !== null) {
+        context.out(header);
+    }
+
+    return new Promise(resolve => {
+        let code = ExitCode.OK;
+        let lastError = null;
+        let finished = false;
+        let interrupted = false;
+        const interrupt = () => {
+            interrupted = true;
+            watcher.stop();
+        };
+
+        watcher.on('change', event => {
+            context.out(formatter.row(event));
+            if (event.type === WatchEventType.DEPARTED || event.type === WatchEventType.DISAPPEARED) {
+                finished = true;
+            }
+            if (train) {
+                code = entryExitCode(event.entry);
+            }
+        });
+        watcher.on('error', error => {
+            lastError = error;
+            context.err(`oebb: ${error.message}`);
+        });
+        watcher.on('end', () => {
+            process.off('SIGINT', interrupt);
+            // Stopped by itself without the train leaving: a failure polling cannot fix
+            const failed = train && !finished && lastError && !interrupted;
+            resolve(failed ? errorExitCode(lastError) : code);
+        });
+        process.once('SIGINT', interrupt);
+    });
+}
+
+/**
+ * Columns of a station board
+ * @param {string} boardType - "dep" or "arr"
+ * @returns {Array<Object>}
+ */
+function boardColumns(boardType) {
+    return [
+        { label: 'Time', value: entry => formatTime(entry.scheduledTime) },
+        { label: 'Expected', value: entry => (entry.delayMinutes !== 0 ? formatTime(entry.expectedTime) : '') },
+        { label: 'Train', value: entry => entry.name },
+        boardType === 'arr'
+            ? { label: 'From', value: entry => entry.origin }
+            : { label: 'To', value: entry => entry.destination },
+        {
+            label: 'Platform',
+            value: entry => entry.platform + (entry.platformChanged ? ' (changed)' : ''),
+            color: entry => (entry.platformChanged ? 'yellow' : null)
+        },
+        { label: 'Status', value: entryStatus, color: entry => statusColor(entry.isCanceled, entry.delayMinutes) }
+    ];
+}
+
+function watchColumns() {
+    return [
+        { label: 'At', width: 5, value: event => formatTime(event.time) },
+        { label: 'Event', width: 15, value: event => event.type, color: event => (event.type === WatchEventType.CANCELED ? 'red' : 'cyan') },
+        ...boardColumns('dep').map((column, index) => ({
+            ...column,
+            width: [5, 8, 10, 24, 8, 12][index],
+            value: event => column.value(event.entry),
+            color: column.color && (event => column.color(event.entry))
+        }))
+    ];
+}
+
+function entryStatus(entry) {
+    if (entry.isCanceled) {
+        return 'canceled';
+    }
+    const partly = entry.cancellation === CancellationStatus.PARTIAL ? ', partly canceled' : '';
+    if (entry.delayMinutes > 0) {
+        return `+${entry.delayMinutes} min${partly}`;
+    }
+    return `on time${partly}`;
+}
+
+function connectionStatus(connection) {
+    if (connection.isCanceled) {
+        return 'canceled';
+    }
+    const delay = connectionDelay(connection);
+    return delay > 0 ? `+${delay} min` : 'on time';
+}
+
+function connectionDelay(connection) {
+    return Math.max(0, ...connection.legs.map(leg => Math.max(leg.departureDelay || 0, leg.arrivalDelay || 0)));
+}
+
+function statusColor(canceled, delayMinutes) {
+    if (canceled) {
+        return 'red';
+    }
+    return delayMinutes > 0 ? 'yellow' : 'green';
+}
+
+function entryExitCode(entry) {
+    if (entry.isCanceled) {
+        return ExitCode.CANCELED;
+    }
+    return entry.isDelayed ? ExitCode.DELAYED : ExitCode.OK;
+}
+
+function formatDuration(minutes) {
+    if (minutes === null || minutes === undefined) {
+        return '';
+    }
+    return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * One line about where a train is now
+ * @param {TrainPosition} position - Estimated position
+ * @returns {string}
+ */
+function describePosition(position) {
+    const name = stop => (stop && stop.station ? stop.station.name : '?');
+    const delay = position.delayMinutes > 0 ? `, ${position.delayMinutes} min late` : '';
+
+    switch (position.status) {
+    case PositionStatus.SCHEDULED:
+        return `${position.name} has not left ${name(position.currentStop)} yet, departure at ${formatTime(position.eta)}${delay}`;
+    case PositionStatus.STOPPED:
+        return `${position.name} is at ${name(position.currentStop)}, next stop ${name(position.nextStop)} at ${formatTime(position.eta)}${delay}`;
+    case PositionStatus.RUNNING:
+        return `${position.name} is between ${name(position.segment.from)} and ${name(position.segment.to)} ` +
+            `(${Math.round(position.progress * 100)}%), next stop ${name(position.nextStop)} at ${formatTime(position.eta)}${delay}`;
+    case PositionStatus.ARRIVED:
+        return `${position.name} has arrived at ${name(position.currentStop)}`;
+    default:
+        return `${position.name} is canceled`;
+    }
+}
+
+/**
+ * Client options of the board commands
+ * @param {Object} options - Parsed command line options
+ * @returns {Object}
+ */
+function boardOptions(options) {
+    const board = {
+        date: timeOption(options, 'time'),
+        to: timeOption(options, 'until'),
+        products: listOption(options.products),
+        direction: options.direction,
+        destination: listOption(options.destination),
+        via: options.via
+    };
+    Object.keys(board).forEach(key => board[key] === undefined && delete board[key]);
+    return board;
+}
+
+function timeOption(options, name) {
+    if (options[name] === undefined) {
+        return undefined;
+    }
+    const date = parseDateTime(options[name]);
+    if (!date) {
+        throw new ValidationError(`--${name} has to be a time ("20:58") or date ("2025-05-07T20:58")`);
+    }
+    return date;
+}
+
+function listOption(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    return value.split(',').map(item => item.trim()).filter(item => item);
+}
+
+function positiveInteger(options, name) {
+    const value = nonNegativeInteger(options, name);
+    if (value === 0) {
+        throw new ValidationError(`--${name} has to be a positive whole number`);
+    }
+    return value;
+}
+
+function nonNegativeInteger(options, name) {
+    if (options[name] === undefined) {
+        return undefined;
+    }
+    const value = Number(options[name]);
+    if (!Number.isInteger(value) || value < 0) {
+        throw new ValidationError(`--${name} has to be a whole number`);
+    }
+    return value;
+}
+
+function parseOptions(args, names) {
+    const options = Object.fromEntries(names.map(name => {
+        const { type, short } = OPTIONS[name];
+        return [name, short ? { type, short } : { type }];
+    }));
+    try {
+        return parseArgs({ args, options, allowPositionals: true, strict: true });
+    } catch (error) {
+        // Unknown options and missing values are usage errors, anything else a bug
+        if (String(error.code).startsWith('ERR_PARSE_ARGS')) {
+            throw new ValidationError(error.message, { cause: error });
+        }
+        throw error;
+    }
+}
+
+function errorExitCode(error) {
+    if (error instanceof NotFoundError) {
+        return ExitCode.NOT_FOUND;
+    }
+    if (error instanceof ValidationError || error instanceof AmbiguousStationError) {
+        return ExitCode.USAGE;
+    }
+    return ExitCode.ERROR;
+}
+
+function reportError(error, name, command, stderr) {
+    const code = errorExitCode(error);
+    stderr.write(`oebb: ${error.message}\n`);
+
+    if (error instanceof AmbiguousStationError) {
+        stderr.write('Give the station ID or a more precise name.\n');
+    } else if (code === ExitCode.USAGE) {
+        stderr.write(command ? `Run "oebb ${name} --help" for its options.\n` : 'Run "oebb --help" for the commands.\n');
+    }
+    return code;
+}
+
+function generalHelp() {
+    const commands = Object.entries(COMMANDS)
+        .map(([, command]) => `  ${command.usage.padEnd(28)}${command.summary}`);
+    return [
+        'Live departures, delays and connections of the Austrian Federal Railways (ÖBB)',
+        '',
+        'Usage: oebb <command> [arguments] [options]',
+        '',
+        'Commands:',
+        ...commands,
+        '',
+        'Options:',
+        ...optionLines(GLOBAL_OPTIONS),
+        '',
+        'Stations can be given by name ("Wien Hbf") or ID (1290401).',
+        '',
+        'Exit codes:',
+        '  0  success, train on time     3  train delayed',
+        '  1  request failed             4  train canceled',
+        '  2  invalid arguments          5  station, train or result not found',
+        '',
+        'Run "oebb <command> --help" for the options of a command.'
+    ].join('\n');
+}
+
+function commandHelp(name, command) {
+    return [
+        `Usage: oebb ${command.usage} [options]`,
+        '',
+        command.summary,
+        '',
+        'Options:',
+        ...optionLines([...command.options, ...GLOBAL_OPTIONS]),
+        '',
+        'Examples:',
+        ...command.examples.map(example => `  ${example}`)
+    ].join('\n');
+}
+
+function optionLines(names) {
+    return names.map(name => {
+        const option = OPTIONS[name];
+        const flag = `${option.short ? `-${option.short}, ` : '    '}--${name}${option.value ? ` ${option.value}` : ''}`;
+        return `  ${flag.padEnd(28)}${option.description}`;
+    });
+}
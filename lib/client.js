@@ -0,0 +1,1426 @@
+/**
+ * Configurable OEBB API client
+ *
+ * Every instance carries its own endpoints, defaults and HTTP client, so
+ * clients with different settings can be used side by side.
+ */
+
+import { BoardEntry, createBoardEntry } from './board-entry.js';
+import { BoardPager } from './board-pager.js';
+import { BoardWatcher, TrainWatcher } from './watch.js';
+import { Connection } from './connection.js';
+import { Trip } from './trip.js';
+import { estimatePosition } from './position.js';
+import { distanceKm, hasCoordinates } from './geo.js';
+import { StationIndex, normalizeStationName } from './station-index.js';
+import { StationResolver } from './station-resolver.js';
+import { formatProductFilter, includesProduct, productBitmask } from './products.js';
+import { DEFAULT_TYPES, StationType, classifyStations, normalizeTypes, suggestionType, typeSelector } from './station-types.js';
+import { toIsoString, viennaParts } from './time.js';
+import { mgateRequest, toLocation, formatHafasDate, formatHafasTime } from './hafas.js';
+import { HttpClient } from './http-client.js';
+import { createLogger } from './logger.js';
+import { OebbError, ParseError, UpstreamChangedError, NotFoundError, TrainNotFoundError, ValidationError, bodySnippet } from './errors.js';
+import { createRetryPolicies } from './retry.js';
+import { ResponseCache, NoCache, MemoryStore } from './cache.js';
+import { RequestScheduler } from './scheduler.js';
+
+export const DEFAULT_OPTIONS = Object.freeze({
+    baseUrl: 'https://fahrplan.oebb.at',
+    language: 'dn',
+    products: '1111111111111111',
+    maxJourneys: 50,
+    maxViaLookups: 20
+});
+
+// Operations with their own retry policy
+export const OPERATIONS = Object.freeze(['stations', 'board', 'connections', 'trip']);
+
+// JourneyDetails requests made at most to find the run of a train at a station
+const MAX_TRIP_CANDIDATES = 5;
+
+// Length of a board window without `to`
+const DEFAULT_WINDOW_MS = 60 * 60 * 1000;
+
+export class OebbClient {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.baseUrl] - SCOTTY base URL (default: "https://fahrplan.oebb.at")
+     * @param {string} [options.language] - "dn" for German, "en" for English (default: "dn")
+     * @param {string|number|Array<string>} [options.products] - Default products of station boards:
+     *   product names (e.g., `['sbahn', 'regional']`), a bitmask or a filter string (default: all products)
+     * @param {number} [options.maxJourneys] - Maximum entries per station board request (default: 50)
+     * @param {number} [options.maxViaLookups] - Maximum board entries whose trip is loaded for the
+     *   `via` filter of one board call (default: 20)
+     * @param {number} [options.timeout] - Request timeout in milliseconds
+     * @param {Object} [options.headers] - Headers added to every request
+     * @param {string} [options.proxy] - Proxy URL for the default fetch transport
+     * @param {AbortSignal} [options.signal] - Signal that aborts all requests of this client
+     * @param {Object} [options.transport] - Custom transport with a `request(options)` method
+     * @param {Object} [options.logger] - Logger with `debug`/`info`/`warn`/`error` methods (default: silent)
+     * @param {Object|boolean} [options.retry] - Retry options for all operations with per-operation
+     *   overrides (`stations`, `board`, `connections`, `trip`), or `false` to disable retries
+     * @param {Object|ResponseCache|boolean} [options.cache] - Cache options (`store`, `ttl`, `maxEntries`),
+     *   a ResponseCache instance, or `false` to disable caching (default: in-memory LRU)
+     * @param {Object|RequestScheduler|boolean} [options.rateLimit] - Scheduler options (`maxConcurrency`,
+     *   `requestsPerSecond`, `burst`), a RequestScheduler shared with other clients, or `false` to
+     *   send requests without limits (default: 4 concurrent requests, 5 requests per second)
+     * @param {Array<Object>|StationIndex} [options.stations] - Known stations (station objects or
+     *   station_response.json records) for the local station index; stations found by searches are
+     *   added to it
+     * @param {boolean} [options.offline] - Answer station searches from the local index only
+     * @param {boolean} [options.pickBest] - Resolve ambiguous station names to the best match
+     *   instead of rejecting with an AmbiguousStationError
+     */
+    constructor(options = {}) {
+        this.options = {
+            ...DEFAULT_OPTIONS,
+            ...options,
+            language: normalizeLanguage(options.language || DEFAULT_OPTIONS.language)
+        };
+        this.baseUrl = this.options.baseUrl.replace(/\/+$/, '');
+        this.language = this.options.language;
+        this.products = formatProductFilter(productBitmask(this.options.products));
+        this.maxJourneys = this.options.maxJourneys;
+        this.maxViaLookups = this.options.maxViaLookups;
+        this.offline = Boolean(this.options.offline);
+        this.pickBest = Boolean(this.options.pickBest);
+        this.logger = createLogger(options.logger);
+        this.retry = createRetryPolicies(options.retry, OPERATIONS);
+        this.cache = createCache(options.cache);
+        this.scheduler = createScheduler(options.rateLimit);
+        this.stationIndex = options.stations instanceof StationIndex
+            ? options.stations
+            : new StationIndex(options.stations || []);
+        this.resolver = new StationResolver(this);
+        // Board entries by ID, so trips can be looked up from an entry ID
+        this.boardEntries = new MemoryStore({ maxEntries: 1000 });
+        this.http = new HttpClient({
+            transport: options.transport,
+            headers: options.headers,
+            timeout: options.timeout,
+            proxy: options.proxy,
+            signal: options.signal,
+            logger: this.logger,
+            scheduler: this.scheduler
+        });
+    }
+
+    /**
+     * Build the URL of a SCOTTY "bin" endpoint for the configured language
+     * @param {string} name - Endpoint name (e.g., "stboard.exe")
+     * @returns {string}
+     */
+    endpoint(name) {
+        return `${this.baseUrl}/bin/${name}/${this.language}`;
+    }
+
+    /**
+     * Cache statistics per operation
+     * @returns {Object} - See ResponseCache#stats
+     */
+    cacheStats() {
+        return this.cache.stats();
+    }
+
+    /**
+     * Queue depth and request counters of the rate limiter
+     * @returns {Object} - See RequestScheduler#metrics
+     */
+    queueStats() {
+        return this.scheduler.metrics();
+    }
+
+    /**
+     * Run an operation with the retry policy configured for it
+     * @param {string} operation - Operation name (see OPERATIONS)
+     * @param {Function} fn - `(attempt) => Promise`
+     * @returns {Promise<*>}
+     */
+    _withRetry(operation, fn) {
+        return this.retry[operation].run(fn, {
+            signal: this.http.signal,
+            onRetry: (error, attempt, delay) => {
+                this.logger.info('Retrying request', { operation, attempt, delayMs: delay, error: error.message });
+            }
+        });
+    }
+
+    /**
+     * Resolve a station ID, station object or station name to a station object
+     * @param {string|number|Object} station - Station ID, station object or name (e.g., "Wien Hbf")
+     * @param {Object} [options]
+     * @param {boolean} [options.pickBest] - Take the best match for ambiguous names
+     * @param {boolean} [options.cache] - `false` to bypass the cache of the station search
+     * @returns {Promise<Object>} - Station object; rejects with StationNotFoundError or
+     *   AmbiguousStationError
+     */
+    resolveStation(station, options = {}) {
+        return this.resolver.resolve(station, { pickBest: this.pickBest, ...options });
+    }
+
+    /**
+     * Search for stations by name
+     * @param {string} name - The station name to search for
+     * @param {number} count - Maximum number of results (default: 15)
+     * @param {Object} [options]
+     * @param {boolean} [options.cache] - `false` to bypass the cache
+     * @param {boolean} [options.offline] - Search the local station index only
+     * @param {string|Array<string>} [options.types] - Result types to return: "station", "area"
+     *   (stop areas), "address", "poi" (default: stations and stop areas)
+     * @returns {Promise<Array>} - Array of station objects
+     */
+    searchStations(name, count = 15, options = {}) {
+        let types;
+        try {
+            types = normalizeTypes(options.types);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        if (this.offline || options.offline) {
+            return Promise.resolve(this.stationIndex.search(name, { limit: count, types }));
+        }
+
+        return this._authenticate()
+            .then(auth => {
+                return this._getStations(auth, name, count, { ...options, types });
+            })
+            .catch(error => {
+                if (!(error instanceof OebbError) || this.stationIndex.size === 0) {
+                    throw error;
+                }
+                this.logger.warn('Station search failed, using the local station index', { name, error: error.message });
+                return this.stationIndex.search(name, { limit: count, types });
+            });
+    }
+
+    /**
+     * Search for stations around a point, nearest first
+     * @param {number} latitude - Latitude in degrees
+     * @param {number} longitude - Longitude in degrees
+     * @param {Object} [options]
+     * @param {number} [options.radiusMeters] - Search radius in meters (default: 1000)
+     * @param {number} [options.limit] - Maximum number of stations (default: 10)
+     * @param {string|number|Array<string>} [options.products] - Products (names or bitmask) of the
+     *   services stopping there
+     * @param {boolean} [options.cache] - `false` to bypass the cache
+     * @param {boolean} [options.offline] - Search the local station index only
+     * @returns {Promise<Array>} - Array of station objects with `location.distanceInKm`
+     */
+    searchNearbyStations(latitude, longitude, options = {}) {
+        if (!isFinite(latitude) || !isFinite(longitude)) {
+            return Promise.reject(new ValidationError('Latitude and longitude must be numbers'));
+        }
+
+        if (this.offline || options.offline) {
+            return Promise.resolve(this.stationIndex.nearby(Number(latitude), Number(longitude), {
+                radiusMeters: options.radiusMeters || 1000,
+                limit: options.limit
+            }));
+        }
+
+        return this._authenticate()
+            .then(auth => {
+                return this._getNearbyStations(auth, Number(latitude), Number(longitude), options);
+            });
+    }
+
+    /**
+     * Get train departures from a station
+     * @param {string|Object} stationId - Station ID (e.g., "1290401" for Wien Hbf), station object or name
+     * @param {Date|Object} [dateOrOptions] - Date for departures (defaults to current time) or options
+     * @param {Date} [dateOrOptions.date] - Date for departures
+     * @param {Date} [dateOrOptions.from] - Start of a time window (default: `date`)
+     * @param {Date} [dateOrOptions.to] - End of a time window; with it the board is loaded page by
+     *   page until the window is covered (see iterateDepartures)
+     * @param {string|number|Array<string>} [dateOrOptions.products] - Products to include, as names
+     *   (e.g., `['railjet', 'sbahn', 'regional', 'bus', 'tram']`) or bitmask (default: client setting)
+     * @param {string|Object} [dateOrOptions.direction] - Station (ID, object or name) the trains
+     *   have to head towards, filtered by the station board service
+     * @param {string|Array<string>} [dateOrOptions.destination] - Destination name(s) of the trains
+     *   (departures only, e.g., "Wien Meidling" also matches "Wien Meidling Bahnhof")
+     * @param {string|Object} [dateOrOptions.via] - Station (ID, object or name) the trains have to call
+     *   at later on (earlier on for arrivals), checked with the trip details of each entry
+     * @param {boolean} [dateOrOptions.cache] - `false` to bypass the cache
+     * @param {boolean} [dateOrOptions.pickBest] - Take the best match for an ambiguous station name
+     * @returns {Promise<Array<Departure>>} - Array of departure objects
+     */
+    getTrainDepartures(stationId, dateOrOptions) {
+        return this._getBoard(stationId, 'dep', dateOrOptions);
+    }
+
+    /**
+     * Get train arrivals at a station
+     * @param {string|Object} stationId - Station ID (e.g., "1290401" for Wien Hbf), station object or name
+     * @param {Date|Object} [dateOrOptions] - Date for arrivals (defaults to current time) or options
+     *   (see getTrainDepartures)
+     * @returns {Promise<Array<Arrival>>} - Array of arrival objects
+     */
+    getTrainArrivals(stationId, dateOrOptions) {
+        return this._getBoard(stationId, 'arr', dateOrOptions);
+    }
+
+    /**
+     * Get both arrivals and departures of a station
+     * @param {string|Object} stationId - Station ID (e.g., "1290401" for Wien Hbf), station object or name
+     * @param {Date|Object} [dateOrOptions] - Date for the board (defaults to current time) or options
+     *   (see getTrainDepartures)
+     * @returns {Promise<Object>} - Object with `arrivals` and `departures` arrays
+     */
+    getStationBoard(stationId, dateOrOptions) {
+        let options;
+        try {
+            options = toBoardOptions(dateOrOptions);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        return this._resolveId(stationId, options)
+            .then(id => Promise.all([id, this._getBoard(id, 'arr', options), this._getBoard(id, 'dep', options)]))
+            .then(([id, arrivals, departures]) => ({ stationId: id, arrivals, departures }));
+    }
+
+    /**
+     * Iterate over the departures of a time window. The board is requested page by page, each
+     * page starting at the last entry of the previous one; entries returned twice are dropped.
+     * @param {string|Object} stationId - Station ID, station object or name
+     * @param {Object} [options] - Board options (see getTrainDepartures)
+     * @param {Date} [options.from] - Start of the window (default: `date` or now)
+     * @param {Date} [options.to] - End of the window (default: one hour after `from`)
+     * @returns {BoardPager} - Async iterator of Departure objects, in board order
+     */
+    iterateDepartures(stationId, options = {}) {
+        return this._boardPager(stationId, 'dep', toBoardWindow(toBoardOptions(options)));
+    }
+
+    /**
+     * Iterate over the arrivals of a time window
+     * @param {string|Object} stationId - Station ID, station object or name
+     * @param {Object} [options] - Board options with `from` and `to` (see iterateDepartures)
+     * @returns {BoardPager} - Async iterator of Arrival objects, in board order
+     */
+    iterateArrivals(stationId, options = {}) {
+        return this._boardPager(stationId, 'arr', toBoardWindow(toBoardOptions(options)));
+    }
+
+    /**
+     * Watch a train at a station. The departure board is polled until the train has departed, was
+     * canceled or disappeared, and events are emitted when something changes (see WatchEventType). A train
+     * the first poll does not find ends the watcher with a TrainNotFoundError.
+     * @param {string|Object} stationId - Station ID, station object or name
+     * @param {string} trainNumber - The train number (e.g., "RJ 840")
+     * @param {Object} [options]
+     * @param {number} [options.interval] - Shortest time between polls in milliseconds (default: 30 s)
+     * @param {number} [options.maxInterval] - Longest time between polls in milliseconds, used while
+     *   the departure is far away (default: 10 min)
+     * @param {Date} [options.date] - Scheduled departure to look for the train from (default: now)
+     * @param {boolean} [options.cache] - `false` to bypass the cache
+     * @returns {TrainWatcher} - EventEmitter and async iterator of watch events; `stop()` ends it
+     */
+    watchTrain(stationId, trainNumber, options = {}) {
+        return new TrainWatcher(this._boardLoader(stationId, 'dep', options), trainNumber, {
+            ...options,
+            logger: this.logger
+        });
+    }
+
+    /**
+     * Watch the departure board of a station until `stop()` is called
+     * @param {string|Object} stationId - Station ID, station object or name
+     * @param {Object} [options] - Poll options as for watchTrain, board options (`products`,
+     *   `direction`, `destination`, `via`) as for getTrainDepartures
+     * @returns {BoardWatcher} - EventEmitter and async iterator of watch events
+     */
+    watchBoard(stationId, options = {}) {
+        return new BoardWatcher(this._boardLoader(stationId, 'dep', options), {
+            ...options,
+            logger: this.logger
+        });
+    }
+
+    /**
+     * Check if a specific train is delayed
+     * @param {string|Object} stationId - Station ID (e.g., "1290401" for Wien Hbf), station object or name
+     * @param {string} trainNumber - The train number (e.g., "RJ 840")
+     * @param {Object} [options]
+     * @param {boolean} [options.cache] - `false` to bypass the cache
+     * @returns {Promise<Object>} - Train information including delay status
+     */
+    checkTrainDelay(stationId, trainNumber, options = {}) {
+        let boardOptions;
+        try {
+            boardOptions = toBoardOptions(options);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        return this._authenticate()
+            .then(auth => {
+                return this._resolveId(stationId, boardOptions)
+                    .then(id => {
+                        stationId = id;
+                        return this._getBoardData(auth, id, boardOptions.date, 'dep', boardOptions);
+                    })
+                    .then(departures => {
+                        this.logger.debug('Searching train on departure board', { trainNumber, stationId, departures: departures.length });
+
+                        const train = departures.find(d => d.matches(trainNumber));
+
+                        if (!train) {
+                            throw new TrainNotFoundError(`Train ${trainNumber} not found at station ${stationId}`, {
+                                trainName: trainNumber,
+                                stationId
+                            });
+                        }
+
+                        return {
+                            train,
+                            isDelayed: train.isDelayed,
+                            delayMinutes: train.delayMinutes,
+                            scheduledDeparture: toIsoString(train.scheduledTime),
+                            actualDeparture: toIsoString(train.expectedTime),
+                            platform: train.platform,
+                            direction: train.destination,
+                            status: train.status,
+                            cancellation: train.cancellation,
+                            canceled: train.isCanceled
+                        };
+                    });
+            });
+    }
+
+    /**
+     * Track a train's journey through multiple stations
+     * @param {string} trainName - Train name/number (e.g., "RJ 840")
+     * @param {Array<string|Object>|string|Object} [stationIds] - Station IDs, objects or names to
+     *   check, or a single one; without it all stops of the train's run are reported (see getTripDetails)
+     * @param {Object} [options]
+     * @param {Date} [options.date] - Service day of the run
+     * @param {boolean} [options.cache] - `false` to bypass the cache
+     * @returns {Promise<Array>} - Array of station status objects; rejects with the error of the
+     *   first station that could not be checked
+     */
+    trackTrainJourney(trainName, stationIds, options = {}) {
+        if (isSingleStation(stationIds)) {
+            stationIds = [stationIds];
+        }
+        if (!Array.isArray(stationIds)) {
+            return Promise.resolve()
+                .then(() => this._trackTrip(trainName, toBoardOptions(stationIds || options)));
+        }
+
+        let boardOptions;
+        try {
+            boardOptions = toBoardOptions(options);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        // Use the authentication once for all stations
+        return this._authenticate()
+            .then(auth => {
+                // Create an array of promises for each station check
+                const stationPromises = stationIds.map(station => {
+                    let stationId = station;
+                    return this._resolveId(station, boardOptions)
+                        .then(id => {
+                            stationId = id;
+                            return this._getBoardData(auth, id, boardOptions.date, 'dep', boardOptions);
+                        })
+                        .then(departures => {
+                            // Try to find the train at this station
+                            const train = departures.find(d => d.matches(trainName));
+
+                            if (!train) {
+                                // Train not found at this station - might have already departed
+                                return {
+                                    stationId,
+                                    found: false,
+                                    status: 'not_found'
+                                };
+                            }
+
+                            // Check if the train has already departed from this station
+                            const now = new Date();
+                            const departed = train.expectedTime ? now > train.expectedTime : false;
+
+                            let status = 'scheduled';
+
+                            if (departed) {
+                                status = 'departed';
+                            } else if (train.isDelayed) {
+                                status = 'delayed';
+                            }
+
+                            return {
+                                stationId,
+                                found: true,
+                                train,
+                                status,
+                                scheduledDeparture: toIsoString(train.scheduledTime),
+                                actualDeparture: toIsoString(train.expectedTime),
+                                delayMinutes: train.delayMinutes,
+                                platform: train.platform || 'N/A',
+                                departed
+                            };
+                        });
+                });
+
+                // Execute all promises and return the combined results
+                return Promise.all(stationPromises);
+            });
+    }
+
+    /**
+     * Search connections between two stations
+     * @param {string|Object} from - Station ID, object or name of the origin
+     * @param {string|Object} to - Station ID, object or name of the destination
+     * @param {Object} [options] - Search options
+     * @param {Date} [options.departureAt] - Earliest departure (defaults to current time)
+     * @param {Date} [options.arriveBy] - Latest arrival, takes precedence over `departureAt`
+     * @param {string|Object|Array} [options.via] - Station(s) the connection has to pass
+     * @param {number} [options.maxChanges] - Maximum number of changes
+     * @param {string|number|Array<string>} [options.products] - Products to use (names or bitmask)
+     * @param {number} [options.results] - Number of connections to request (default: 5)
+     * @param {boolean} [options.cache] - `false` to bypass the cache
+     * @param {boolean} [options.pickBest] - Take the best match for ambiguous station names
+     * @returns {Promise<Array<Connection>>} - Array of connection objects
+     */
+    searchConnections(from, to, options = {}) {
+        const via = [].concat(options.via || []);
+        return this._authenticate()
+            .then(auth => {
+                return Promise.all([from, to, ...via].map(station => this._resolveId(station, options)))
+                    .then(([fromId, toId, ...viaIds]) => {
+                        return this._getConnections(auth, fromId, toId, { ...options, via: viaIds });
+                    });
+            });
+    }
+
+    /**
+     * Get the complete stop sequence of a train run
+     * @param {string|BoardEntry} trip - Train name (e.g., "RJ 840"), HAFAS trip ID, the ID of a
+     *   board entry returned by this client, or the board entry itself
+     * @param {Date|Object} [dateOrOptions] - Service day (defaults to today) or options
+     * @param {Date} [dateOrOptions.date] - Service day of the run
+     * @param {string|Object} [dateOrOptions.stationId] - Station (ID, object or name) the train
+     *   calls at, picks the right run when several trains match the name
+     * @param {boolean} [dateOrOptions.cache] - `false` to bypass the cache
+     * @returns {Promise<Trip>} - Trip with all stops
+     */
+    getTripDetails(trip, dateOrOptions) {
+        let options;
+        try {
+            options = toBoardOptions(dateOrOptions);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        return this._authenticate()
+            .then(auth => {
+                return this._resolveStationOption(options)
+                    .then(resolved => this._getTrip(auth, trip, resolved));
+            });
+    }
+
+    /**
+     * Estimate where a train is right now
+     * @param {string|BoardEntry} trip - Anything getTripDetails accepts
+     * @param {Date|Object} [dateOrOptions] - Service day or options (see getTripDetails)
+     * @param {Date} [dateOrOptions.at] - Point in time to estimate the position for (default: now)
+     * @returns {Promise<TrainPosition>} - Current segment, progress, location and next stop with ETA
+     */
+    getTrainPosition(trip, dateOrOptions) {
+        let options;
+        try {
+            options = toBoardOptions(dateOrOptions);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        return this._authenticate()
+            .then(auth => {
+                return this._resolveStationOption(options)
+                    .then(resolved => this._getTrip(auth, trip, resolved))
+                    .then(details => this._fillCoordinates(auth, details))
+                    .then(details => estimatePosition(details, options.at || new Date()));
+            });
+    }
+
+    /**
+     * Resolve a station argument to its ID with the client's `pickBest` default
+     * @param {string|number|Object} station - Station ID, object or name
+     * @param {Object} options - Call options with `pickBest` and `cache`
+     * @returns {Promise<string>}
+     */
+    _resolveId(station, options) {
+        return this.resolver.resolveId(station, {
+            pickBest: options.pickBest !== undefined ? options.pickBest : this.pickBest,
+            cache: options.cache
+        });
+    }
+
+    /**
+     * Resolve the `stationId` option of the trip methods
+     * @param {Object} options - Call options
+     * @returns {Promise<Object>} - Options with `stationId` as an ID
+     */
+    _resolveStationOption(options) {
+        if (!options.stationId) {
+            return Promise.resolve(options);
+        }
+        return this._resolveId(options.stationId, options)
+            .then(stationId => ({ ...options, stationId }));
+    }
+
+    /**
+     * Create the pager of a board window
+     * @param {string|Object} stationId - Station ID, station object or name
+     * @param {string} boardType - "dep" or "arr"
+     * @param {Object} options - Board options with `from` and `to`
+     * @returns {BoardPager}
+     */
+    _boardPager(stationId, boardType, options) {
+        const prepare = this._boardPreparation(stationId, options);
+        // The via lookups of all pages count towards one limit
+        const lookups = { remaining: this.maxViaLookups };
+
+        return new BoardPager((date, maxJourneys) => {
+            return prepare()
+                .then(([auth, id, filters]) => this._getBoardData(auth, id, date, boardType, { ...filters, maxJourneys }));
+        }, {
+            from: options.from,
+            to: options.to,
+            pageSize: this.maxJourneys,
+            filter: entries => prepare().then(([auth, , filters]) => this._filterBoard(auth, entries, filters, lookups))
+        });
+    }
+
+    /**
+     * Load a filtered station board, page by page if the options have a window end (`to`)
+     * @param {string|Object} stationId - Station ID, station object or name
+     * @param {string} boardType - "dep" or "arr"
+     * @param {Date|Object} [dateOrOptions] - Date or board options (see getTrainDepartures)
+     * @returns {Promise<Array<Departure|Arrival>>}
+     */
+    _getBoard(stationId, boardType, dateOrOptions) {
+        let options;
+        try {
+            options = toBoardOptions(dateOrOptions);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        if (options.to !== undefined) {
+            return this._collectWindow(stationId, boardType, options);
+        }
+        return this._boardLoader(stationId, boardType, options)(options.date);
+    }
+
+    /**
+     * Create the loader of repeated requests for one board (watchers)
+     * @param {string|Object} stationId - Station ID, station object or name
+     * @param {string} boardType - "dep" or "arr"
+     * @param {Object} options - Board options
+     * @returns {Function} - `(date) => Promise<Array<Departure|Arrival>>`, filtered like getTrainDepartures
+     */
+    _boardLoader(stationId, boardType, options) {
+        const prepare = this._boardPreparation(stationId, options);
+        return date => {
+            return prepare()
+                .then(([auth, id, filters]) => {
+                    return this._getBoardData(auth, id, date, boardType, filters)
+                        .then(entries => this._filterBoard(auth, entries, filters, { remaining: this.maxViaLookups }));
+                });
+        };
+    }
+
+    /**
+     * Resolve the station and filters of repeated board requests once
+     * @param {string|Object} stationId - Station ID, station object or name
+     * @param {Object} options - Board options
+     * @returns {Function} - `() => Promise<[auth, stationId, filters]>`; nothing is requested before
+     *   the first call, and a failed resolution is tried again on the next call
+     */
+    _boardPreparation(stationId, options) {
+        let ready = null;
+        return () => {
+            if (!ready) {
+                ready = this._authenticate()
+                    .then(auth => {
+                        return Promise.all([auth, this._resolveId(stationId, options), this._resolveBoardFilters(options)]);
+                    })
+                    .catch(error => {
+                        ready = null;
+                        throw error;
+                    });
+            }
+            return ready;
+        };
+    }
+
+    /**
+     * Load all entries of a board window
+     * @param {string|Object} stationId - Station ID, station object or name
+     * @param {string} boardType - "dep" or "arr"
+     * @param {Object} options - Board options with `to`
+     * @returns {Promise<Array<Departure|Arrival>>}
+     */
+    _collectWindow(stationId, boardType, options) {
+        return Promise.resolve()
+            .then(() => this._boardPager(stationId, boardType, toBoardWindow(options)).toArray());
+    }
+
+    /**
+     * Resolve the `direction` and `via` stations of the board options
+     * @param {Object} options - Board options
+     * @returns {Promise<Object>} - Options with `directionId` and `viaId` set
+     */
+    _resolveBoardFilters(options) {
+        return Promise.all([
+            options.direction ? this._resolveId(options.direction, options) : null,
+            options.via ? this._resolveId(options.via, options) : null
+        ])
+            .then(([directionId, viaId]) => ({ ...options, directionId, viaId }));
+    }
+
+    /**
+     * Apply the client-side board filters (`destination` and `via`). The via
+     * check loads the trip of each entry, so it runs last and only for the
+     * first entries the lookup limit allows; later entries are left out.
+     * @param {Object} auth - Authentication object
+     * @param {Array<BoardEntry>} entries - Board entries
+     * @param {Object} options - Board options with `viaId` resolved
+     * @param {Object} lookups - Trip lookups left for the call (`remaining`), reduced by the ones made
+     * @returns {Promise<Array<BoardEntry>>} - Matching entries, in board order
+     */
+    _filterBoard(auth, entries, options, lookups) {
+        const destinations = [].concat(options.destination || []).map(destinationName);
+        if (destinations.length > 0) {
+            entries = entries.filter(entry => {
+                return entry.boardType !== 'dep' || matchesName(entry.destination, destinations);
+            });
+        }
+
+        if (!options.viaId) {
+            return Promise.resolve(entries);
+        }
+
+        // Each lookup is a JourneyMatch request and up to MAX_TRIP_CANDIDATES JourneyDetails
+        // requests, the scheduler keeps them within the rate limit
+        const checked = entries.slice(0, Math.max(0, lookups.remaining));
+        lookups.remaining -= checked.length;
+        if (checked.length < entries.length) {
+            this.logger.warn('Too many board entries for the via filter, leaving out the later ones', {
+                viaId: options.viaId,
+                checked: checked.length,
+                skipped: entries.length - checked.length
+            });
+        }
+
+        return Promise.all(checked.map(entry => {
+            return this._getTrip(auth, entry, { cache: options.cache })
+                .then(trip => callsInOrder(trip, entry, options.viaId))
+                .catch(error => {
+                    this.logger.debug('Trip of board entry not available, dropping it', { name: entry.name, error: error.message });
+                    return false;
+                });
+        }))
+            .then(matches => checked.filter((entry, i) => matches[i]));
+    }
+
+    /**
+     * Authenticate with the OEBB API
+     * @returns {Promise<Object>} - Authentication object
+     */
+    _authenticate() {
+        return new Promise((resolve, reject) => {
+            // Skip the authentication with tickets.oebb.at which now returns 403
+            // Instead, we'll use an anonymous approach for the SCOTTY API
+            // Create a mock authentication object with empty values
+            // The SCOTTY board API doesn't strictly require authentication tokens
+            resolve({
+                accessToken: '',
+                channel: 'inet',
+                sessionId: 'anonymous',
+                supportId: 'direct',
+                cookie: 'mock-cookie-value'
+            });
+        });
+    }
+
+    /**
+     * Get stations matching the search name
+     * @param {Object} auth - Authentication object
+     * @param {string} name - Station name to search for
+     * @param {number} count - Maximum number of results
+     * @param {Object} [options] - Call options (`cache: false` bypasses the cache, `types` selects
+     *   the result types)
+     * @returns {Promise<Array>} - Array of station objects
+     */
+    _getStations(auth, name, count, options = {}) {
+        const types = options.types || DEFAULT_TYPES;
+
+        // Use SCOTTY station suggestion API with the correct parameters
+        this.logger.debug('Searching stations', { name, count, types });
+
+        const endpoint = this.endpoint('ajax-getstop.exe');
+        const query = {
+            start: 1,
+            REQ0JourneyStopsS0A: typeSelector(types),
+            REQ0JourneyStopsS0G: name,
+            REQ0JourneyStopsB: count,
+            getstop: 1,
+            noEvaluation: 'yes'
+        };
+
+        const suggestions = () => this._withRetry('stations', () => {
+            return this.http.getText(endpoint, query)
+                .then(body => {
+                    if (!body) {
+                        throw new ParseError("No body in stations response", { endpoint });
+                    }
+
+                    // The response is in format: SLs.sls={"suggestions":[...]}
+                    const match = body.match(/SLs\.sls\s*=\s*(\{.*\})/s);
+                    if (!match || !match[1]) {
+                        this.logger.warn('Unexpected station suggestions response', { endpoint, sample: bodySnippet(body) });
+                        throw new UpstreamChangedError('Could not parse station suggestions response', {
+                            endpoint,
+                            bodySnippet: bodySnippet(body)
+                        });
+                    }
+
+                    let data;
+                    try {
+                        data = JSON.parse(match[1]);
+                    } catch (e) {
+                        this.logger.warn('Error parsing station data', { endpoint, error: e.message, sample: bodySnippet(body) });
+                        throw new ParseError(`Error parsing station data: ${e.message}`, {
+                            endpoint,
+                            bodySnippet: bodySnippet(body),
+                            cause: e
+                        });
+                    }
+
+                    this.logger.debug('Found stations', { name, stations: data.suggestions ? data.suggestions.length : 0 });
+
+                    return data.suggestions || [];
+                });
+        });
+
+        // Suggestions don't say which stations are stop areas, LocMatch does
+        const load = () => Promise.all([suggestions(), this._metaStationIds(name, count, query.REQ0JourneyStopsS0A)])
+            .then(([list, metaIds]) => {
+                // Transform to similar format as the original API
+                return classifyStations(list.map(s => {
+                    return {
+                        number: s.extId,
+                        name: s.value,
+                        meta: s.value,
+                        type: metaIds.has(s.extId) ? StationType.AREA : suggestionType(s.type),
+                        xcoord: s.xcoord,
+                        ycoord: s.ycoord,
+                        location: {
+                            longitude: s.xcoord ? parseFloat(s.xcoord) / 1000000 : 0,
+                            latitude: s.ycoord ? parseFloat(s.ycoord) / 1000000 : 0,
+                            distanceInKm: 0
+                        }
+                    };
+                }));
+            });
+
+        // Hand out copies so callers can't modify cached entries
+        return this.cache.get('stations', { endpoint, query }, load, { bypass: options.cache === false })
+            .then(stations => {
+                this.stationIndex.add(stations);
+                return structuredClone(stations.filter(station => types.includes(station.type)).slice(0, count));
+            });
+    }
+
+    /**
+     * Look up which stations of a name search HAFAS marks as meta stations (stop areas)
+     * @param {string} name - Station name that was searched for
+     * @param {number} count - Maximum number of results
+     * @param {number} selector - REQ0JourneyStopsS0A selector of the search
+     * @returns {Promise<Set<string>>} - IDs of the stop areas; empty if the search asked for no
+     *   stations or the lookup failed
+     */
+    _metaStationIds(name, count, selector) {
+        if (!(selector & typeSelector([StationType.STATION]))) {
+            return Promise.resolve(new Set());
+        }
+        const req = { input: { field: 'S', loc: { name: `${name}?`, type: 'S' }, maxLoc: count } };
+        return this._withRetry('stations', () => this._mgate('LocMatch', req))
+            .then(res => {
+                const locs = (res.match && res.match.locL) || [];
+                return new Set(locs.filter(loc => loc.meta && loc.extId).map(loc => loc.extId));
+            })
+            .catch(error => {
+                if (error instanceof NotFoundError) {
+                    return new Set();
+                }
+                if (!(error instanceof OebbError)) {
+                    throw error;
+                }
+                this.logger.warn('Stop area lookup failed, listing all results as stations', { name, error: error.message });
+                return new Set();
+            });
+    }
+
+    /**
+     * Get stations around a point from the HAFAS LocGeoPos service, falling
+     * back to the local station index if the request fails
+     * @param {Object} auth - Authentication object
+     * @param {number} latitude - Latitude in degrees
+     * @param {number} longitude - Longitude in degrees
+     * @param {Object} options - Options with `radiusMeters`, `limit`, `products` and `cache`
+     * @returns {Promise<Array>} - Array of station objects, nearest first
+     */
+    _getNearbyStations(auth, latitude, longitude, options) {
+        const radiusMeters = options.radiusMeters || 1000;
+        const limit = options.limit || 10;
+        const origin = { latitude, longitude };
+        const req = {
+            ring: {
+                cCrd: { x: Math.round(longitude * 1000000), y: Math.round(latitude * 1000000) },
+                maxDist: radiusMeters
+            },
+            getPOIs: false,
+            getStops: true,
+            maxLoc: limit
+        };
+
+        if (options.products !== undefined) {
+            req.locFltrL = [{ type: 'PROD', mode: 'INC', value: String(productBitmask(options.products)) }];
+        }
+
+        this.logger.debug('Searching nearby stations', { latitude, longitude, radiusMeters });
+
+        const load = () => this._withRetry('stations', () => this._mgate('LocGeoPos', req));
+
+        return this.cache.get('stations', { language: this.language, method: 'LocGeoPos', req }, load, { bypass: options.cache === false })
+            .catch(error => {
+                if (error instanceof NotFoundError) {
+                    return {};
+                }
+                throw error;
+            })
+            .then(res => {
+                const stations = classifyStations((res.locL || [])
+                    .filter(loc => loc.type === 'S' && loc.extId)
+                    .map(loc => nearbyStation(loc, origin))
+                    .sort((a, b) => a.location.distanceInKm - b.location.distanceInKm)
+                    .slice(0, limit));
+                this.stationIndex.add(stations);
+                return stations;
+            })
+            .catch(error => {
+                if (this.stationIndex.size === 0) {
+                    throw error;
+                }
+                this.logger.warn('Nearby stations request failed, using the local station index', { error: error.message });
+                return this.stationIndex.nearby(latitude, longitude, { radiusMeters, limit });
+            });
+    }
+
+    /**
+     * Get station board data (departures/arrivals)
+     * @param {Object} auth - Authentication object
+     * @param {string} stationId - Station ID
+     * @param {Date} date - Date for board data
+     * @param {string} [boardType] - "dep" for departures, "arr" for arrivals
+     * @param {Object} [options] - Call options (`cache: false` bypasses the cache, `products`
+     *   overrides the product filter of the client, `maxJourneys` the page size)
+     * @returns {Promise<Array<Departure|Arrival>>} - Array of board entries
+     */
+    _getBoardData(auth, stationId, date = new Date(), boardType = 'dep', options = {}) {
+        const products = productBitmask(options.products !== undefined ? options.products : this.products);
+
+        // Format date for OEBB API, which expects Austrian time
+        const parts = viennaParts(date);
+        const formattedDate = `${parts.day.toString().padStart(2, '0')}.${parts.month.toString().padStart(2, '0')}.${parts.year}`;
+        const formattedTime = `${parts.hour.toString().padStart(2, '0')}:${parts.minute.toString().padStart(2, '0')}`;
+
+        this.logger.debug('Requesting station board', { stationId, boardType, at: `${formattedDate} ${formattedTime}` });
+
+        // Use SCOTTY HAFAS station board endpoint
+        const endpoint = this.endpoint('stboard.exe');
+
+        const query = {
+            L: "vs_scotty.vs_liveticker",
+            evaId: stationId,
+            boardType: boardType, // dep for departures, arr for arrivals
+            time: formattedTime,
+            date: formattedDate,
+            productsFilter: formatProductFilter(products),
+            dirInput: options.directionId || '',
+            additionalTime: "0",
+            maxJourneys: String(options.maxJourneys || this.maxJourneys),
+            outputMode: "tickerDataOnly",
+            start: "yes",
+            selectDate: "today"
+        };
+
+        const load = () => this._withRetry('board', () => {
+            return this.http.getText(endpoint, query)
+                .then(body => {
+                    // Handle JSONP response format: journeysObj = {...}
+                    const context = { endpoint, stationId, bodySnippet: bodySnippet(body) };
+                    const match = body.match(/journeysObj\s*=\s*(\{.*\})/s);
+
+                    if (!match || !match[1]) {
+                        this.logger.warn('Unexpected station board response', { stationId, sample: context.bodySnippet });
+                        // A cut-off body still starts with the JSONP assignment
+                        if (/journeysObj\s*=/.test(body)) {
+                            throw new ParseError('Truncated response from station board API', context);
+                        }
+                        throw new UpstreamChangedError('Invalid response format from station board API', context);
+                    }
+
+                    let data;
+                    try {
+                        data = JSON.parse(match[1]);
+                    } catch (e) {
+                        this.logger.warn('Error parsing station board response', { stationId, error: e.message, sample: context.bodySnippet });
+                        throw new ParseError(`Error parsing station board response: ${e.message}`, { ...context, cause: e });
+                    }
+
+                    if (!data || !data.journey) {
+                        this.logger.warn('No journeys in station board response', { stationId, response: data });
+                        throw new UpstreamChangedError(`No ${boardType === 'arr' ? 'arrivals' : 'departures'} data in response`, context);
+                    }
+
+                    return data.journey;
+                });
+        });
+
+        return this.cache.get('board', { endpoint, query }, load, { bypass: options.cache === false })
+            .then(journeys => {
+                // The board does not always honor the filter, so check the decoded classes as well
+                const entries = journeys
+                    .map(journey => createBoardEntry(journey, boardType, stationId))
+                    .filter(entry => includesProduct(products, entry.productClass));
+                entries.forEach(entry => {
+                    if (entry.id) {
+                        this.boardEntries.set(entry.id, entry);
+                    }
+                });
+                return entries;
+            })
+            .catch(error => {
+                // Network and HTTP errors don't know which station was asked for
+                if (error instanceof OebbError && !error.stationId) {
+                    error.stationId = stationId;
+                }
+                throw error;
+            });
+    }
+
+    /**
+     * Get connections from the HAFAS TripSearch service
+     * @param {Object} auth - Authentication object
+     * @param {string} from - Origin station ID
+     * @param {string} to - Destination station ID
+     * @param {Object} options - Search options (see searchConnections)
+     * @returns {Promise<Array<Connection>>} - Array of connection objects
+     */
+    _getConnections(auth, from, to, options) {
+        const arriveBy = options.arriveBy instanceof Date;
+        const date = arriveBy ? options.arriveBy : (options.departureAt || new Date());
+        const via = [].concat(options.via || []);
+
+        const req = {
+            depLocL: [toLocation(from)],
+            arrLocL: [toLocation(to)],
+            viaLocL: via.map(station => ({ loc: toLocation(station) })),
+            outDate: formatHafasDate(date),
+            outTime: formatHafasTime(date),
+            outFrwd: !arriveBy,
+            numF: options.results || 5,
+            getPasslist: false,
+            getPolyline: false
+        };
+
+        if (typeof options.maxChanges === 'number') {
+            req.maxChg = options.maxChanges;
+        }
+
+        if (options.products !== undefined) {
+            req.jnyFltrL = [{ type: 'PROD', mode: 'INC', value: String(productBitmask(options.products)) }];
+        }
+
+        this.logger.debug('Searching connections', { from, to });
+
+        const load = () => this._withRetry('connections', () => this._mgate('TripSearch', req));
+
+        return this.cache.get('connections', { language: this.language, req }, load, { bypass: options.cache === false })
+            .then(res => {
+                const common = res.common || {};
+                return (res.outConL || []).map(outCon => new Connection(outCon, common));
+            });
+    }
+
+    /**
+     * Find a train run and load its details
+     * @param {Object} auth - Authentication object
+     * @param {string|BoardEntry} trip - Train name, trip ID, board entry ID or board entry
+     * @param {Object} options - Options with `date`, `stationId` and `cache`
+     * @returns {Promise<Trip>}
+     */
+    _getTrip(auth, trip, options) {
+        if (typeof trip === 'string' && trip.includes('|')) {
+            return this._getJourneyDetails(trip, options);
+        }
+
+        const entry = trip && typeof trip === 'object'
+            ? trip
+            : this.boardEntries.get(String(trip));
+        const name = entry ? entry.name : String(trip || '').trim();
+        const date = entry && entry.scheduledTime ? entry.scheduledTime : options.date;
+        const stationId = entry ? entry.stationId : options.stationId;
+        const scheduledTime = entry instanceof BoardEntry ? entry.scheduledTime : null;
+        const req = {
+            input: name,
+            date: formatHafasDate(date),
+            onlyCR: false
+        };
+
+        this.logger.debug('Searching trip', { name, date: req.date, stationId });
+
+        const load = () => this._withRetry('trip', () => this._mgate('JourneyMatch', req));
+
+        return this.cache.get('trip', { language: this.language, method: 'JourneyMatch', req }, load, { bypass: options.cache === false })
+            .catch(error => {
+                if (error instanceof NotFoundError) {
+                    return {};
+                }
+                throw error;
+            })
+            .then(res => {
+                const candidates = matchJourneys(res, name).slice(0, MAX_TRIP_CANDIDATES);
+
+                // Load the candidates one after the other until one calls at the station
+                const next = index => {
+                    if (index >= candidates.length) {
+                        return null;
+                    }
+                    return this._getJourneyDetails(candidates[index].jid, options)
+                        .then(details => {
+                            if (!stationId || callsAt(details, stationId, scheduledTime)) {
+                                return details;
+                            }
+                            return next(index + 1);
+                        });
+                };
+
+                return next(0);
+            })
+            .then(details => {
+                if (!details) {
+                    throw new TrainNotFoundError(`Train ${name} not found on ${req.date}${stationId ? ` at station ${stationId}` : ''}`, {
+                        trainName: name,
+                        stationId
+                    });
+                }
+                return details;
+            });
+    }
+
+    /**
+     * Load the stop sequence of a trip from the HAFAS JourneyDetails service
+     * @param {string} tripId - HAFAS trip ID (`jid`)
+     * @param {Object} options - Options with `cache`
+     * @returns {Promise<Trip>}
+     */
+    _getJourneyDetails(tripId, options) {
+        const req = {
+            jid: tripId,
+            getPolyline: false
+        };
+
+        const load = () => this._withRetry('trip', () => this._mgate('JourneyDetails', req));
+
+        return this.cache.get('trip', { language: this.language, method: 'JourneyDetails', req }, load, { bypass: options.cache === false })
+            .then(res => {
+                if (!res.journey) {
+                    throw new UpstreamChangedError('JourneyDetails response contains no journey', {
+                        endpoint: `${this.baseUrl}/bin/mgate.exe`,
+                        method: 'JourneyDetails',
+                        bodySnippet: bodySnippet(JSON.stringify(res))
+                    });
+                }
+                return new Trip(res.journey, res.common || {});
+            });
+    }
+
+    /**
+     * Report the status of a train at every stop of its run
+     * @param {string} trainName - Train name/number
+     * @param {Object} options - Options with `date` and `cache`
+     * @returns {Promise<Array>} - Array of station status objects
+     */
+    _trackTrip(trainName, options) {
+        return this.getTripDetails(trainName, options)
+            .then(trip => {
+                const now = new Date();
+                return trip.stops.map((stop, index) => {
+                    const last = index === trip.stops.length - 1;
+                    const time = last ? stop.expectedArrival : stop.expectedDeparture;
+                    const delay = last ? stop.arrivalDelay : stop.departureDelay;
+                    const departed = time ? now > time : false;
+
+                    let status = 'scheduled';
+                    if (stop.canceled) {
+                        status = 'canceled';
+                    } else if (departed) {
+                        status = 'departed';
+                    } else if (delay > 0) {
+                        status = 'delayed';
+                    }
+
+                    return {
+                        stationId: stop.station ? stop.station.number : '',
+                        found: true,
+                        stop,
+                        status,
+                        scheduledDeparture: toIsoString(last ? stop.scheduledArrival : stop.scheduledDeparture),
+                        actualDeparture: toIsoString(time),
+                        delayMinutes: delay,
+                        platform: (last ? stop.arrivalPlatform : stop.departurePlatform) || 'N/A',
+                        departed
+                    };
+                });
+            });
+    }
+
+    /**
+     * Look up coordinates of stops that have none in the trip details
+     * @param {Object} auth - Authentication object
+     * @param {Trip} trip - Trip details
+     * @returns {Promise<Trip>} - The same trip
+     */
+    _fillCoordinates(auth, trip) {
+        const missing = trip.stops.filter(stop => stop.station && !hasCoordinates(stop.station.location));
+
+        return Promise.all(missing.map(stop => {
+            const known = this.stationIndex.get(stop.station.number);
+            const lookup = known || this.offline
+                ? Promise.resolve(known ? [known] : [])
+                : this._getStations(auth, stop.station.name, 5, {});
+
+            return lookup
+                .then(stations => {
+                    // Another station of a similar name would put the stop in the wrong place
+                    const station = stations.find(s => s.number === stop.station.number);
+                    if (station && hasCoordinates(station.location)) {
+                        stop.station.location = {
+                            longitude: station.location.longitude,
+                            latitude: station.location.latitude
+                        };
+                    }
+                })
+                .catch(error => {
+                    this.logger.debug('Station coordinates lookup failed', { station: stop.station.name, error: error.message });
+                });
+        }))
+            .then(() => trip);
+    }
+
+    /**
+     * Call a method of the HAFAS mgate service in the client's language
+     * @param {string} method - HAFAS method (e.g., "TripSearch")
+     * @param {Object} req - Request payload
+     * @returns {Promise<Object>} - The `res` object of the service response
+     */
+    _mgate(method, req) {
+        return mgateRequest(this.http, `${this.baseUrl}/bin/mgate.exe`, method, req, this.language === 'en' ? 'en' : 'de');
+    }
+}
+
+/**
+ * Normalize the date-or-options argument of the board methods
+ * @param {Date|Object} [dateOrOptions] - Date or options object with `date`
+ * @returns {Object} - Options with `date` set (default: now)
+ * @throws {ValidationError} - If `date` is not a valid date
+ */
+function toBoardOptions(dateOrOptions) {
+    const options = dateOrOptions instanceof Date ? { date: dateOrOptions } : { ...dateOrOptions };
+    if (options.date === undefined || options.date === null) {
+        options.date = new Date();
+    } else if (!(options.date instanceof Date) || isNaN(options.date)) {
+        throw new ValidationError('`date` has to be a Date', { parameter: 'date' });
+    }
+    return options;
+}
+
+/**
+ * Check whether a station list argument is a single station rather than a
+ * list or the options
+ * @param {*} value - Argument
+ * @returns {boolean}
+ */
+function isSingleStation(value) {
+    if (typeof value === 'string' || typeof value === 'number') {
+        return true;
+    }
+    return Boolean(value) && typeof value === 'object' && !(value instanceof Date) && Boolean(value.number || value.id);
+}
+
+/**
+ * Complete the time window of board options
+ * @param {Object} options - Board options (see toBoardOptions)
+ * @returns {Object} - Options with `from` and `to` as dates
+ * @throws {ValidationError} - If `from` or `to` is not a valid date
+ */
+function toBoardWindow(options) {
+    const from = options.from !== undefined ? options.from : options.date;
+    if (!(from instanceof Date) || isNaN(from)) {
+        throw new ValidationError('`from` has to be a Date', { parameter: 'from' });
+    }
+    const to = options.to !== undefined ? options.to : new Date(from.getTime() + DEFAULT_WINDOW_MS);
+    if (!(to instanceof Date) || isNaN(to)) {
+        throw new ValidationError('`to` has to be a Date', { parameter: 'to' });
+    }
+    return { ...options, from, to };
+}
+
+/**
+ * Name to compare board destinations with
+ * @param {string|Object} destination - Destination name or station object
+ * @returns {string} - Normalized name
+ */
+function destinationName(destination) {
+    return normalizeStationName(destination && typeof destination === 'object' ? destination.name : destination);
+}
+
+/**
+ * Check a station name against normalized names; a name also matches if it
+ * only adds words ("Wien Meidling Bahnhof" for "wien meidling")
+ * @param {string} name - Station name
+ * @param {Array<string>} names - Normalized names
+ * @returns {boolean}
+ */
+function matchesName(name, names) {
+    const normalized = normalizeStationName(name);
+    return names.some(other => normalized === other || normalized.startsWith(`${other} `));
+}
+
+/**
+ * Check whether a trip calls at a station after (departures) or before
+ * (arrivals) the station of a board entry
+ * @param {Trip} trip - Trip of the entry
+ * @param {BoardEntry} entry - Board entry
+ * @param {string} stationId - Station ID
+ * @returns {boolean}
+ */
+function callsInOrder(trip, entry, stationId) {
+    const ids = trip.stops.map(stop => stop.station && stop.station.number);
+    const here = ids.indexOf(entry.stationId);
+    const there = ids.indexOf(String(stationId));
+    if (here === -1 || there === -1) {
+        return false;
+    }
+    return entry.boardType === 'arr' ? there < here : there > here;
+}
+
+/**
+ * Turn a LocGeoPos result into a station object
+ * @param {Object} loc - Entry of `locL`
+ * @param {Object} origin - Point the search was made around
+ * @returns {Object}
+ */
+function nearbyStation(loc, origin) {
+    const crd = loc.crd || {};
+    const location = {
+        longitude: crd.x ? crd.x / 1000000 : 0,
+        latitude: crd.y ? crd.y / 1000000 : 0
+    };
+    // `dist` is the distance in meters HAFAS reports, used if there are no coordinates
+    if (hasCoordinates(location)) {
+        location.distanceInKm = distanceKm(origin, location);
+    } else {
+        location.distanceInKm = typeof loc.dist === 'number' ? loc.dist / 1000 : 0;
+    }
+
+    return {
+        number: loc.extId,
+        name: loc.name || '',
+        // HAFAS marks stop areas as meta stations
+        type: loc.meta ? StationType.AREA : StationType.STATION,
+        xcoord: crd.x !== undefined ? String(crd.x) : '',
+        ycoord: crd.y !== undefined ? String(crd.y) : '',
+        location
+    };
+}
+
+/**
+ * Pick the JourneyMatch results belonging to a train name
+ * @param {Object} res - JourneyMatch response
+ * @param {string} name - Train name that was searched for
+ * @returns {Array<Object>} - Entries of `jnyL`, exact name matches only if there are any
+ */
+function matchJourneys(res, name) {
+    const journeys = (res.jnyL || []).filter(jny => jny.jid);
+    const products = (res.common && res.common.prodL) || [];
+    const normalize = value => (value || '').replace(/\s+/g, '').toLowerCase();
+    const exact = journeys.filter(jny => {
+        const product = products[jny.prodX] || {};
+        return normalize(product.name) === normalize(name);
+    });
+    return exact.length > 0 ? exact : journeys;
+}
+
+/**
+ * Check whether a trip calls at a station, optionally at a given time
+ * @param {Trip} trip - Trip details
+ * @param {string} stationId - Station ID
+ * @param {Date|null} scheduledTime - Scheduled arrival or departure at the station
+ * @returns {boolean}
+ */
+function callsAt(trip, stationId, scheduledTime) {
+    const stop = trip.stopAt(stationId);
+    if (!stop) {
+        return false;
+    }
+    if (!scheduledTime) {
+        return true;
+    }
+    return [stop.scheduledDeparture, stop.scheduledArrival]
+        .some(time => time && Math.abs(time - scheduledTime) < 60000);
+}
+
+/**
+ * Create the response cache of a client
+ * @param {Object|ResponseCache|boolean} [config] - Cache configuration
+ * @returns {ResponseCache}
+ */
+function createCache(config) {
+    if (config === false) {
+        return new NoCache();
+    }
+    if (config instanceof ResponseCache) {
+        return config;
+    }
+    return new ResponseCache(config || {});
+}
+
+/**
+ * Build the request scheduler of a client
+ * @param {Object|RequestScheduler|boolean} [config] - Client `rateLimit` option
+ * @returns {RequestScheduler}
+ */
+function createScheduler(config) {
+    if (config === false) {
+        return new RequestScheduler({ maxConcurrency: Infinity, requestsPerSecond: Infinity });
+    }
+    if (config instanceof RequestScheduler) {
+        return config;
+    }
+    return new RequestScheduler(config || {});
+}
+
+/**
+ * Map language codes to the SCOTTY path suffix
+ * @param {string} language - "dn"/"de" or "en"
+ * @returns {string}
+ */
+function normalizeLanguage(language) {
+    const value = String(language).toLowerCase();
+    return value === 'en' || value === 'e' ? 'en' : 'dn';
+}
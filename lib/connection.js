@@ -0,0 +1,104 @@
+/**
+ * Connection (A→B journey) model built from HAFAS TripSearch results
+ */
+
+import { splitProductName } from './board-entry.js';
+import { delayMinutes, parseHafasDateTime, parseHafasDuration, parseLocation, parsePlatform } from './hafas.js';
+import { productClass } from './products.js';
+
+/**
+ * One part of a connection: a ride on a train/bus, a walk or a transfer
+ */
+export class Leg {
+    /**
+     * @param {Object} sec - Entry of `outConL[].secL`
+     * @param {string} date - Service day of the connection ("YYYYMMDD")
+     * @param {Object} common - `common` section of the TripSearch response
+     */
+    constructor(sec, date, common) {
+        const dep = sec.dep || {};
+        const arr = sec.arr || {};
+        const jny = sec.jny || {};
+        const product = jny.prodX !== undefined ? (common.prodL || [])[jny.prodX] || {} : {};
+        const name = (product.name || '').trim();
+        const { category, number } = splitProductName(name);
+
+        this.type = parseLegType(sec.type);
+        this.name = name;
+        this.category = category;
+        this.number = number;
+        this.productClass = name ? productClass(category, product.cls) : null;
+        this.direction = jny.dirTxt || '';
+        this.tripId = jny.jid || '';
+        this.origin = parseLocation((common.locL || [])[dep.locX]);
+        this.destination = parseLocation((common.locL || [])[arr.locX]);
+        this.scheduledDeparture = parseHafasDateTime(date, dep.dTimeS);
+        this.expectedDeparture = parseHafasDateTime(date, dep.dTimeR) || this.scheduledDeparture;
+        this.departureDelay = delayMinutes(this.scheduledDeparture, this.expectedDeparture);
+        this.departurePlatform = parsePlatform(dep, 'd', 'R') || parsePlatform(dep, 'd', 'S');
+        this.scheduledArrival = parseHafasDateTime(date, arr.aTimeS);
+        this.expectedArrival = parseHafasDateTime(date, arr.aTimeR) || this.scheduledArrival;
+        this.arrivalDelay = delayMinutes(this.scheduledArrival, this.expectedArrival);
+        this.arrivalPlatform = parsePlatform(arr, 'a', 'R') || parsePlatform(arr, 'a', 'S');
+        this.canceled = Boolean(jny.isCncld || dep.dCncl || arr.aCncl);
+        this.transferMinutes = null;
+    }
+}
+
+/**
+ * A possible way to get from A to B
+ */
+export class Connection {
+    /**
+     * @param {Object} outCon - Entry of `outConL`
+     * @param {Object} common - `common` section of the TripSearch response
+     */
+    constructor(outCon, common) {
+        const date = outCon.date;
+        const legs = (outCon.secL || []).map(sec => new Leg(sec, date, common));
+
+        // Time available between arriving with one leg and leaving with the next
+        for (let i = 1; i < legs.length; i++) {
+            const previous = legs[i - 1].expectedArrival;
+            const next = legs[i].expectedDeparture;
+            if (previous && next) {
+                legs[i].transferMinutes = Math.round((next - previous) / 60000);
+            }
+        }
+
+        const first = legs[0];
+        const last = legs[legs.length - 1];
+
+        this.id = outCon.ctxRecon || outCon.cid || '';
+        this.origin = first ? first.origin : null;
+        this.destination = last ? last.destination : null;
+        this.scheduledDeparture = first ? first.scheduledDeparture : null;
+        this.expectedDeparture = first ? first.expectedDeparture : null;
+        this.scheduledArrival = last ? last.scheduledArrival : null;
+        this.expectedArrival = last ? last.expectedArrival : null;
+        this.durationMinutes = parseHafasDuration(outCon.dur);
+        this.changes = typeof outCon.chg === 'number'
+            ? outCon.chg
+            : Math.max(legs.filter(leg => leg.type === 'journey').length - 1, 0);
+        this.legs = legs;
+
+        Object.defineProperty(this, 'raw', { value: outCon, enumerable: false });
+    }
+
+    /**
+     * @returns {boolean} - True if any leg of the connection is canceled
+     */
+    get isCanceled() {
+        return this.legs.some(leg => leg.canceled);
+    }
+}
+
+function parseLegType(type) {
+    if (type === 'JNY') {
+        return 'journey';
+    }
+    if (type === 'WALK') {
+        return 'walk';
+    }
+    return 'transfer';
+}
@@ -0,0 +1,94 @@
+/**
+ * Error classes for API failures
+ *
+ * Every error carries the context it happened in (endpoint, station ID, a
+ * snippet of the raw body, ...) as properties, so callers can branch on the
+ * error type instead of matching message strings.
+ */
+
+const SNIPPET_LENGTH = 200;
+
+/**
+ * Base class of all errors raised by this library
+ */
+export class OebbError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [context] - Context properties copied onto the error
+     * @param {string} [context.endpoint] - Endpoint that was called
+     * @param {string} [context.stationId] - Station the request was about
+     * @param {string} [context.bodySnippet] - Start of the raw response body
+     * @param {Error} [context.cause] - Underlying error
+     */
+    constructor(message, context = {}) {
+        const { cause, ...rest } = context;
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        Object.assign(this, rest);
+    }
+}
+
+/**
+ * The request did not reach the server or no response arrived
+ * (DNS failure, connection reset, timeout, abort)
+ */
+export class NetworkError extends OebbError {}
+
+/**
+ * The server answered with a non-2xx status code
+ */
+export class HttpStatusError extends OebbError {}
+
+/**
+ * The response body could not be parsed (e.g. truncated JSON/JSONP)
+ */
+export class ParseError extends OebbError {}
+
+/**
+ * The response parsed, but does not have the expected structure any more
+ */
+export class UpstreamChangedError extends ParseError {}
+
+/**
+ * The requested entity does not exist
+ */
+export class NotFoundError extends OebbError {}
+
+/**
+ * The train is not on the station board
+ */
+export class TrainNotFoundError extends NotFoundError {}
+
+/**
+ * No station matches the given name
+ */
+export class StationNotFoundError extends NotFoundError {}
+
+/**
+ * A station name matches several stations; `candidates` lists them
+ */
+export class AmbiguousStationError extends OebbError {}
+
+/**
+ * An argument or request parameter is missing or invalid; `parameter`
+ * names it where known
+ */
+export class ValidationError extends OebbError {}
+
+/**
+ * The mail server rejected a command or the SMTP session failed;
+ * `code` holds the reply code if there was one
+ */
+export class SmtpError extends OebbError {}
+
+/**
+ * Shorten a raw response body for error context
+ * @param {string} body - Raw body
+ * @returns {string}
+ */
+export function bodySnippet(body) {
+    if (typeof body !== 'string') {
+        return '';
+    }
+    return body.length > SNIPPET_LENGTH ? `${body.substring(0, SNIPPET_LENGTH)}…` : body;
+}
@@ -0,0 +1,153 @@
+/**
+ * Output formats for results
+ *
+ * Records are printed as an aligned text table, CSV, JSON or newline
+ * delimited JSON. Table and CSV output is described by columns, each taking
+ * a value from a record; JSON output contains the records themselves with
+ * dates in Austrian time.
+ */
+
+import { BoardEntry } from './board-entry.js';
+import { toIsoString } from './time.js';
+
+/**
+ * Supported output formats
+ * @readonly
+ * @enum {string}
+ */
+export const OutputFormat = Object.freeze({
+    TABLE: 'table',
+    JSON: 'json',
+    CSV: 'csv',
+    NDJSON: 'ndjson'
+});
+
+const ANSI_CODES = Object.freeze({
+    bold: 1,
+    dim: 2,
+    red: 31,
+    green: 32,
+    yellow: 33,
+    cyan: 36
+});
+
+/**
+ * Format records as a whole
+ * @param {string} format - OutputFormat value
+ * @param {Array<Object>} columns - `{ label, value(record), align, color(record) }` per column;
+ *   `align` is "left" (default) or "right", `color` returns an ANSI color name or null
+ * @param {Array<Object>} records - Records to print
+ * @param {Object} [options]
+ * @param {boolean} [options.color] - Color table cells
+ * @returns {string} - Output without a trailing newline
+ */
+export function formatRecords(format, columns, records, options = {}) {
+    switch (format) {
+    case OutputFormat.JSON:
+        return JSON.stringify(records, jsonReplacer, 2);
+    case OutputFormat.NDJSON:
+        return records.map(record => JSON.stringify(record, jsonReplacer)).join('\n');
+    case OutputFormat.CSV:
+        return [columns.map(column => column.label), ...records.map(record => cells(columns, record))]
+            .map(row => row.map(csvField).join(','))
+            .join('\n');
+    default: {
+        const rows = records.map(record => cells(columns, record));
+        const widths = columns.map((column, index) => {
+            return Math.max(column.label.length, column.width || 0, ...rows.map(row => row[index].length));
+        });
+        const header = tableRow(columns, columns.map(column => column.label), widths, null, options);
+        return [header, ...rows.map((row, index) => tableRow(columns, row, widths, records[index], options))]
+            .join('\n');
+    }
+    }
+}
+
+/**
+ * Format records one by one, for output that grows over time. Tables use
+ * the `width` of the columns instead of measuring all rows.
+ * @param {string} format - OutputFormat value (JSON is written as NDJSON)
+ * @param {Array<Object>} columns - Columns (see formatRecords)
+ * @param {Object} [options] - See formatRecords
+ * @returns {{header: Function, row: Function}} - `header()` returns the first line (null for
+ *   JSON), `row(record)` the line of a record
+ */
+export function recordFormatter(format, columns, options = {}) {
+    const widths = columns.map(column => Math.max(column.label.length, column.width || 0));
+    return {
+        header() {
+            if (format === OutputFormat.JSON || format === OutputFormat.NDJSON) {
+                return null;
+            }
+            if (format === OutputFormat.CSV) {
+                return columns.map(column => csvField(column.label)).join(',');
+            }
+            return tableRow(columns, columns.map(column => column.label), widths, null, options);
+        },
+        row(record) {
+            if (format === OutputFormat.JSON || format === OutputFormat.NDJSON) {
+                return JSON.stringify(record, jsonReplacer);
+            }
+            if (format === OutputFormat.CSV) {
+                return cells(columns, record).map(csvField).join(',');
+            }
+            return tableRow(columns, cells(columns, record), widths, record, options);
+        }
+    };
+}
+
+/**
+ * JSON.stringify replacer writing dates in Austrian time, adding the
+ * getters of board entries and keeping the message of errors
+ * @param {string} key - Property name
+ * @param {*} value - Value (after `toJSON`)
+ * @returns {*}
+ */
+export function jsonReplacer(key, value) {
+    const original = this[key];
+    if (original instanceof Date) {
+        return isNaN(original) ? null : toIsoString(original);
+    }
+    if (value instanceof BoardEntry) {
+        return { ...value, isDelayed: value.isDelayed, isCanceled: value.isCanceled };
+    }
+    if (value instanceof Error) {
+        return { ...value, type: value.name, message: value.message };
+    }
+    return value;
+}
+
+/**
+ * Wrap text in an ANSI color
+ * @param {string} text - Text
+ * @param {string|null} color - Color name ("red", "green", "yellow", "cyan", "bold", "dim")
+ * @param {boolean} [enabled] - `false` returns the text as it is
+ * @returns {string}
+ */
+export function colorize(text, color, enabled = true) {
+    if (!enabled || !color || !ANSI_CODES[color]) {
+        return text;
+    }
+    return `\x1b[${ANSI_CODES[color]}m${text}\x1b[0m`;
+}
+
+function cells(columns, record) {
+    return columns.map(column => {
+        const value = column.value(record);
+        return value === null || value === undefined ? '' : String(value);
+    });
+}
+
+function tableRow(columns, row, widths, record, options) {
+    return row.map((text, index) => {
+        const column = columns[index];
+        const padded = column.align === 'right' ? text.padStart(widths[index]) : text.padEnd(widths[index]);
+        // Colors are added after padding, escape codes have no width
+        const color = record ? (column.color ? column.color(record) : null) : 'bold';
+        return colorize(padded, color, options.color);
+    }).join('  ').trimEnd();
+}
+
+function csvField(text) {
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
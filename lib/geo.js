@@ -0,0 +1,71 @@
+/**
+ * Geographic helpers for `{ latitude, longitude }` locations in degrees
+ */
+
+const EARTH_RADIUS_KM = 6371.0088;
+
+/**
+ * Check whether a location has usable coordinates. SCOTTY and HAFAS report
+ * missing coordinates as 0/0.
+ * @param {Object|null} location - Location with `latitude` and `longitude`
+ * @returns {boolean}
+ */
+export function hasCoordinates(location) {
+    return Boolean(location) &&
+        isFinite(location.latitude) && isFinite(location.longitude) &&
+        (location.latitude !== 0 || location.longitude !== 0);
+}
+
+/**
+ * Great-circle distance between two locations (haversine formula)
+ * @param {Object} from - Location with `latitude` and `longitude`
+ * @param {Object} to - Location with `latitude` and `longitude`
+ * @returns {number} - Distance in kilometers
+ */
+export function distanceKm(from, to) {
+    const lat1 = toRadians(from.latitude);
+    const lat2 = toRadians(to.latitude);
+    const dLat = lat2 - lat1;
+    const dLon = toRadians(to.longitude - from.longitude);
+
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Point at a fraction of the great circle between two locations
+ * @param {Object} from - Start location
+ * @param {Object} to - End location
+ * @param {number} fraction - 0 for `from`, 1 for `to`
+ * @returns {{latitude: number, longitude: number}}
+ */
+export function interpolate(from, to, fraction) {
+    const lat1 = toRadians(from.latitude);
+    const lon1 = toRadians(from.longitude);
+    const lat2 = toRadians(to.latitude);
+    const lon2 = toRadians(to.longitude);
+    const angle = distanceKm(from, to) / EARTH_RADIUS_KM;
+
+    if (angle === 0) {
+        return { latitude: from.latitude, longitude: from.longitude };
+    }
+
+    const a = Math.sin((1 - fraction) * angle) / Math.sin(angle);
+    const b = Math.sin(fraction * angle) / Math.sin(angle);
+    const x = a * Math.cos(lat1) * Math.cos(lon1) + b * Math.cos(lat2) * Math.cos(lon2);
+    const y = a * Math.cos(lat1) * Math.sin(lon1) + b * Math.cos(lat2) * Math.sin(lon2);
+    const z = a * Math.sin(lat1) + b * Math.sin(lat2);
+
+    return {
+        latitude: toDegrees(Math.atan2(z, Math.sqrt(x * x + y * y))),
+        longitude: toDegrees(Math.atan2(y, x))
+    };
+}
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+function toDegrees(radians) {
+    return radians * 180 / Math.PI;
+}
@@ -0,0 +1,189 @@
+/**
+ * HAFAS mgate helpers
+ *
+ * The SCOTTY web timetable talks to a HAFAS "mgate" JSON endpoint. Unlike the
+ * tickets.oebb.at API it only needs the static client credentials below.
+ */
+
+import { OebbError, NotFoundError, UpstreamChangedError, bodySnippet } from './errors.js';
+import { fromVienna, viennaParts } from './time.js';
+
+export const MGATE_URL = 'https://fahrplan.oebb.at/bin/mgate.exe';
+
+const MGATE_CLIENT = {
+    id: 'OEBB',
+    type: 'IPH',
+    name: 'oebbPROD-ADHOC',
+    v: '6030600'
+};
+const MGATE_AUTH = {
+    type: 'AID',
+    aid: 'OWDL4fE4ixNiPBBm'
+};
+const MGATE_VERSION = '1.41';
+
+// HAFAS error codes meaning "nothing found" rather than a failure
+const NOT_FOUND_CODES = ['H890', 'H891', 'H892', 'H9220', 'LOCATION', 'SQ005'];
+
+/**
+ * Send a single service request to the mgate endpoint
+ * @param {HttpClient} http - HTTP client used for the request
+ * @param {string} url - mgate endpoint URL
+ * @param {string} method - HAFAS method (e.g., "TripSearch")
+ * @param {Object} req - Request payload for the method
+ * @param {string} [lang] - Response language ("de" or "en")
+ * @returns {Promise<Object>} - The `res` object of the service response
+ */
+export function mgateRequest(http, url, method, req, lang = 'de') {
+    const endpoint = url || MGATE_URL;
+
+    return http.postJson(endpoint, {
+        lang,
+        svcReqL: [{ meth: method, req }],
+        client: MGATE_CLIENT,
+        ver: MGATE_VERSION,
+        auth: MGATE_AUTH
+    })
+        .then(body => {
+            if (!body || !Array.isArray(body.svcResL) || !body.svcResL[0]) {
+                throw new UpstreamChangedError(`Invalid response format from HAFAS ${method}`, {
+                    endpoint,
+                    method,
+                    bodySnippet: bodySnippet(JSON.stringify(body || null))
+                });
+            }
+
+            const result = body.svcResL[0];
+            if (result.err && result.err !== 'OK') {
+                const message = `HAFAS ${method} failed: ${result.err}${result.errTxt ? ` (${result.errTxt})` : ''}`;
+                const ErrorClass = NOT_FOUND_CODES.includes(result.err) ? NotFoundError : OebbError;
+                throw new ErrorClass(message, { endpoint, method, code: result.err });
+            }
+
+            return result.res || {};
+        });
+}
+
+/**
+ * Build a HAFAS location reference for a station
+ * @param {string|number|Object} station - Station ID or station object
+ * @returns {Object} - Location for `depLocL`/`arrLocL`/`viaLocL`
+ */
+export function toLocation(station) {
+    const id = station && typeof station === 'object'
+        ? station.number || station.id
+        : station;
+    return { type: 'S', lid: `A=1@L=${id}@` };
+}
+
+/**
+ * Format a date as "YYYYMMDD" in Vienna time
+ * @param {Date} date - Date to format
+ * @returns {string}
+ */
+export function formatHafasDate(date) {
+    const parts = viennaParts(date);
+    return `${parts.year}${pad(parts.month)}${pad(parts.day)}`;
+}
+
+/**
+ * Format a time as "HHMMSS" in Vienna time
+ * @param {Date} date - Date to format
+ * @returns {string}
+ */
+export function formatHafasTime(date) {
+    const parts = viennaParts(date);
+    return `${pad(parts.hour)}${pad(parts.minute)}${pad(parts.second)}`;
+}
+
+/**
+ * Parse a HAFAS date ("YYYYMMDD") and time ("HHMMSS", or "DDHHMMSS" with a
+ * day offset for times past midnight of the service day) as Vienna time
+ * @param {string} date - Service day
+ * @param {string} time - Time of day, optionally prefixed with a day offset
+ * @returns {Date|null}
+ */
+export function parseHafasDateTime(date, time) {
+    const dateMatch = (date || '').match(/^(\d{4})(\d{2})(\d{2})$/);
+    const timeMatch = (time || '').match(/^(\d{2})?(\d{2})(\d{2})(\d{2})$/);
+    if (!dateMatch || !timeMatch) {
+        return null;
+    }
+
+    const dayOffset = timeMatch[1] ? parseInt(timeMatch[1]) : 0;
+    return fromVienna(
+        parseInt(dateMatch[1]),
+        parseInt(dateMatch[2]),
+        parseInt(dateMatch[3]) + dayOffset,
+        parseInt(timeMatch[2]),
+        parseInt(timeMatch[3]),
+        parseInt(timeMatch[4])
+    );
+}
+
+/**
+ * Parse a HAFAS duration ("HHMMSS" or "DDHHMMSS") into minutes
+ * @param {string} duration - Duration string
+ * @returns {number|null}
+ */
+export function parseHafasDuration(duration) {
+    const match = (duration || '').match(/^(\d{2})?(\d{2})(\d{2})(\d{2})$/);
+    if (!match) {
+        return null;
+    }
+    const days = match[1] ? parseInt(match[1]) : 0;
+    return days * 1440 + parseInt(match[2]) * 60 + parseInt(match[3]);
+}
+
+/**
+ * Difference between a scheduled and an expected time in minutes
+ * @param {Date|null} scheduled - Scheduled time
+ * @param {Date|null} expected - Real-time estimate
+ * @returns {number} - Delay in minutes, 0 if either time is missing
+ */
+export function delayMinutes(scheduled, expected) {
+    if (!scheduled || !expected) {
+        return 0;
+    }
+    return Math.round((expected - scheduled) / 60000);
+}
+
+/**
+ * Read a platform from a stop, supporting both the old string fields
+ * (`dPlatfS`) and the newer object fields (`dPltfS: {txt}`)
+ * @param {Object} stop - HAFAS stop object
+ * @param {string} prefix - "d" for departure, "a" for arrival
+ * @param {string} kind - "S" for scheduled, "R" for real-time
+ * @returns {string}
+ */
+export function parsePlatform(stop, prefix, kind) {
+    const platform = stop[`${prefix}Pltf${kind}`];
+    if (platform && platform.txt) {
+        return platform.txt;
+    }
+    return stop[`${prefix}Platf${kind}`] || '';
+}
+
+/**
+ * Turn a HAFAS location into the station shape used by this library
+ * @param {Object} loc - Entry of `common.locL`
+ * @returns {Object|null}
+ */
+export function parseLocation(loc) {
+    if (!loc) {
+        return null;
+    }
+    const crd = loc.crd || {};
+    return {
+        number: loc.extId || '',
+        name: loc.name || '',
+        location: {
+            longitude: crd.x ? crd.x / 1000000 : 0,
+            latitude: crd.y ? crd.y / 1000000 : 0
+        }
+    };
+}
+
+function pad(value) {
+    return value.toString().padStart(2, '0');
+}
@@ -0,0 +1,248 @@
+/**
+ * HTTP client with shared defaults on top of a pluggable transport
+ */
+
+import { FetchTransport } from './transport.js';
+import { silentLogger } from './logger.js';
+import { OebbError, NetworkError, HttpStatusError, ParseError, bodySnippet } from './errors.js';
+
+export const DEFAULT_HEADERS = Object.freeze({
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Accept': 'application/json, text/javascript, */*'
+});
+
+export const DEFAULT_TIMEOUT = 15000;
+
+export class HttpClient {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.transport] - Transport with a `request(options)` method (default: FetchTransport)
+     * @param {Object} [options.headers] - Headers added to every request
+     * @param {Object} [options.defaultHeaders] - Headers to start from instead of DEFAULT_HEADERS,
+     *   the browser headers SCOTTY expects
+     * @param {number} [options.timeout] - Request timeout in milliseconds (default: 15000)
+     * @param {string} [options.proxy] - Proxy URL for the default transport
+     * @param {AbortSignal} [options.signal] - Signal that aborts every request of this client
+     * @param {Object} [options.logger] - Logger receiving one structured event per request
+     * @param {RequestScheduler} [options.scheduler] - Scheduler every request is queued on (default: none)
+     */
+    constructor(options = {}) {
+        this.transport = options.transport || new FetchTransport({ proxy: options.proxy });
+        this.headers = { ...(options.defaultHeaders || DEFAULT_HEADERS), ...options.headers };
+        this.timeout = options.timeout !== undefined ? options.timeout : DEFAULT_TIMEOUT;
+        this.signal = options.signal || null;
+        this.logger = options.logger || silentLogger;
+        this.scheduler = options.scheduler || null;
+    }
+
+    /**
+     * Perform a request through the transport
+     * @param {Object} options
+     * @param {string} options.url - URL without query string
+     * @param {string} [options.method] - HTTP method (default: GET)
+     * @param {Object} [options.query] - Query parameters
+     * @param {Object} [options.headers] - Additional headers
+     * @param {*} [options.json] - Body to send as JSON
+     * @param {string} [options.body] - Raw body, if `json` is not given
+     * @param {number} [options.timeout] - Timeout for this request
+     * @param {AbortSignal} [options.signal] - Signal for this request
+     * @returns {Promise<Object>} - `{ status, headers, body, url }`
+     */
+    request(options) {
+        const headers = { ...this.headers, ...options.headers };
+        let body = options.body;
+
+        if (options.json !== undefined) {
+            body = JSON.stringify(options.json);
+            headers['Content-Type'] = 'application/json';
+        }
+
+        const timeout = options.timeout !== undefined ? options.timeout : this.timeout;
+        const method = options.method || 'GET';
+        const queued = Date.now();
+        const event = {
+            endpoint: options.url,
+            method,
+            params: options.query || options.json
+        };
+
+        const send = () => {
+            // The timeout only starts once the request leaves the queue
+            const { signal, cleanup } = combineSignals([this.signal, options.signal], timeout);
+            const started = Date.now();
+            if (this.scheduler) {
+                event.queuedMs = started - queued;
+            }
+
+            return Promise.resolve()
+                .then(() => this.transport.request({
+                    url: buildUrl(options.url, options.query),
+                    method,
+                    headers,
+                    body,
+                    signal
+                }))
+                .then(response => {
+                    cleanup();
+                    this.logger.debug('http request', {
+                        ...event,
+                        status: response.status,
+                        durationMs: Date.now() - started,
+                        bytes: Buffer.byteLength(response.body || '')
+                    });
+                    if (response.status < 200 || response.status >= 300) {
+                        throw new HttpStatusError(`HTTP ${response.status} from ${options.url}`, {
+                            endpoint: options.url,
+                            status: response.status,
+                            headers: response.headers || {},
+                            bodySnippet: bodySnippet(response.body)
+                        });
+                    }
+                    return response;
+                }, error => {
+                    const aborted = signal.aborted;
+                    cleanup();
+                    this.logger.warn('http request failed', {
+                        ...event,
+                        durationMs: Date.now() - started,
+                        error: error.message
+                    });
+                    if (error instanceof OebbError) {
+                        throw error;
+                    }
+                    // fetch rejects with the abort reason, which carries the timeout message
+                    throw new NetworkError(`Request to ${options.url} failed: ${error.message}`, {
+                        endpoint: options.url,
+                        code: aborted ? (signal.reason && signal.reason.timeout ? 'ETIMEDOUT' : 'ABORTED') : networkCode(error),
+                        cause: error
+                    });
+                });
+        };
+
+        if (!this.scheduler) {
+            return send();
+        }
+
+        const queue = combineSignals([this.signal, options.signal], 0);
+        return this.scheduler.schedule(send, { signal: queue.signal })
+            .then(response => {
+                queue.cleanup();
+                return response;
+            }, error => {
+                queue.cleanup();
+                if (error instanceof NetworkError && error.endpoint === undefined) {
+                    error.endpoint = options.url;
+                }
+                throw error;
+            });
+    }
+
+    /**
+     * GET a URL and resolve to the body text
+     * @param {string} url - URL without query string
+     * @param {Object} [query] - Query parameters
+     * @param {Object} [options] - Further request options
+     * @returns {Promise<string>}
+     */
+    getText(url, query, options = {}) {
+        return this.request({ ...options, url, query, method: 'GET' })
+            .then(response => response.body);
+    }
+
+    /**
+     * POST a JSON body and resolve to the parsed JSON response
+     * @param {string} url - URL
+     * @param {*} json - Body to send
+     * @param {Object} [options] - Further request options
+     * @returns {Promise<*>}
+     */
+    postJson(url, json, options = {}) {
+        return this.request({ ...options, url, json, method: 'POST' })
+            .then(response => {
+                try {
+                    return JSON.parse(response.body);
+                } catch (e) {
+                    throw new ParseError(`Invalid JSON from ${url}: ${e.message}`, {
+                        endpoint: url,
+                        bodySnippet: bodySnippet(response.body),
+                        cause: e
+                    });
+                }
+            });
+    }
+}
+
+/**
+ * Append query parameters to a URL
+ * @param {string} url - Base URL
+ * @param {Object} [query] - Query parameters, undefined values are skipped
+ * @returns {string}
+ */
+export function buildUrl(url, query) {
+    if (!query) {
+        return url;
+    }
+
+    const params = new URLSearchParams();
+    Object.keys(query).forEach(key => {
+        if (query[key] !== undefined && query[key] !== null) {
+            params.append(key, String(query[key]));
+        }
+    });
+
+    const search = params.toString();
+    if (!search) {
+        return url;
+    }
+    return `${url}${url.includes('?') ? '&' : '?'}${search}`;
+}
+
+/**
+ * Merge abort signals and a timeout into one signal
+ * @param {Array<AbortSignal|null>} signals - Signals to follow
+ * @param {number} timeout - Timeout in milliseconds (0 disables it)
+ * @returns {{signal: AbortSignal, cleanup: Function}}
+ */
+function combineSignals(signals, timeout) {
+    const controller = new AbortController();
+    const listeners = [];
+    let timer = null;
+
+    signals.filter(Boolean).forEach(signal => {
+        if (signal.aborted) {
+            controller.abort(signal.reason);
+            return;
+        }
+        const onAbort = () => controller.abort(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+        listeners.push(() => signal.removeEventListener('abort', onAbort));
+    });
+
+    if (timeout > 0 && !controller.signal.aborted) {
+        timer = setTimeout(() => {
+            const error = new Error(`Request timed out after ${timeout} ms`);
+            error.timeout = true;
+            controller.abort(error);
+        }, timeout);
+    }
+
+    return {
+        signal: controller.signal,
+        cleanup: () => {
+            clearTimeout(timer);
+            listeners.forEach(remove => remove());
+        }
+    };
+}
+
+/**
+ * Find the system error code (ECONNRESET, ENOTFOUND, ...) of a failed fetch
+ * @param {Error} error - Rejection of the transport
+ * @returns {string|undefined}
+ */
+function networkCode(error) {
+    if (error.code) {
+        return error.code;
+    }
+    return error.cause && error.cause.code ? error.cause.code : undefined;
+}
@@ -0,0 +1,91 @@
+/**
+ * Pluggable structured logging
+ *
+ * A logger is any object with `debug`, `info`, `warn` and `error` methods
+ * taking a message and an optional object of structured fields. Missing
+ * methods are treated as no-ops, so `console` or most logging libraries
+ * (pino, winston, bunyan adapters) can be passed in directly.
+ */
+
+export const LOG_LEVELS = Object.freeze(['debug', 'info', 'warn', 'error', 'silent']);
+
+/**
+ * Logger that drops everything (the default)
+ */
+export const silentLogger = Object.freeze({
+    debug() {},
+    info() {},
+    warn() {},
+    error() {}
+});
+
+/**
+ * Logger writing to stderr, so stdout stays clean for program output
+ */
+export class ConsoleLogger {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.level] - Minimum level: "debug", "info", "warn", "error" or "silent" (default: "info")
+     * @param {boolean} [options.json] - Write one JSON object per line instead of text
+     * @param {Object} [options.stream] - Writable stream (default: process.stderr)
+     */
+    constructor(options = {}) {
+        const level = options.level || 'info';
+        if (!LOG_LEVELS.includes(level)) {
+            throw new Error(`Unknown log level "${level}"`);
+        }
+        this.level = level;
+        this.json = Boolean(options.json);
+        this.stream = options.stream || process.stderr;
+    }
+
+    debug(message, fields) {
+        this._write('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this._write('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this._write('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this._write('error', message, fields);
+    }
+
+    _write(level, message, fields) {
+        if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(this.level)) {
+            return;
+        }
+
+        const time = new Date().toISOString();
+        if (this.json) {
+            this.stream.write(JSON.stringify({ ...fields, time, level, message }) + '\n');
+            return;
+        }
+
+        const details = fields && Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+        this.stream.write(`${time} [oebb] ${level}: ${message}${details}\n`);
+    }
+}
+
+/**
+ * Turn a user supplied logger into one with all four methods
+ * @param {Object} [logger] - Logger object, or undefined for the silent logger
+ * @returns {Object} - Logger with `debug`, `info`, `warn` and `error`
+ */
+export function createLogger(logger) {
+    if (!logger) {
+        return silentLogger;
+    }
+
+    const wrapped = {};
+    ['debug', 'info', 'warn', 'error'].forEach(level => {
+        wrapped[level] = typeof logger[level] === 'function'
+            ? logger[level].bind(logger)
+            : () => {};
+    });
+    return wrapped;
+}
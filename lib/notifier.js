@@ -0,0 +1,326 @@
+/**
+ * Train alerts
+ *
+ * A Notifier holds subscriptions ("tell me about RJ 373 at Wien Hbf if it is
+ * 10 minutes late") and sinks (webhook, mail, push). Board entries, results
+ * of `checkTrainDelay` or watcher events are checked against the
+ * subscriptions, and matching alerts go out to the sinks of the subscription.
+ * An alert is not sent again for the same train run unless its state changed.
+ */
+
+import { boardEntryKey } from './board-diff.js';
+import { ValidationError } from './errors.js';
+import { silentLogger } from './logger.js';
+import { isStationId } from './station-resolver.js';
+import { formatTime, toIsoString, viennaParts } from './time.js';
+
+/**
+ * Kind of an alert
+ * @readonly
+ * @enum {string}
+ */
+export const AlertType = Object.freeze({
+    DELAY: 'delay',
+    CANCELED: 'canceled',
+    PLATFORM: 'platform'
+});
+
+export const DEFAULT_SUBSCRIPTION = Object.freeze({
+    minDelay: 5,
+    delayStep: 5,
+    cancellations: true,
+    platformChanges: false
+});
+
+// How long sent alerts are remembered for de-duplication
+const DEDUPE_TTL_MS = 24 * 60 * 60 * 1000;
+
+export class Notifier {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.sinks] - Sinks by name (objects with a `send(alert)` method)
+     * @param {Array<Object>} [options.subscriptions] - Subscriptions (see subscribe)
+     * @param {Object} [options.logger] - Logger for failed deliveries
+     */
+    constructor(options = {}) {
+        this.sinks = new Map(Object.entries(options.sinks || {}));
+        this.subscriptions = new Map();
+        this.sent = new Map();
+        this.logger = options.logger || silentLogger;
+        this.nextId = 1;
+        (options.subscriptions || []).forEach(subscription => this.subscribe(subscription));
+    }
+
+    /**
+     * Add or replace a sink
+     * @param {string} name - Name subscriptions refer to
+     * @param {Object} sink - Object with a `send(alert)` method returning a promise
+     * @returns {Notifier} - This notifier
+     */
+    addSink(name, sink) {
+        if (!sink || typeof sink.send !== 'function') {
+            throw new TypeError(`Sink "${name}" has no send(alert) method`);
+        }
+        this.sinks.set(name, sink);
+        return this;
+    }
+
+    /**
+     * Subscribe to alerts
+     * @param {Object} subscription
+     * @param {string} [subscription.id] - ID for unsubscribe (default: generated)
+     * @param {string} [subscription.train] - Train name/number (default: all trains)
+     * @param {string|Object} [subscription.station] - Station ID or station object (default: all
+     *   stations); resolve names with `resolveStation` first
+     * @param {Array<string>} [subscription.sinks] - Names of the sinks to use (default: all)
+     * @param {number} [subscription.minDelay] - Only alert from this delay in minutes on (default: 5)
+     * @param {number} [subscription.delayStep] - Alert again once the delay changed by this many
+     *   minutes since the last alert (default: 5)
+     * @param {boolean} [subscription.cancellations] - Alert on cancellations (default: true)
+     * @param {boolean} [subscription.platformChanges] - Alert on platform changes (default: false)
+     * @param {Object} [subscription.quietHours] - `{ start: "22:00", end: "06:30" }` in Austrian
+     *   time; alerts are held back during that time and sent on a later check if still relevant
+     * @returns {Object} - The subscription with defaults applied
+     * @throws {ValidationError} - If `station` is not a station ID
+     */
+    subscribe(subscription = {}) {
+        const unknown = (subscription.sinks || []).filter(name => !this.sinks.has(name));
+        if (unknown.length > 0) {
+            throw new TypeError(`Unknown sink(s): ${unknown.join(', ')}`);
+        }
+        const quietHours = subscription.quietHours ? parseQuietHours(subscription.quietHours) : null;
+        const stored = {
+            ...DEFAULT_SUBSCRIPTION,
+            ...subscription,
+            id: subscription.id || String(this.nextId++),
+            station: subscriptionStation(subscription.station),
+            quietHours
+        };
+        this.subscriptions.set(stored.id, stored);
+        return stored;
+    }
+
+    /**
+     * Remove a subscription
+     * @param {string} id - Subscription ID
+     * @returns {boolean} - Whether the subscription existed
+     */
+    unsubscribe(id) {
+        return this.subscriptions.delete(String(id));
+    }
+
+    /**
+     * Check a train against the subscriptions and send the resulting alerts
+     * @param {BoardEntry|Object} train - Board entry, `checkTrainDelay` result or watch event
+     * @param {Date} [now] - Time of the check (default: now)
+     * @returns {Promise<Array<Object>>} - One `{ alert, sink, ok, result, error }` per delivery
+     */
+    check(train, now = new Date()) {
+        const entry = train && train.entry ? train.entry : (train && train.train) || train;
+        if (!entry || typeof entry.matches !== 'function') {
+            return Promise.reject(new TypeError('Expected a board entry, checkTrainDelay result or watch event'));
+        }
+        this._forgetOld(now);
+
+        const deliveries = [];
+        this.subscriptions.forEach(subscription => {
+            if (!matches(subscription, entry) || inQuietHours(subscription.quietHours, now)) {
+                return;
+            }
+            this._alertsFor(subscription, entry, now).forEach(alert => {
+                deliveries.push(this._deliver(subscription, alert, now));
+            });
+        });
+
+        return Promise.all(deliveries)
+            .then(results => results.flat());
+    }
+
+    /**
+     * Check every change a watcher reports
+     * @param {EventEmitter} watcher - TrainWatcher or BoardWatcher (see watchTrain)
+     * @returns {Function} - Detaches the notifier again
+     */
+    attach(watcher) {
+        const listener = event => {
+            this.check(event.entry)
+                .catch(error => this.logger.warn('Alert check failed', { error: error.message }));
+        };
+        const types = ['delayChanged', 'canceled', 'platformChanged'];
+        types.forEach(type => watcher.on(type, listener));
+        return () => types.forEach(type => watcher.off(type, listener));
+    }
+
+    /**
+     * Alerts a subscription gets for a train that were not sent before
+     * @param {Object} subscription - Subscription
+     * @param {BoardEntry} entry - Board entry of the train
+     * @param {Date} now - Time of the check
+     * @returns {Array<Object>}
+     */
+    _alertsFor(subscription, entry, now) {
+        const alerts = [];
+        const state = this.sent.get(sentKey(subscription, entry)) || {};
+
+        if (entry.isCanceled) {
+            if (subscription.cancellations && !state.canceled) {
+                alerts.push(createAlert(AlertType.CANCELED, subscription, entry, now));
+            }
+            return alerts;
+        }
+
+        const delay = entry.delayMinutes;
+        if (delay >= subscription.minDelay &&
+            (state.delayMinutes === undefined || Math.abs(delay - state.delayMinutes) >= subscription.delayStep)) {
+            alerts.push(createAlert(AlertType.DELAY, subscription, entry, now));
+        }
+
+        if (subscription.platformChanges && entry.platformChanged && entry.platform !== state.platform) {
+            alerts.push(createAlert(AlertType.PLATFORM, subscription, entry, now));
+        }
+
+        return alerts;
+    }
+
+    /**
+     * Send an alert to the sinks of a subscription. It counts as sent if one sink took it.
+     * @param {Object} subscription - Subscription
+     * @param {Object} alert - Alert
+     * @param {Date} now - Time of the check
+     * @returns {Promise<Array<Object>>}
+     */
+    _deliver(subscription, alert, now) {
+        const names = subscription.sinks || Array.from(this.sinks.keys());
+
+        return Promise.all(names.map(name => {
+            return Promise.resolve()
+                .then(() => this.sinks.get(name).send(alert))
+                .then(result => ({ alert, sink: name, ok: true, result }), error => {
+                    this.logger.warn('Alert delivery failed', { sink: name, type: alert.type, train: alert.train, error: error.message });
+                    return { alert, sink: name, ok: false, error };
+                });
+        }))
+            .then(results => {
+                if (results.some(result => result.ok)) {
+                    this._remember(subscription, alert, now);
+                }
+                return results;
+            });
+    }
+
+    _remember(subscription, alert, now) {
+        const key = `${subscription.id}|${alert.runId}`;
+        const state = this.sent.get(key) || {};
+        if (alert.type === AlertType.CANCELED) {
+            state.canceled = true;
+        } else if (alert.type === AlertType.DELAY) {
+            state.delayMinutes = alert.delayMinutes;
+        } else {
+            state.platform = alert.platform;
+        }
+        state.at = now.getTime();
+        this.sent.set(key, state);
+    }
+
+    _forgetOld(now) {
+        this.sent.forEach((state, key) => {
+            if (now.getTime() - state.at > DEDUPE_TTL_MS) {
+                this.sent.delete(key);
+            }
+        });
+    }
+}
+
+/**
+ * Build an alert
+ * @param {string} type - AlertType value
+ * @param {Object} subscription - Subscription it is for
+ * @param {BoardEntry} entry - Board entry of the train
+ * @param {Date} now - Time of the check
+ * @returns {Object} - Flat object, usable in sink templates
+ */
+function createAlert(type, subscription, entry, now) {
+    const departure = formatTime(entry.scheduledTime);
+    const towards = entry.destination ? ` to ${entry.destination}` : '';
+    const texts = {
+        [AlertType.DELAY]: [`${entry.name} delayed`, `${entry.name}${towards} (${departure}) is ${entry.delayMinutes} min late, expected at ${formatTime(entry.expectedTime)}`],
+        [AlertType.CANCELED]: [`${entry.name} canceled`, `${entry.name}${towards} (${departure}) is canceled`],
+        [AlertType.PLATFORM]: [`${entry.name} platform change`, `${entry.name}${towards} (${departure}) now leaves from platform ${entry.platform}`]
+    };
+
+    return {
+        type,
+        subscriptionId: subscription.id,
+        runId: boardEntryKey(entry),
+        train: entry.name,
+        stationId: entry.stationId,
+        destination: entry.destination || '',
+        delayMinutes: entry.delayMinutes,
+        platform: entry.platform,
+        canceled: entry.isCanceled,
+        scheduledTime: toIsoString(entry.scheduledTime),
+        expectedTime: toIsoString(entry.expectedTime),
+        title: texts[type][0],
+        message: texts[type][1],
+        time: toIsoString(now)
+    };
+}
+
+function matches(subscription, entry) {
+    if (subscription.train && !entry.matches(subscription.train)) {
+        return false;
+    }
+    return !subscription.station || subscription.station === entry.stationId;
+}
+
+/**
+ * Station ID of a subscription. Board entries only carry the ID, so a name
+ * would silently match nothing.
+ * @param {string|number|Object} [station] - Station ID or station object
+ * @returns {string|undefined}
+ */
+function subscriptionStation(station) {
+    if (station === undefined || station === null || station === '') {
+        return undefined;
+    }
+    const id = typeof station === 'object' ? station.number || station.id : station;
+    if (!id || !isStationId(id)) {
+        const label = typeof station === 'object' ? station.name : station;
+        throw new ValidationError(`Subscription station "${label}" is not a station ID; resolve names with resolveStation() first`, {
+            parameter: 'station'
+        });
+    }
+    return String(id).trim();
+}
+
+function sentKey(subscription, entry) {
+    return `${subscription.id}|${boardEntryKey(entry)}`;
+}
+
+/**
+ * Parse quiet hours into minutes of the day
+ * @param {Object} quietHours - `{ start: "HH:MM", end: "HH:MM" }`
+ * @returns {{start: number, end: number}}
+ */
+function parseQuietHours(quietHours) {
+    const toMinutes = value => {
+        const match = String(value || '').match(/^(\d{1,2}):(\d{2})$/);
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+            throw new TypeError(`Invalid quiet hours time "${value}" (use HH:MM)`);
+        }
+        return Number(match[1]) * 60 + Number(match[2]);
+    };
+    return { start: toMinutes(quietHours.start), end: toMinutes(quietHours.end) };
+}
+
+function inQuietHours(quietHours, now) {
+    if (!quietHours) {
+        return false;
+    }
+    const parts = viennaParts(now);
+    const minute = parts.hour * 60 + parts.minute;
+    // Quiet hours may run over midnight ("22:00" to "06:30")
+    return quietHours.start <= quietHours.end
+        ? minute >= quietHours.start && minute < quietHours.end
+        : minute >= quietHours.start || minute < quietHours.end;
+}
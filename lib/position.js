@@ -0,0 +1,143 @@
+/**
+ * Train position estimation
+ *
+ * The position is derived from the stop sequence of a trip: between two
+ * stops the train is assumed to move at constant speed along the straight
+ * (great-circle) line between the stations, using real-time times where
+ * available.
+ */
+
+import { distanceKm, hasCoordinates, interpolate } from './geo.js';
+
+/**
+ * State of a train at a point in time
+ * @readonly
+ * @enum {string}
+ */
+export const PositionStatus = Object.freeze({
+    SCHEDULED: 'scheduled',
+    STOPPED: 'stopped',
+    RUNNING: 'running',
+    ARRIVED: 'arrived',
+    CANCELED: 'canceled'
+});
+
+/**
+ * Estimated position of a train
+ */
+export class TrainPosition {
+    /**
+     * @param {Trip} trip - Trip with stops (see getTripDetails)
+     * @param {Date} [at] - Point in time (default: now)
+     */
+    constructor(trip, at = new Date()) {
+        // Canceled stops are passed without stopping
+        const stops = trip.stops.filter(stop => !stop.canceled && (arrivalOf(stop) || departureOf(stop)));
+
+        this.tripId = trip.id;
+        this.name = trip.name;
+        this.time = at;
+        this.status = PositionStatus.CANCELED;
+        this.currentStop = null;
+        this.segment = null;
+        this.progress = 0;
+        this.location = null;
+        this.nextStop = null;
+        this.eta = null;
+        this.distanceToNextStopKm = null;
+        this.delayMinutes = 0;
+
+        Object.defineProperty(this, 'trip', { value: trip, enumerable: false });
+
+        if (trip.canceled || stops.length === 0) {
+            return;
+        }
+
+        const first = stops[0];
+        const last = stops[stops.length - 1];
+
+        if (at < departureOf(first)) {
+            this._stopAt(PositionStatus.SCHEDULED, first, first, departureOf(first), first.departureDelay);
+            return;
+        }
+
+        for (let i = 0; i < stops.length; i++) {
+            const stop = stops[i];
+            const next = stops[i + 1] || null;
+
+            if (at >= arrivalOf(stop) && at <= departureOf(stop) && next) {
+                this._stopAt(PositionStatus.STOPPED, stop, next, arrivalOf(next), stop.departureDelay);
+                return;
+            }
+
+            if (next && at > departureOf(stop) && at < arrivalOf(next)) {
+                this._runBetween(stop, next, at);
+                return;
+            }
+        }
+
+        this._stopAt(PositionStatus.ARRIVED, last, null, null, last.arrivalDelay);
+    }
+
+    _stopAt(status, stop, nextStop, eta, delay) {
+        this.status = status;
+        this.currentStop = stop;
+        const location = locationOf(stop);
+        this.location = hasCoordinates(location)
+            ? { latitude: location.latitude, longitude: location.longitude }
+            : null;
+        this.progress = status === PositionStatus.ARRIVED ? 1 : 0;
+        this.nextStop = nextStop;
+        this.eta = eta;
+        this.delayMinutes = delay;
+
+        if (nextStop && nextStop !== stop && this.location && hasCoordinates(locationOf(nextStop))) {
+            this.distanceToNextStopKm = distanceKm(this.location, locationOf(nextStop));
+        } else if (nextStop === stop) {
+            this.distanceToNextStopKm = 0;
+        }
+    }
+
+    _runBetween(from, to, at) {
+        const start = departureOf(from);
+        const end = arrivalOf(to);
+
+        this.status = PositionStatus.RUNNING;
+        this.progress = Math.min(1, Math.max(0, (at - start) / (end - start)));
+        this.nextStop = to;
+        this.eta = end;
+        this.delayMinutes = to.arrivalDelay;
+        this.segment = { from, to, distanceKm: null };
+
+        const fromLocation = locationOf(from);
+        const toLocation = locationOf(to);
+        if (hasCoordinates(fromLocation) && hasCoordinates(toLocation)) {
+            this.segment.distanceKm = distanceKm(fromLocation, toLocation);
+            this.location = interpolate(fromLocation, toLocation, this.progress);
+            this.distanceToNextStopKm = this.segment.distanceKm * (1 - this.progress);
+        }
+    }
+}
+
+/**
+ * Estimate where a train is at a point in time
+ * @param {Trip} trip - Trip with stops (see getTripDetails)
+ * @param {Date} [at] - Point in time (default: now)
+ * @returns {TrainPosition}
+ */
+export function estimatePosition(trip, at = new Date()) {
+    return new TrainPosition(trip, at);
+}
+
+function arrivalOf(stop) {
+    return stop.expectedArrival || stop.expectedDeparture;
+}
+
+function departureOf(stop) {
+    return stop.expectedDeparture || stop.expectedArrival;
+}
+
+// Stops the trip response could not locate have no station
+function locationOf(stop) {
+    return stop.station ? stop.station.location : null;
+}
@@ -0,0 +1,155 @@
+/**
+ * Product classes and filters
+ *
+ * HAFAS groups services into product classes identified by bits. The station
+ * board takes them as a string with one digit per bit, lowest bit first
+ * ("0000110000000000" selects regional trains and S-Bahn), the mgate
+ * services as the number itself.
+ */
+
+import { ValidationError } from './errors.js';
+
+/**
+ * Product class of a service
+ * @readonly
+ * @enum {string}
+ */
+export const Product = Object.freeze({
+    RAILJET: 'railjet',
+    INTERCITY: 'intercity',
+    INTERREGIONAL: 'interregional',
+    REGIONAL: 'regional',
+    SBAHN: 'sbahn',
+    BUS: 'bus',
+    FERRY: 'ferry',
+    SUBWAY: 'subway',
+    TRAM: 'tram',
+    ONDEMAND: 'ondemand'
+});
+
+// Bits of each product class
+const PRODUCT_BITS = Object.freeze({
+    railjet: 1,
+    intercity: 2 | 4,
+    interregional: 8 | 4096,
+    regional: 16,
+    sbahn: 32,
+    bus: 64,
+    ferry: 128,
+    subway: 256,
+    tram: 512,
+    ondemand: 2048
+});
+
+// Digits of the station board filter
+const FILTER_LENGTH = 16;
+
+export const ALL_PRODUCTS = (1 << FILTER_LENGTH) - 1;
+
+// Product class by the category in front of the line number ("RJ 373", "S 7")
+const CATEGORIES = Object.freeze({
+    rjx: Product.RAILJET,
+    rj: Product.RAILJET,
+    ice: Product.RAILJET,
+    ece: Product.RAILJET,
+    tgv: Product.RAILJET,
+    wb: Product.RAILJET,
+    ic: Product.INTERCITY,
+    ec: Product.INTERCITY,
+    d: Product.INTERREGIONAL,
+    en: Product.INTERREGIONAL,
+    nj: Product.INTERREGIONAL,
+    ir: Product.INTERREGIONAL,
+    r: Product.REGIONAL,
+    rex: Product.REGIONAL,
+    cjx: Product.REGIONAL,
+    er: Product.REGIONAL,
+    re: Product.REGIONAL,
+    rb: Product.REGIONAL,
+    s: Product.SBAHN,
+    bus: Product.BUS,
+    icb: Product.BUS,
+    ev: Product.BUS,
+    schiff: Product.FERRY,
+    u: Product.SUBWAY,
+    str: Product.TRAM,
+    tram: Product.TRAM,
+    wlb: Product.TRAM,
+    ast: Product.ONDEMAND
+});
+
+/**
+ * Build the product bitmask for a product filter
+ * @param {string|number|Array<string>} [products] - Product class name(s) (e.g., `['sbahn', 'regional']`),
+ *   a bitmask or a station board filter string ("0000110000000000"); all products if omitted
+ * @returns {number}
+ * @throws {ValidationError} - For unknown product names or an empty selection
+ */
+export function productBitmask(products) {
+    if (products === undefined || products === null) {
+        return ALL_PRODUCTS;
+    }
+
+    let mask;
+    if (typeof products === 'number') {
+        mask = Number.isInteger(products) && products > 0 ? products : 0;
+    } else if (typeof products === 'string' && /^[01]+$/.test(products)) {
+        mask = parseInt(products.split('').reverse().join(''), 2);
+    } else {
+        const names = [].concat(products).map(normalizeProductName);
+        const unknown = names.filter(name => !PRODUCT_BITS[name]);
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unknown product(s): ${unknown.join(', ')} ` +
+                `(known: ${Object.values(Product).join(', ')})`, { parameter: 'products' });
+        }
+        mask = names.reduce((bits, name) => bits | PRODUCT_BITS[name], 0);
+    }
+
+    if (!mask) {
+        throw new ValidationError('A product filter has to select at least one product', { parameter: 'products' });
+    }
+    return mask;
+}
+
+/**
+ * Format a product bitmask as station board filter
+ * @param {number} mask - Product bitmask
+ * @returns {string} - e.g., 48 → "0000110000000000"
+ */
+export function formatProductFilter(mask) {
+    let filter = '';
+    for (let bit = 0; bit < FILTER_LENGTH; bit++) {
+        filter += (mask >> bit) & 1 ? '1' : '0';
+    }
+    return filter;
+}
+
+/**
+ * Decode the product class of a service
+ * @param {string} category - Category of the product name (e.g., "RJ", "S", "Bus")
+ * @param {number} [bits] - HAFAS product class bits (`cls` of `prodL` entries), preferred if given
+ * @returns {string|null} - Product value, null if unknown
+ */
+export function productClass(category, bits) {
+    if (bits) {
+        const match = Object.keys(PRODUCT_BITS).find(name => PRODUCT_BITS[name] & bits);
+        if (match) {
+            return match;
+        }
+    }
+    return CATEGORIES[String(category || '').toLowerCase()] || null;
+}
+
+/**
+ * Check whether a product class is selected by a bitmask
+ * @param {number} mask - Product bitmask
+ * @param {string|null} product - Product value; unknown classes are always included
+ * @returns {boolean}
+ */
+export function includesProduct(mask, product) {
+    return !product || Boolean(PRODUCT_BITS[product] & mask);
+}
+
+function normalizeProductName(name) {
+    return String(name).toLowerCase().replace(/[^a-z]/g, '');
+}
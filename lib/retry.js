@@ -0,0 +1,185 @@
+/**
+ * Retry policies with exponential backoff and jitter
+ *
+ * Transient failures are retried: network errors, 5xx and 429 responses and
+ * bodies that could not be parsed (usually a truncated JSONP response).
+ * Responses with an unexpected structure (UpstreamChangedError), 4xx errors
+ * and aborted requests are not retried.
+ */
+
+import { HttpStatusError, NetworkError, ParseError, UpstreamChangedError } from './errors.js';
+
+export const DEFAULT_RETRY_OPTIONS = Object.freeze({
+    maxAttempts: 3,
+    minDelay: 300,
+    maxDelay: 5000,
+    factor: 2,
+    jitter: 0.5,
+    maxRetryAfter: 30000
+});
+
+export class RetryPolicy {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxAttempts] - Attempts including the first one (default: 3)
+     * @param {number} [options.minDelay] - Delay before the first retry in milliseconds (default: 300)
+     * @param {number} [options.maxDelay] - Upper bound of the backoff delay (default: 5000)
+     * @param {number} [options.factor] - Backoff multiplier per attempt (default: 2)
+     * @param {number} [options.jitter] - Share of the delay that is randomized, 0 to 1 (default: 0.5)
+     * @param {number} [options.maxRetryAfter] - Longest Retry-After wait that is honored (default: 30000)
+     * @param {Function} [options.shouldRetry] - `(error, attempt) => boolean` replacing the default check
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_RETRY_OPTIONS, ...options };
+    }
+
+    /**
+     * Check whether an error is worth another attempt
+     * @param {Error} error - Error of the failed attempt
+     * @param {number} attempt - Number of the failed attempt (1-based)
+     * @returns {boolean}
+     */
+    isRetryable(error, attempt) {
+        if (this.options.shouldRetry) {
+            return Boolean(this.options.shouldRetry(error, attempt));
+        }
+        if (error instanceof NetworkError) {
+            return error.code !== 'ABORTED';
+        }
+        if (error instanceof HttpStatusError) {
+            return error.status === 429 || error.status >= 500;
+        }
+        if (error instanceof UpstreamChangedError) {
+            return false;
+        }
+        return error instanceof ParseError;
+    }
+
+    /**
+     * Delay before the next attempt
+     * @param {number} attempt - Number of the failed attempt (1-based)
+     * @param {Error} error - Error of the failed attempt
+     * @returns {number} - Delay in milliseconds
+     */
+    delayFor(attempt, error) {
+        const retryAfter = parseRetryAfter(error);
+        if (retryAfter !== null) {
+            return Math.min(retryAfter, this.options.maxRetryAfter);
+        }
+
+        const { minDelay, maxDelay, factor, jitter } = this.options;
+        const delay = Math.min(maxDelay, minDelay * Math.pow(factor, attempt - 1));
+        return Math.round(delay * (1 - jitter * Math.random()));
+    }
+
+    /**
+     * Run an operation, retrying transient failures
+     * @param {Function} operation - `(attempt) => Promise`
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops waiting for the next attempt
+     * @param {Function} [options.onRetry] - `(error, attempt, delay) => void`, called before waiting
+     * @returns {Promise<*>} - Result of the operation; failures carry the number of `attempts`
+     */
+    run(operation, options = {}) {
+        const maxAttempts = Math.max(1, this.options.maxAttempts);
+
+        const attempt = number => {
+            return Promise.resolve()
+                .then(() => operation(number))
+                .catch(error => {
+                    if (error && typeof error === 'object') {
+                        error.attempts = number;
+                    }
+                    if (number >= maxAttempts || !this.isRetryable(error, number) ||
+                        (options.signal && options.signal.aborted)) {
+                        throw error;
+                    }
+
+                    const delay = this.delayFor(number, error);
+                    if (options.onRetry) {
+                        options.onRetry(error, number, delay);
+                    }
+                    return sleep(delay, options.signal)
+                        .then(() => attempt(number + 1), () => {
+                            throw error;
+                        });
+                });
+        };
+
+        return attempt(1);
+    }
+}
+
+/**
+ * Build the retry policies of a client
+ * @param {Object|boolean} [config] - `false` to disable retries, or options for
+ *   all operations with per-operation overrides, e.g.
+ *   `{ maxAttempts: 4, board: { maxAttempts: 5 }, stations: { maxAttempts: 2 } }`
+ * @param {Array<string>} operations - Names of the operations
+ * @returns {Object<string, RetryPolicy>}
+ */
+export function createRetryPolicies(config, operations) {
+    const policies = {};
+    const base = config === false ? { maxAttempts: 1 } : { ...config };
+
+    operations.forEach(operation => {
+        const override = config && typeof config === 'object' ? config[operation] : undefined;
+        const shared = {};
+        Object.keys(base).forEach(key => {
+            if (!operations.includes(key)) {
+                shared[key] = base[key];
+            }
+        });
+        policies[operation] = override instanceof RetryPolicy
+            ? override
+            : new RetryPolicy(override === false ? { maxAttempts: 1 } : { ...shared, ...override });
+    });
+
+    return policies;
+}
+
+/**
+ * Read the Retry-After header of a 429/503 response
+ * @param {Error} error - Failed attempt
+ * @returns {number|null} - Delay in milliseconds or null if there is none
+ */
+function parseRetryAfter(error) {
+    if (!(error instanceof HttpStatusError) || !error.headers) {
+        return null;
+    }
+
+    const key = Object.keys(error.headers).find(name => name.toLowerCase() === 'retry-after');
+    const value = key ? String(error.headers[key]).trim() : '';
+    if (!value) {
+        return null;
+    }
+
+    if (/^\d+$/.test(value)) {
+        return parseInt(value) * 1000;
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, ms);
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
@@ -0,0 +1,165 @@
+/**
+ * Rate limiting and concurrency control for outbound requests
+ *
+ * All requests of a client pass through one RequestScheduler: a token bucket
+ * limits the request rate and a queue limits how many requests are in flight.
+ */
+
+import { NetworkError } from './errors.js';
+
+export const DEFAULT_SCHEDULER_OPTIONS = Object.freeze({
+    maxConcurrency: 4,
+    requestsPerSecond: 5,
+    burst: 5
+});
+
+/**
+ * Token bucket refilled continuously at a fixed rate
+ */
+export class TokenBucket {
+    /**
+     * @param {Object} options
+     * @param {number} options.rate - Tokens added per second (Infinity disables limiting)
+     * @param {number} [options.burst] - Bucket capacity (default: rate)
+     */
+    constructor(options) {
+        this.rate = options.rate;
+        this.capacity = Math.max(1, options.burst || options.rate);
+        this.tokens = this.capacity;
+        this.updated = Date.now();
+    }
+
+    /**
+     * Take a token if one is available
+     * @returns {number} - 0 if a token was taken, otherwise milliseconds until the next one
+     */
+    take() {
+        if (!isFinite(this.rate)) {
+            return 0;
+        }
+
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updated) / 1000 * this.rate);
+        this.updated = now;
+
+        if (this.tokens >= 1) {
+            this.tokens -= 1;
+            return 0;
+        }
+        return Math.ceil((1 - this.tokens) / this.rate * 1000);
+    }
+}
+
+export class RequestScheduler {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxConcurrency] - Requests in flight at the same time (default: 4)
+     * @param {number} [options.requestsPerSecond] - Sustained request rate (default: 5, Infinity disables)
+     * @param {number} [options.burst] - Requests allowed in a burst (default: 5)
+     */
+    constructor(options = {}) {
+        const settings = { ...DEFAULT_SCHEDULER_OPTIONS, ...options };
+        this.maxConcurrency = Math.max(1, settings.maxConcurrency);
+        this.bucket = new TokenBucket({ rate: settings.requestsPerSecond, burst: settings.burst });
+        this.queue = [];
+        this.active = 0;
+        this.timer = null;
+        this.counters = { started: 0, completed: 0, failed: 0, canceled: 0, maxQueued: 0 };
+    }
+
+    /**
+     * Run a task once a concurrency slot and a rate token are available
+     * @param {Function} task - `() => Promise`
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Removes the task from the queue when aborted
+     * @returns {Promise<*>} - Result of the task
+     */
+    schedule(task, options = {}) {
+        const signal = options.signal;
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                this.counters.canceled++;
+                reject(abortError(signal));
+                return;
+            }
+
+            const job = { task, resolve, reject, signal, onAbort: null };
+
+            if (signal) {
+                job.onAbort = () => {
+                    const index = this.queue.indexOf(job);
+                    if (index !== -1) {
+                        this.queue.splice(index, 1);
+                        this.counters.canceled++;
+                        reject(abortError(signal));
+                    }
+                };
+                signal.addEventListener('abort', job.onAbort, { once: true });
+            }
+
+            this.queue.push(job);
+            this.counters.maxQueued = Math.max(this.counters.maxQueued, this.queue.length);
+            this._drain();
+        });
+    }
+
+    /**
+     * Current queue depth and counters
+     * @returns {Object} - `{ queued, active, started, completed, failed, canceled, maxQueued }`
+     */
+    metrics() {
+        return {
+            queued: this.queue.length,
+            active: this.active,
+            ...this.counters
+        };
+    }
+
+    _drain() {
+        while (this.active < this.maxConcurrency && this.queue.length > 0) {
+            const wait = this.bucket.take();
+            if (wait > 0) {
+                if (!this.timer) {
+                    this.timer = setTimeout(() => {
+                        this.timer = null;
+                        this._drain();
+                    }, wait);
+                }
+                return;
+            }
+            this._run(this.queue.shift());
+        }
+    }
+
+    _run(job) {
+        if (job.signal && job.onAbort) {
+            job.signal.removeEventListener('abort', job.onAbort);
+        }
+
+        this.active++;
+        this.counters.started++;
+
+        Promise.resolve()
+            .then(job.task)
+            .then(result => {
+                this.counters.completed++;
+                job.resolve(result);
+            }, error => {
+                this.counters.failed++;
+                job.reject(error);
+            })
+            .then(() => {
+                this.active--;
+                this._drain();
+            });
+    }
+}
+
+function abortError(signal) {
+    const reason = signal.reason;
+    return new NetworkError(`Request aborted while queued${reason && reason.message ? `: ${reason.message}` : ''}`, {
+        code: 'ABORTED',
+        cause: reason instanceof Error ? reason : undefined
+    });
+}
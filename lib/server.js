@@ -0,0 +1,772 @@
+/**
+ * HTTP API server
+ *
+ * Exposes station search, station boards, delay checks and train tracking of
+ * an OebbClient as JSON routes, so services not written in JavaScript can use
+ * them. Query parameters are validated against the same route table the
+ * OpenAPI document at `/openapi.json` is generated from, and failures of the
+ * client are answered with one error format and a fitting status code.
+ * Live boards are streamed as Server-Sent Events, with one shared poll per
+ * station and filter however many clients listen.
+ */
+
+import http from 'http';
+import { OebbClient } from './client.js';
+import { BoardFeed, DEFAULT_FEED_INTERVAL, FeedEventType } from './board-feed.js';
+import { Product, productBitmask } from './products.js';
+import { StationType } from './station-types.js';
+import { jsonReplacer } from './format.js';
+import { parseDateTime } from './time.js';
+import {
+    AmbiguousStationError,
+    HttpStatusError,
+    NetworkError,
+    NotFoundError,
+    OebbError,
+    ParseError,
+    StationNotFoundError,
+    TrainNotFoundError,
+    ValidationError
+} from './errors.js';
+
+export const DEFAULT_SERVER_OPTIONS = Object.freeze({
+    port: 3000,
+    host: '127.0.0.1',
+    cors: '*'
+});
+
+// Largest `limit` accepted by the board routes
+const MAX_BOARD_LIMIT = 500;
+
+// Most stations one track request may check
+const MAX_TRACK_STATIONS = 20;
+
+// Comment lines sent on idle streams, so proxies keep the connection open
+const HEARTBEAT_MS = 15 * 1000;
+
+// Reconnection delay suggested to EventSource clients
+const STREAM_RETRY_MS = 5000;
+
+// Status code and error code per error class, most specific first
+const ERROR_RESPONSES = [
+    [AmbiguousStationError, 409, 'ambiguous_station'],
+    [StationNotFoundError, 404, 'station_not_found'],
+    [TrainNotFoundError, 404, 'train_not_found'],
+    [NotFoundError, 404, 'not_found'],
+    [NetworkError, 504, 'upstream_unavailable'],
+    [HttpStatusError, 502, 'upstream_error'],
+    [ParseError, 502, 'upstream_error'],
+    [ValidationError, 400, 'invalid_request'],
+    // Any other library error comes from a failed SCOTTY or HAFAS request
+    [OebbError, 502, 'upstream_failure']
+];
+
+// Error properties passed on to API clients
+const ERROR_DETAILS = ['query', 'candidates', 'trainName', 'stationId', 'parameter'];
+
+const BOARD_PARAMETERS = [
+    { name: 'date', type: 'date-time', description: 'Start of the board (default: now); times without offset are Austrian time' },
+    { name: 'to', type: 'date-time', description: 'End of a time window; the board is loaded page by page until it is covered' },
+    { name: 'products', type: 'list', values: Object.values(Product), description: 'Products to include' },
+    { name: 'direction', type: 'string', description: 'Station (ID or name) the trains have to head towards' },
+    { name: 'destination', type: 'list', description: 'Destination name(s) of the trains (departures only)' },
+    { name: 'via', type: 'string', description: 'Station (ID or name) the trains have to call at' },
+    { name: 'limit', type: 'integer', min: 1, max: MAX_BOARD_LIMIT, description: 'Maximum number of entries' }
+];
+
+// Filters of a live board; its time always starts now
+const STREAM_PARAMETERS = BOARD_PARAMETERS.filter(parameter => ['products', 'direction', 'destination', 'via'].includes(parameter.name));
+
+const STREAM_DESCRIPTION = 'Server-Sent Events: `snapshot` with all `entries` first, then `diff` events with ' +
+    '`added`, `removed`, `delayUpdated`, `platformChanged` and `canceled` entries, `error` events for failed polls';
+
+/**
+ * A request that matches no route or uses the wrong method
+ */
+class RouteError extends OebbError {}
+
+/**
+ * The routes of the API. Path parameters are written as `:name`.
+ */
+const ROUTES = [
+    {
+        path: '/stations',
+        operationId: 'searchStations',
+        summary: 'Search stations by name',
+        parameters: [
+            { name: 'q', type: 'string', required: true, description: 'Station name or part of it' },
+            { name: 'limit', type: 'integer', min: 1, max: 50, default: 15, description: 'Maximum number of stations' },
+            { name: 'types', type: 'list', values: Object.values(StationType), description: 'Result types (default: station,area)' }
+        ],
+        response: { description: 'Matching stations, best match first', schema: { type: 'array', items: { $ref: '#/components/schemas/Station' } } },
+        handle: (client, input) => client.searchStations(input.q, input.limit, { types: input.types })
+    },
+    {
+        path: '/stations/nearby',
+        operationId: 'searchNearbyStations',
+        summary: 'Find stations around a point, nearest first',
+        parameters: [
+            { name: 'lat', type: 'number', required: true, min: -90, max: 90, description: 'Latitude in degrees' },
+            { name: 'lon', type: 'number', required: true, min: -180, max: 180, description: 'Longitude in degrees' },
+            { name: 'radius', type: 'integer', min: 1, max: 10000, default: 1000, description: 'Search radius in meters' },
+            { name: 'limit', type: 'integer', min: 1, max: 50, default: 10, description: 'Maximum number of stations' }
+        ],
+        response: { description: 'Stations with `location.distanceInKm`', schema: { type: 'array', items: { $ref: '#/components/schemas/Station' } } },
+        handle: (client, input) => client.searchNearbyStations(input.lat, input.lon, { radiusMeters: input.radius, limit: input.limit })
+    },
+    {
+        path: '/stations/:id/departures',
+        operationId: 'getTrainDepartures',
+        summary: 'Departure board of a station',
+        parameters: [
+            { name: 'id', in: 'path', type: 'string', required: true, description: 'Station ID or name' },
+            ...BOARD_PARAMETERS
+        ],
+        response: { description: 'Departures', schema: { type: 'array', items: { $ref: '#/components/schemas/BoardEntry' } } },
+        handle: (client, input) => client.getTrainDepartures(input.id, boardOptions(input))
+            .then(entries => entries.slice(0, input.limit))
+    },
+    {
+        path: '/stations/:id/arrivals',
+        operationId: 'getTrainArrivals',
+        summary: 'Arrival board of a station',
+        parameters: [
+            { name: 'id', in: 'path', type: 'string', required: true, description: 'Station ID or name' },
+            ...BOARD_PARAMETERS
+        ],
+        response: { description: 'Arrivals', schema: { type: 'array', items: { $ref: '#/components/schemas/BoardEntry' } } },
+        handle: (client, input) => client.getTrainArrivals(input.id, boardOptions(input))
+            .then(entries => entries.slice(0, input.limit))
+    },
+    {
+        path: '/stations/:id/departures/stream',
+        operationId: 'streamDepartures',
+        summary: 'Live departure board of a station',
+        parameters: [
+            { name: 'id', in: 'path', type: 'string', required: true, description: 'Station ID or name' },
+            ...STREAM_PARAMETERS
+        ],
+        response: { description: STREAM_DESCRIPTION, contentType: 'text/event-stream', schema: { type: 'string' } },
+        stream: true,
+        handle: (client, input, server) => server.feed(input.id, 'dep', boardOptions(input))
+    },
+    {
+        path: '/stations/:id/arrivals/stream',
+        operationId: 'streamArrivals',
+        summary: 'Live arrival board of a station',
+        parameters: [
+            { name: 'id', in: 'path', type: 'string', required: true, description: 'Station ID or name' },
+            ...STREAM_PARAMETERS
+        ],
+        response: { description: STREAM_DESCRIPTION, contentType: 'text/event-stream', schema: { type: 'string' } },
+        stream: true,
+        handle: (client, input, server) => server.feed(input.id, 'arr', boardOptions(input))
+    },
+    {
+        path: '/trains/:name/delay',
+        operationId: 'checkTrainDelay',
+        summary: 'Delay of a train at a station',
+        parameters: [
+            { name: 'name', in: 'path', type: 'string', required: true, description: 'Train name/number (e.g., "RJ 373")' },
+            { name: 'station', type: 'string', required: true, description: 'Station ID or name' },
+            { name: 'date', type: 'date-time', description: 'Start of the departure board to look in (default: now)' }
+        ],
+        response: { description: 'Delay status of the train', schema: { $ref: '#/components/schemas/DelayResult' } },
+        handle: (client, input) => client.checkTrainDelay(input.station, input.name, { date: input.date })
+    },
+    {
+        path: '/trains/:name/track',
+        operationId: 'trackTrainJourney',
+        summary: 'Status of a train at several stations',
+        parameters: [
+            { name: 'name', in: 'path', type: 'string', required: true, description: 'Train name/number (e.g., "RJ 373")' },
+            { name: 'stations', type: 'list', max: MAX_TRACK_STATIONS, description: 'Station IDs or names (default: all stops of the run)' },
+            { name: 'date', type: 'date-time', description: 'Service day of the run (default: today)' }
+        ],
+        response: { description: 'One status per station', schema: { type: 'array', items: { $ref: '#/components/schemas/TrackResult' } } },
+        handle: (client, input) => client.trackTrainJourney(input.name, input.stations, { date: input.date })
+    }
+];
+
+/**
+ * HTTP server answering API requests with an OebbClient
+ */
+export class ApiServer {
+    /**
+     * @param {Object} [options]
+     * @param {OebbClient} [options.client] - Client answering the requests (default: a new client
+     *   created with `options.clientOptions`)
+     * @param {Object} [options.clientOptions] - Options of the default client
+     * @param {string|Array<string>|boolean} [options.cors] - Allowed origin(s), `true` or "*" for
+     *   any origin, `false` to send no CORS headers (default: "*")
+     * @param {Object} [options.logger] - Logger receiving one event per request (default: the client's)
+     * @param {number} [options.streamInterval] - Time between polls of live boards in milliseconds
+     *   (default: 30 s)
+     */
+    constructor(options = {}) {
+        this.client = options.client || new OebbClient(options.clientOptions);
+        this.cors = options.cors !== undefined ? options.cors : DEFAULT_SERVER_OPTIONS.cors;
+        this.logger = options.logger || this.client.logger;
+        this.streamInterval = options.streamInterval || DEFAULT_FEED_INTERVAL;
+        this.routes = ROUTES.map(route => ({ ...route, pattern: routePattern(route.path) }));
+        // Live boards by station, board type and filters
+        this.feeds = new Map();
+        // Functions ending the open streams
+        this.streams = new Set();
+        this.server = http.createServer((request, response) => this.handle(request, response));
+    }
+
+    /**
+     * Start listening
+     * @param {number} [port] - Port (default: 3000, 0 for any free port)
+     * @param {string} [host] - Interface (default: "127.0.0.1")
+     * @returns {Promise<Object>} - Address the server listens on (`{ address, port }`)
+     */
+    listen(port = DEFAULT_SERVER_OPTIONS.port, host = DEFAULT_SERVER_OPTIONS.host) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                resolve(this.server.address());
+            });
+        });
+    }
+
+    /**
+     * Stop accepting connections, end open streams and close idle connections
+     * @returns {Promise<void>}
+     */
+    close() {
+        this.streams.forEach(end => end());
+        return new Promise((resolve, reject) => {
+            this.server.close(error => (error ? reject(error) : resolve()));
+            this.server.closeIdleConnections();
+        });
+    }
+
+    /**
+     * Answer one request
+     * @param {http.IncomingMessage} request - Request
+     * @param {http.ServerResponse} response - Response
+     * @returns {Promise<void>} - Resolves once the response is sent
+     */
+    handle(request, response) {
+        const started = Date.now();
+        const url = new URL(request.url, 'http://localhost');
+        this._setCorsHeaders(request, response);
+
+        return Promise.resolve()
+            .then(() => this._dispatch(request, url))
+            .catch(error => {
+                const body = errorBody(error);
+                if (body.error.status === 500) {
+                    this.logger.error('API request failed', { path: url.pathname, error: error.message });
+                }
+                return { status: body.error.status, body, headers: error.allow ? { Allow: error.allow } : {} };
+            })
+            .then(result => {
+                if (result.feed) {
+                    this._stream(request, response, result.feed, url);
+                    return;
+                }
+                const headers = { ...result.headers };
+                let payload = '';
+                if (result.body !== undefined) {
+                    headers['Content-Type'] = 'application/json; charset=utf-8';
+                    payload = JSON.stringify(result.body, jsonReplacer);
+                }
+                response.writeHead(result.status, headers);
+                response.end(payload);
+                this.logger.info('API request', {
+                    method: request.method,
+                    path: url.pathname,
+                    status: result.status,
+                    durationMs: Date.now() - started
+                });
+            });
+    }
+
+    /**
+     * The OpenAPI 3 description of the routes
+     * @returns {Object}
+     */
+    openApiDocument() {
+        return openApiDocument(this.routes);
+    }
+
+    /**
+     * The shared live board of a station, created on first use
+     * @param {string|Object} station - Station ID, object or name
+     * @param {string} boardType - "dep" or "arr"
+     * @param {Object} [options] - Board filters (`products`, `direction`, `destination`, `via`)
+     * @returns {Promise<BoardFeed>} - Rejects if the station or a filter is invalid
+     */
+    feed(station, boardType, options = {}) {
+        if (options.products !== undefined) {
+            try {
+                productBitmask(options.products);
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        }
+        const resolveOption = name => (options[name] ? this.client.resolveStation(options[name]).then(resolved => resolved.number) : undefined);
+
+        return Promise.all([this.client.resolveStation(station), resolveOption('direction'), resolveOption('via')])
+            .then(([resolved, direction, via]) => {
+                const stationId = resolved.number;
+                const filters = { ...options, direction, via };
+                const key = JSON.stringify([stationId, boardType, filters]);
+                let feed = this.feeds.get(key);
+                if (!feed) {
+                    const load = () => {
+                        const boardOptions = { ...filters, date: new Date() };
+                        return boardType === 'arr'
+                            ? this.client.getTrainArrivals(stationId, boardOptions)
+                            : this.client.getTrainDepartures(stationId, boardOptions);
+                    };
+                    feed = new BoardFeed(load, {
+                        stationId,
+                        boardType,
+                        interval: this.streamInterval,
+                        logger: this.logger,
+                        onIdle: idle => {
+                            if (this.feeds.get(key) === idle) {
+                                this.feeds.delete(key);
+                            }
+                        }
+                    });
+                    this.feeds.set(key, feed);
+                }
+                return feed;
+            });
+    }
+
+    _dispatch(request, url) {
+        if (request.method === 'OPTIONS') {
+            return { status: 204 };
+        }
+        if (url.pathname === '/openapi.json') {
+            assertMethod(request, 'GET');
+            return { status: 200, body: this.openApiDocument() };
+        }
+
+        for (const route of this.routes) {
+            const match = url.pathname.match(route.pattern);
+            if (match) {
+                assertMethod(request, 'GET');
+                const input = parseInput(route, match, url.searchParams);
+                return route.handle(this.client, input, this)
+                    .then(body => (route.stream ? { status: 200, feed: body } : { status: 200, body }));
+            }
+        }
+
+        throw new RouteError(`No route for ${url.pathname}`, { status: 404, code: 'route_not_found' });
+    }
+
+    /**
+     * Send the events of a live board as Server-Sent Events until the client leaves
+     * @param {http.IncomingMessage} request - Request
+     * @param {http.ServerResponse} response - Response
+     * @param {BoardFeed} feed - Live board
+     * @param {URL} url - Request URL
+     */
+    _stream(request, response, feed, url) {
+        // The client may have left while the station was resolved
+        if (response.destroyed) {
+            feed.releaseIfIdle();
+            this.logger.info('API stream closed before it opened', { path: url.pathname });
+            return;
+        }
+        const opened = Date.now();
+        let id = 0;
+
+        response.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            // Keeps nginx from buffering the events
+            'X-Accel-Buffering': 'no'
+        });
+        response.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+        const send = ({ type, error, ...fields }) => {
+            const data = type === FeedEventType.ERROR ? { ...fields, error: errorBody(error).error } : fields;
+            response.write(`id: ${++id}\nevent: ${type}\ndata: ${JSON.stringify(data, jsonReplacer)}\n\n`);
+        };
+        const heartbeat = setInterval(() => response.write(': keep-alive\n\n'), HEARTBEAT_MS);
+        const unsubscribe = feed.subscribe(send);
+
+        const end = () => {
+            if (!this.streams.delete(end)) {
+                return;
+            }
+            clearInterval(heartbeat);
+            unsubscribe();
+            response.end();
+            this.logger.info('API stream closed', { path: url.pathname, events: id, durationMs: Date.now() - opened });
+        };
+        this.streams.add(end);
+        response.on('close', end);
+        this.logger.info('API stream opened', { path: url.pathname, stationId: feed.stationId, listeners: feed.size });
+    }
+
+    _setCorsHeaders(request, response) {
+        if (!this.cors) {
+            return;
+        }
+        const origin = request.headers.origin;
+        if (this.cors === true || this.cors === '*') {
+            response.setHeader('Access-Control-Allow-Origin', '*');
+        } else if (origin && [].concat(this.cors).includes(origin)) {
+            response.setHeader('Access-Control-Allow-Origin', origin);
+            response.setHeader('Vary', 'Origin');
+        } else {
+            return;
+        }
+        response.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+        response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        response.setHeader('Access-Control-Max-Age', '86400');
+    }
+}
+
+/**
+ * Create an API server (see ApiServer)
+ * @param {Object} [options] - Server options
+ * @returns {ApiServer}
+ */
+export function createServer(options = {}) {
+    return new ApiServer(options);
+}
+
+/**
+ * Error JSON for a failure: `{ error: { status, code, type, message, ... } }`
+ * @param {Error} error - Failure
+ * @returns {Object}
+ */
+export function errorBody(error) {
+    let [status, code] = [500, 'internal_error'];
+    if (error instanceof RouteError) {
+        ({ status, code } = error);
+    } else {
+        const known = ERROR_RESPONSES.find(([type]) => error instanceof type);
+        if (known) {
+            [, status, code] = known;
+        }
+    }
+
+    const body = {
+        status,
+        code,
+        type: error.name,
+        // Messages of unexpected errors may reveal internals
+        message: status === 500 ? 'Internal server error' : error.message
+    };
+    ERROR_DETAILS.forEach(key => {
+        if (error[key] !== undefined) {
+            body[key] = error[key];
+        }
+    });
+    if (error instanceof HttpStatusError) {
+        body.upstreamStatus = error.status;
+    }
+    return { error: body };
+}
+
+function assertMethod(request, method) {
+    if (request.method !== method) {
+        throw new RouteError(`Method ${request.method} not allowed`, {
+            status: 405,
+            code: 'method_not_allowed',
+            allow: `${method}, OPTIONS`
+        });
+    }
+}
+
+/**
+ * Regular expression matching a route path, with one group per `:name`
+ * @param {string} path - Route path
+ * @returns {RegExp}
+ */
+function routePattern(path) {
+    const source = path.split('/')
+        .map(part => (part.startsWith(':') ? '([^/]+)' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+        .join('/');
+    return new RegExp(`^${source}/?$`);
+}
+
+/**
+ * Validate and convert the parameters of a request
+ * @param {Object} route - Matched route
+ * @param {Array<string>} match - Result of matching the route pattern
+ * @param {URLSearchParams} query - Query parameters
+ * @returns {Object} - Values by parameter name
+ * @throws {ValidationError} - If a parameter is missing or invalid
+ */
+function parseInput(route, match, query) {
+    const input = {};
+    let group = 1;
+
+    route.parameters.forEach(parameter => {
+        let raw;
+        if (parameter.in === 'path') {
+            try {
+                raw = decodeURIComponent(match[group++]);
+            } catch (error) {
+                throw invalid(parameter, 'is not valid URL encoding');
+            }
+        } else {
+            const values = query.getAll(parameter.name);
+            raw = parameter.type === 'list' ? values.join(',') : values[0];
+        }
+
+        if (raw === undefined || raw.trim() === '') {
+            if (parameter.required) {
+                throw invalid(parameter, 'is required');
+            }
+            input[parameter.name] = parameter.default;
+            return;
+        }
+        input[parameter.name] = convertParameter(parameter, raw.trim());
+    });
+
+    return input;
+}
+
+function convertParameter(parameter, raw) {
+    switch (parameter.type) {
+    case 'integer':
+    case 'number': {
+        const value = Number(raw);
+        if (!isFinite(value) || (parameter.type === 'integer' && !Number.isInteger(value))) {
+            throw invalid(parameter, `has to be ${parameter.type === 'integer' ? 'an integer' : 'a number'}`);
+        }
+        if ((parameter.min !== undefined && value < parameter.min) || (parameter.max !== undefined && value > parameter.max)) {
+            throw invalid(parameter, `has to be between ${parameter.min} and ${parameter.max}`);
+        }
+        return value;
+    }
+    case 'date-time': {
+        const value = parseDateTime(raw);
+        if (!value) {
+            throw invalid(parameter, 'has to be a date ("2025-05-07T20:58", with offset, or "20:58")');
+        }
+        return value;
+    }
+    case 'list': {
+        const values = raw.split(',').map(value => value.trim()).filter(value => value);
+        if (parameter.max !== undefined && values.length > parameter.max) {
+            throw invalid(parameter, `takes at most ${parameter.max} values`);
+        }
+        return values;
+    }
+    default:
+        return raw;
+    }
+}
+
+function invalid(parameter, problem) {
+    return new ValidationError(`Parameter "${parameter.name}" ${problem}`, { parameter: parameter.name });
+}
+
+/**
+ * Client options of the board routes
+ * @param {Object} input - Validated parameters
+ * @returns {Object}
+ */
+function boardOptions(input) {
+    const options = {};
+    ['date', 'to', 'products', 'direction', 'destination', 'via'].forEach(name => {
+        if (input[name] !== undefined) {
+            options[name] = input[name];
+        }
+    });
+    return options;
+}
+
+/**
+ * Build the OpenAPI document of the routes
+ * @param {Array<Object>} routes - Routes
+ * @returns {Object}
+ */
+function openApiDocument(routes) {
+    const errorResponse = { $ref: '#/components/responses/Error' };
+    const paths = {};
+
+    routes.forEach(route => {
+        const path = route.path.replace(/:(\w+)/g, '{$1}');
+        paths[path] = {
+            get: {
+                operationId: route.operationId,
+                summary: route.summary,
+                parameters: route.parameters.map(openApiParameter),
+                responses: {
+                    200: {
+                        description: route.response.description,
+                        content: { [route.response.contentType || 'application/json']: { schema: route.response.schema } }
+                    },
+                    400: errorResponse,
+                    404: errorResponse,
+                    409: errorResponse,
+                    502: errorResponse,
+                    504: errorResponse
+                }
+            }
+        };
+    });
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'ÖBB API',
+            version: '1.0.0',
+            description: 'Stations, live departures and arrivals, delays and train runs of the Austrian Federal Railways'
+        },
+        paths,
+        components: {
+            responses: {
+                Error: {
+                    description: 'Invalid request or failed upstream request',
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+                }
+            },
+            schemas: SCHEMAS
+        }
+    };
+}
+
+function openApiParameter(parameter) {
+    const schema = {
+        'integer': { type: 'integer' },
+        'number': { type: 'number' },
+        'date-time': { type: 'string', format: 'date-time' },
+        'list': { type: 'array', items: { type: 'string' } }
+    }[parameter.type] || { type: 'string' };
+
+    if (parameter.type === 'list') {
+        if (parameter.values) {
+            schema.items.enum = parameter.values;
+        }
+        if (parameter.max !== undefined) {
+            schema.maxItems = parameter.max;
+        }
+    } else {
+        ['min', 'max'].forEach(bound => {
+            if (parameter[bound] !== undefined) {
+                schema[bound === 'min' ? 'minimum' : 'maximum'] = parameter[bound];
+            }
+        });
+    }
+    if (parameter.default !== undefined) {
+        schema.default = parameter.default;
+    }
+
+    return {
+        name: parameter.name,
+        in: parameter.in || 'query',
+        required: Boolean(parameter.required),
+        description: parameter.description,
+        schema,
+        ...(parameter.type === 'list' ? { style: 'form', explode: false } : {})
+    };
+}
+
+const dateTime = { type: 'string', format: 'date-time', nullable: true };
+
+const SCHEMAS = Object.freeze({
+    Error: {
+        type: 'object',
+        properties: {
+            error: {
+                type: 'object',
+                required: ['status', 'code', 'type', 'message'],
+                properties: {
+                    status: { type: 'integer' },
+                    code: {
+                        type: 'string',
+                        enum: Array.from(new Set(['route_not_found', 'method_not_allowed', 'internal_error',
+                            ...ERROR_RESPONSES.map(([, , code]) => code)]))
+                    },
+                    type: { type: 'string', description: 'Error class (e.g., "StationNotFoundError")' },
+                    message: { type: 'string' },
+                    parameter: { type: 'string', description: 'Invalid parameter' },
+                    query: { type: 'string', description: 'Station name that was not found or is ambiguous' },
+                    candidates: { type: 'array', items: { $ref: '#/components/schemas/Station' } },
+                    trainName: { type: 'string' },
+                    stationId: { type: 'string' },
+                    upstreamStatus: { type: 'integer' }
+                }
+            }
+        }
+    },
+    Station: {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            number: { type: 'string', description: 'Station ID' },
+            type: { type: 'string', enum: Object.values(StationType) },
+            meta: { type: 'string' },
+            location: {
+                type: 'object',
+                properties: {
+                    latitude: { type: 'number' },
+                    longitude: { type: 'number' },
+                    distanceInKm: { type: 'number' }
+                }
+            }
+        }
+    },
+    BoardEntry: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            boardType: { type: 'string', enum: ['dep', 'arr'] },
+            stationId: { type: 'string' },
+            name: { type: 'string' },
+            category: { type: 'string' },
+            number: { type: 'string' },
+            productClass: { type: 'string', nullable: true },
+            scheduledTime: dateTime,
+            expectedTime: dateTime,
+            delayMinutes: { type: 'integer' },
+            platform: { type: 'string' },
+            platformChanged: { type: 'boolean' },
+            cancellation: { type: 'string', enum: ['none', 'partial', 'canceled'] },
+            status: { type: 'string', nullable: true },
+            origin: { type: 'string' },
+            destination: { type: 'string' },
+            destinationArrivalTime: dateTime,
+            isDelayed: { type: 'boolean' },
+            isCanceled: { type: 'boolean' }
+        }
+    },
+    DelayResult: {
+        type: 'object',
+        properties: {
+            train: { $ref: '#/components/schemas/BoardEntry' },
+            isDelayed: { type: 'boolean' },
+            delayMinutes: { type: 'integer' },
+            scheduledDeparture: dateTime,
+            actualDeparture: dateTime,
+            platform: { type: 'string' },
+            direction: { type: 'string' },
+            status: { type: 'string', nullable: true },
+            cancellation: { type: 'string', enum: ['none', 'partial', 'canceled'] },
+            canceled: { type: 'boolean' }
+        }
+    },
+    TrackResult: {
+        type: 'object',
+        properties: {
+            stationId: { type: 'string' },
+            found: { type: 'boolean' },
+            status: { type: 'string', enum: ['scheduled', 'delayed', 'departed', 'canceled', 'not_found'] },
+            train: { $ref: '#/components/schemas/BoardEntry' },
+            stop: { type: 'object', description: 'Stop of the run (without `stations`)' },
+            scheduledDeparture: dateTime,
+            actualDeparture: dateTime,
+            delayMinutes: { type: 'integer' },
+            platform: { type: 'string' },
+            departed: { type: 'boolean' }
+        }
+    }
+});
@@ -0,0 +1,198 @@
+/**
+ * Notification sinks
+ *
+ * A sink is any object with a `send(alert)` method returning a promise. The
+ * sinks below post alerts to an HTTP webhook, send them as mail over SMTP, or
+ * push them to an ntfy or Gotify server. Texts and webhook bodies can be
+ * templated with `{{field}}` placeholders naming fields of the alert.
+ */
+
+import { HttpClient } from './http-client.js';
+import { sendMail } from './smtp.js';
+
+// Webhook and push servers get the library's own User-Agent instead of the
+// browser headers sent to SCOTTY
+const SINK_HEADERS = Object.freeze({
+    'User-Agent': 'oebb-direct'
+});
+
+/**
+ * Posts alerts as JSON to a URL
+ */
+export class WebhookSink {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Webhook URL
+     * @param {string} [options.method] - HTTP method (default: POST)
+     * @param {Object} [options.headers] - Additional headers (e.g., authorization)
+     * @param {*} [options.template] - JSON body with `{{field}}` placeholders (default: the alert itself)
+     * @param {number} [options.timeout] - Request timeout in milliseconds
+     * @param {Object} [options.transport] - Custom transport (see HttpClient)
+     */
+    constructor(options) {
+        if (!options || !options.url) {
+            throw new TypeError('WebhookSink needs a `url`');
+        }
+        this.url = options.url;
+        this.method = options.method || 'POST';
+        this.headers = options.headers || {};
+        this.template = options.template || null;
+        this.http = new HttpClient({ transport: options.transport, timeout: options.timeout, defaultHeaders: SINK_HEADERS });
+    }
+
+    /**
+     * @param {Object} alert - Alert (see Notifier)
+     * @returns {Promise<Object>} - `{ status }` of the response
+     */
+    send(alert) {
+        return this.http.request({
+            url: this.url,
+            method: this.method,
+            headers: this.headers,
+            json: this.template ? renderTemplate(this.template, alert) : alert
+        })
+            .then(response => ({ status: response.status }));
+    }
+}
+
+/**
+ * Sends alerts as plain text mails
+ */
+export class EmailSink {
+    /**
+     * @param {Object} options - SMTP connection options (`host`, `port`, `secure`, `starttls`,
+     *   `user`, `pass`, `allowInsecureAuth`, `tls`, `timeout`, see SmtpConnection) and:
+     * @param {string} options.from - Sender address
+     * @param {string|Array<string>} options.to - Recipient address(es)
+     * @param {string} [options.subject] - Subject template (default: "{{title}}")
+     * @param {string} [options.text] - Body template (default: "{{message}}")
+     */
+    constructor(options) {
+        if (!options || !options.host || !options.from || !options.to) {
+            throw new TypeError('EmailSink needs `host`, `from` and `to`');
+        }
+        const { from, to, subject, text, ...connection } = options;
+        this.connection = connection;
+        this.from = from;
+        this.to = to;
+        this.subject = subject || '{{title}}';
+        this.text = text || '{{message}}';
+    }
+
+    /**
+     * @param {Object} alert - Alert (see Notifier)
+     * @returns {Promise<Object>} - `{ messageId, response }` from the mail server
+     */
+    send(alert) {
+        return sendMail(this.connection, {
+            from: this.from,
+            to: this.to,
+            subject: renderTemplate(this.subject, alert),
+            text: renderTemplate(this.text, alert)
+        });
+    }
+}
+
+/**
+ * Pushes alerts to an ntfy or Gotify server
+ */
+export class PushSink {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Server URL (e.g., "https://ntfy.sh")
+     * @param {string} [options.style] - "ntfy" (default) or "gotify"
+     * @param {string} [options.topic] - ntfy topic
+     * @param {string} [options.token] - ntfy access token or Gotify application token
+     * @param {number} [options.priority] - Fixed priority (default: ntfy 4, 5 for cancellations;
+     *   Gotify 5, 8 for cancellations)
+     * @param {string} [options.title] - Title template (default: "{{title}}")
+     * @param {string} [options.message] - Message template (default: "{{message}}")
+     * @param {number} [options.timeout] - Request timeout in milliseconds
+     * @param {Object} [options.transport] - Custom transport (see HttpClient)
+     */
+    constructor(options) {
+        const style = (options && options.style) || 'ntfy';
+        if (!options || !options.url) {
+            throw new TypeError('PushSink needs a `url`');
+        }
+        if (style !== 'ntfy' && style !== 'gotify') {
+            throw new TypeError(`Unknown push style "${style}" (use "ntfy" or "gotify")`);
+        }
+        if (style === 'ntfy' && !options.topic) {
+            throw new TypeError('PushSink needs a `topic` for ntfy');
+        }
+        this.url = options.url.replace(/\/+$/, '');
+        this.style = style;
+        this.topic = options.topic || null;
+        this.token = options.token || null;
+        this.priority = options.priority || null;
+        this.title = options.title || '{{title}}';
+        this.message = options.message || '{{message}}';
+        this.http = new HttpClient({ transport: options.transport, timeout: options.timeout, defaultHeaders: SINK_HEADERS });
+    }
+
+    /**
+     * @param {Object} alert - Alert (see Notifier)
+     * @returns {Promise<Object>} - `{ status }` of the response
+     */
+    send(alert) {
+        const urgent = alert.type === 'canceled';
+        const title = renderTemplate(this.title, alert);
+        const message = renderTemplate(this.message, alert);
+
+        const request = this.style === 'gotify'
+            ? {
+                url: `${this.url}/message`,
+                headers: this.token ? { 'X-Gotify-Key': this.token } : {},
+                json: { title, message, priority: this.priority || (urgent ? 8 : 5) }
+            }
+            : {
+                url: this.url,
+                headers: this.token ? { Authorization: `Bearer ${this.token}` } : {},
+                json: {
+                    topic: this.topic,
+                    title,
+                    message,
+                    priority: this.priority || (urgent ? 5 : 4),
+                    tags: [urgent ? 'warning' : 'train']
+                }
+            };
+
+        return this.http.request({ ...request, method: 'POST' })
+            .then(response => ({ status: response.status }));
+    }
+}
+
+/**
+ * Fill `{{field}}` placeholders with fields of an alert. A string that is
+ * a single placeholder takes the value as it is (numbers stay numbers);
+ * objects and arrays are filled recursively.
+ * @param {*} template - Template string, object or array
+ * @param {Object} values - Values by name (dotted paths follow nested objects)
+ * @returns {*}
+ */
+export function renderTemplate(template, values) {
+    if (typeof template === 'string') {
+        const single = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+        if (single) {
+            const value = lookup(values, single[1]);
+            return value === undefined ? null : value;
+        }
+        return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+            const value = lookup(values, path);
+            return value === undefined || value === null ? '' : String(value);
+        });
+    }
+    if (Array.isArray(template)) {
+        return template.map(item => renderTemplate(item, values));
+    }
+    if (template && typeof template === 'object') {
+        return Object.fromEntries(Object.entries(template)
+            .map(([key, value]) => [key, renderTemplate(value, values)]));
+    }
+    return template;
+}
+
+function lookup(values, path) {
+    return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), values);
+}
@@ -0,0 +1,276 @@
+/**
+ * Minimal SMTP client for plain text notification mails
+ *
+ * Speaks just enough SMTP to hand a message to a submission server:
+ * EHLO, STARTTLS (when offered), AUTH PLAIN, MAIL FROM, RCPT TO and DATA.
+ * Implicit TLS (port 465) is used with `secure: true`. Credentials are only
+ * sent over TLS unless `allowInsecureAuth` is set.
+ */
+
+import net from 'net';
+import tls from 'tls';
+import { randomUUID } from 'crypto';
+import { SmtpError } from './errors.js';
+
+export const DEFAULT_SMTP_TIMEOUT = 15000;
+
+/**
+ * One connection to a mail server
+ */
+export class SmtpConnection {
+    /**
+     * @param {Object} options
+     * @param {string} options.host - Mail server host name
+     * @param {number} [options.port] - Port (default: 465 with `secure`, 587 otherwise)
+     * @param {boolean} [options.secure] - Connect with TLS right away
+     * @param {boolean} [options.starttls] - `false` to stay unencrypted even if STARTTLS is offered
+     * @param {string} [options.user] - User name for AUTH PLAIN
+     * @param {string} [options.pass] - Password for AUTH PLAIN
+     * @param {boolean} [options.allowInsecureAuth] - Send AUTH PLAIN even if the connection is
+     *   not encrypted (default: false, the session fails with an SmtpError instead)
+     * @param {string} [options.name] - Host name sent with EHLO (default: "localhost")
+     * @param {Object} [options.tls] - Options passed to `tls.connect` (e.g., `rejectUnauthorized`)
+     * @param {number} [options.timeout] - Timeout of the whole session in milliseconds (default: 15000)
+     */
+    constructor(options) {
+        this.options = options;
+        this.host = options.host;
+        this.port = options.port || (options.secure ? 465 : 587);
+        this.socket = null;
+        this.encrypted = false;
+        this.buffer = '';
+        this.lines = [];
+        this.replies = [];
+        this.waiting = [];
+        this.failure = null;
+    }
+
+    /**
+     * Deliver a message
+     * @param {Object} message
+     * @param {string} message.from - Sender address
+     * @param {string|Array<string>} message.to - Recipient address(es)
+     * @param {string} message.subject - Subject
+     * @param {string} message.text - Plain text body
+     * @returns {Promise<Object>} - `{ messageId, response }` with the server's reply to the message
+     */
+    send(message) {
+        const recipients = [].concat(message.to || []);
+        if (!message.from || recipients.length === 0) {
+            return Promise.reject(new TypeError('A mail needs a sender and at least one recipient'));
+        }
+
+        const messageId = `<${randomUUID()}@${this.options.name || 'localhost'}>`;
+        const timeout = this.options.timeout || DEFAULT_SMTP_TIMEOUT;
+        let timer;
+
+        const session = this._connect()
+            .then(() => this._expect(220))
+            .then(() => this._hello())
+            .then(extensions => {
+                if (!this.options.secure && this.options.starttls !== false && extensions.includes('STARTTLS')) {
+                    return this._command('STARTTLS', 220)
+                        .then(() => this._upgrade())
+                        .then(() => this._hello());
+                }
+                return extensions;
+            })
+            .then(() => {
+                if (!this.options.user) {
+                    return null;
+                }
+                // AUTH PLAIN only encodes the password, it must not leave unencrypted
+                if (!this.encrypted && !this.options.allowInsecureAuth) {
+                    throw new SmtpError(`Refusing to send credentials to ${this.host} over an unencrypted connection ` +
+                        '(no STARTTLS); use TLS or set `allowInsecureAuth`', { code: 'EINSECURE' });
+                }
+                const token = Buffer.from(`\0${this.options.user}\0${this.options.pass || ''}`).toString('base64');
+                return this._command(`AUTH PLAIN ${token}`, 235);
+            })
+            .then(() => this._command(`MAIL FROM:<${address(message.from)}>`, 250))
+            .then(() => recipients.reduce((chain, recipient) => {
+                return chain.then(() => this._command(`RCPT TO:<${address(recipient)}>`, [250, 251]));
+            }, Promise.resolve()))
+            .then(() => this._command('DATA', 354))
+            .then(() => this._command(`${formatMessage(message, recipients, messageId)}\r\n.`, 250))
+            .then(reply => {
+                // The message is accepted, a failing QUIT does not matter any more
+                this._write('QUIT');
+                return { messageId, response: reply.text };
+            });
+
+        const expiry = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                reject(new SmtpError(`SMTP session with ${this.host} timed out`, { code: 'ETIMEDOUT' }));
+            }, timeout);
+        });
+
+        return Promise.race([session, expiry])
+            .then(result => {
+                clearTimeout(timer);
+                this._close();
+                return result;
+            }, error => {
+                clearTimeout(timer);
+                this._close();
+                throw error;
+            });
+    }
+
+    _connect() {
+        return new Promise((resolve, reject) => {
+            const options = { host: this.host, port: this.port };
+            const socket = this.options.secure
+                ? tls.connect({ ...options, servername: this.host, ...this.options.tls }, () => {
+                    this.encrypted = true;
+                    resolve();
+                })
+                : net.connect(options, resolve);
+            socket.once('error', reject);
+            this._attach(socket);
+        });
+    }
+
+    _upgrade() {
+        return new Promise((resolve, reject) => {
+            const plain = this.socket;
+            plain.removeAllListeners('data');
+            plain.removeAllListeners('close');
+            const socket = tls.connect({ socket: plain, servername: this.host, ...this.options.tls }, () => {
+                this.encrypted = true;
+                resolve();
+            });
+            socket.once('error', reject);
+            this._attach(socket);
+        });
+    }
+
+    _attach(socket) {
+        this.socket = socket;
+        socket.setEncoding('utf8');
+        socket.on('data', chunk => this._receive(chunk));
+        socket.on('error', error => this._fail(new SmtpError(`SMTP connection to ${this.host} failed: ${error.message}`, {
+            code: error.code,
+            cause: error
+        })));
+        socket.on('close', () => this._fail(new SmtpError(`SMTP connection to ${this.host} closed`, { code: 'ECONNRESET' })));
+    }
+
+    _receive(chunk) {
+        this.buffer += chunk;
+        let end;
+        while ((end = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.substring(0, end).replace(/\r$/, '');
+            this.buffer = this.buffer.substring(end + 1);
+            this.lines.push(line);
+            // "250-..." continues a reply, "250 ..." ends it
+            if (!/^\d{3}-/.test(line)) {
+                const lines = this.lines.splice(0);
+                const reply = {
+                    code: parseInt(line.substring(0, 3)),
+                    lines: lines.map(text => text.substring(4)),
+                    text: lines.join('\n')
+                };
+                const waiting = this.waiting.shift();
+                if (waiting) {
+                    waiting.resolve(reply);
+                } else {
+                    this.replies.push(reply);
+                }
+            }
+        }
+    }
+
+    _fail(error) {
+        if (!this.failure) {
+            this.failure = error;
+        }
+        this.waiting.splice(0).forEach(waiting => waiting.reject(this.failure));
+    }
+
+    _read() {
+        if (this.replies.length > 0) {
+            return Promise.resolve(this.replies.shift());
+        }
+        if (this.failure) {
+            return Promise.reject(this.failure);
+        }
+        return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+    }
+
+    _expect(codes) {
+        const expected = [].concat(codes);
+        return this._read()
+            .then(reply => {
+                if (!expected.includes(reply.code)) {
+                    throw new SmtpError(`Unexpected reply from ${this.host}: ${reply.text}`, { code: reply.code });
+                }
+                return reply;
+            });
+    }
+
+    _command(line, codes) {
+        this._write(line);
+        return this._expect(codes);
+    }
+
+    _hello() {
+        return this._command(`EHLO ${this.options.name || 'localhost'}`, 250)
+            .then(reply => reply.lines.slice(1).map(extension => extension.toUpperCase()));
+    }
+
+    _write(line) {
+        if (this.socket && !this.socket.destroyed) {
+            this.socket.write(`${line}\r\n`);
+        }
+    }
+
+    _close() {
+        if (this.socket) {
+            this.socket.removeAllListeners('close');
+            this.socket.end();
+        }
+    }
+}
+
+/**
+ * Send a plain text mail over a new connection
+ * @param {Object} options - Connection options (see SmtpConnection)
+ * @param {Object} message - `from`, `to`, `subject` and `text`
+ * @returns {Promise<Object>} - `{ messageId, response }`
+ */
+export function sendMail(options, message) {
+    return new SmtpConnection(options).send(message);
+}
+
+/**
+ * Build the message with headers, the body encoded as base64
+ * @param {Object} message - `from`, `subject` and `text`
+ * @param {Array<string>} recipients - Recipients
+ * @param {string} messageId - Message-ID header
+ * @returns {string}
+ */
+function formatMessage(message, recipients, messageId) {
+    const body = Buffer.from(message.text || '').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+    return [
+        `From: ${message.from}`,
+        `To: ${recipients.join(', ')}`,
+        `Subject: ${encodeHeader(message.subject || '')}`,
+        `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+        `Message-ID: ${messageId}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body
+    ].join('\r\n');
+}
+
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+function address(value) {
+    const match = String(value).match(/<([^>]+)>/);
+    return match ? match[1] : String(value).trim();
+}
@@ -0,0 +1,282 @@
+/**
+ * Local index of known stations
+ *
+ * Holds station objects (as returned by `searchStations`) by station ID, so
+ * lookups and name searches can be answered without a request. Names are
+ * matched diacritic-insensitive with common abbreviations expanded
+ * ("Hbf" → "Hauptbahnhof") and tolerate small typos.
+ */
+
+import { promises as fs } from 'fs';
+import { distanceKm, hasCoordinates } from './geo.js';
+import { StationType, classifyStations } from './station-types.js';
+
+// Abbreviations used in Austrian station names, by normalized token
+const ABBREVIATIONS = Object.freeze({
+    hbf: 'hauptbahnhof',
+    bhf: 'bahnhof',
+    bf: 'bahnhof',
+    bahnhst: 'bahnhaltestelle',
+    hst: 'haltestelle',
+    st: 'sankt',
+    wr: 'wiener',
+    str: 'strasse'
+});
+
+// Lowest token similarity (0 to 1) accepted as a fuzzy match
+const MIN_SIMILARITY = 0.75;
+
+export class StationIndex {
+    /**
+     * @param {Array<Object>} [stations] - Station objects, or records in the format of
+     *   station_response.json, to start with
+     */
+    constructor(stations = []) {
+        this.entries = new Map();
+        this.add(stations);
+    }
+
+    /**
+     * Load an index saved with `save`, or a station_response.json-style file
+     * @param {string} file - Path of the JSON file
+     * @returns {Promise<StationIndex>}
+     */
+    static load(file) {
+        return fs.readFile(file, 'utf8')
+            .then(content => new StationIndex(JSON.parse(content)));
+    }
+
+    /**
+     * Write the index to a JSON file
+     * @param {string} file - Path of the JSON file
+     * @returns {Promise}
+     */
+    save(file) {
+        return fs.writeFile(file, JSON.stringify(this, null, 2));
+    }
+
+    /**
+     * Add or update stations. Entries without a station ID are skipped.
+     * @param {Array<Object>} stations - Station objects or station_response.json records
+     * @returns {StationIndex} - This index
+     */
+    add(stations) {
+        stations.forEach(record => {
+            const station = toStation(record);
+            if (station) {
+                classifyStations([station]);
+                const tokens = tokenize(station.name);
+                this.entries.set(station.number, { station, tokens, normalized: tokens.join(' ') });
+            }
+        });
+        return this;
+    }
+
+    /**
+     * Get a station by ID
+     * @param {string} stationId - Station ID
+     * @returns {Object|undefined} - Copy of the station object
+     */
+    get(stationId) {
+        const entry = this.entries.get(String(stationId));
+        return entry ? structuredClone(entry.station) : undefined;
+    }
+
+    /**
+     * Search stations by name, best matches first
+     * @param {string} query - Name or part of a name (e.g., "Hutteldorf", "Wien Hbf", "Graz H")
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Maximum number of stations (default: 15)
+     * @param {boolean} [options.fuzzy] - `false` to only return exact and prefix matches (default: true)
+     * @param {Array<string>} [options.types] - Result types to return (default: all)
+     * @returns {Array<Object>} - Copies of the matching stations
+     */
+    search(query, options = {}) {
+        const tokens = tokenize(query);
+        if (tokens.length === 0) {
+            return [];
+        }
+
+        const normalized = tokens.join(' ');
+        const fuzzy = options.fuzzy !== false;
+
+        return Array.from(this.entries.values())
+            .filter(entry => !options.types || options.types.includes(entry.station.type))
+            .map(entry => ({ entry, score: matchScore(normalized, tokens, entry, fuzzy) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score ||
+                a.entry.normalized.length - b.entry.normalized.length)
+            .slice(0, options.limit || 15)
+            .map(result => structuredClone(result.entry.station));
+    }
+
+    /**
+     * Stations whose name (or a word of it) starts with the query
+     * @param {string} query - Start of the name
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Maximum number of stations (default: 15)
+     * @param {Array<string>} [options.types] - Result types to return (default: all)
+     * @returns {Array<Object>} - Copies of the matching stations
+     */
+    prefix(query, options = {}) {
+        return this.search(query, { ...options, fuzzy: false });
+    }
+
+    /**
+     * Stations closest to a point
+     * @param {number} latitude - Latitude in degrees
+     * @param {number} longitude - Longitude in degrees
+     * @param {Object} [options]
+     * @param {number} [options.radiusMeters] - Maximum distance (default: unlimited)
+     * @param {number} [options.limit] - Maximum number of stations (default: 10)
+     * @returns {Array<Object>} - Copies of the stations, nearest first, with `location.distanceInKm` set
+     */
+    nearby(latitude, longitude, options = {}) {
+        const origin = { latitude, longitude };
+        const maxKm = options.radiusMeters ? options.radiusMeters / 1000 : Infinity;
+
+        return Array.from(this.entries.values())
+            .filter(entry => hasCoordinates(entry.station.location))
+            .map(entry => {
+                const copy = structuredClone(entry.station);
+                copy.location.distanceInKm = distanceKm(origin, copy.location);
+                return copy;
+            })
+            .filter(station => station.location.distanceInKm <= maxKm)
+            .sort((a, b) => a.location.distanceInKm - b.location.distanceInKm)
+            .slice(0, options.limit || 10);
+    }
+
+    /**
+     * @returns {number} - Number of stations in the index
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * @returns {Array<Object>} - All station objects, for `JSON.stringify`
+     */
+    toJSON() {
+        return Array.from(this.entries.values()).map(entry => entry.station);
+    }
+}
+
+/**
+ * Normalize a station name for matching: lower case, without diacritics,
+ * flags like "(U)" and punctuation, with abbreviations expanded
+ * @param {string} name - Station name
+ * @returns {string} - e.g., "Wien Hbf (U)" → "wien hauptbahnhof"
+ */
+export function normalizeStationName(name) {
+    return tokenize(name).join(' ');
+}
+
+function tokenize(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/ß/g, 'ss')
+        .replace(/\([^)]*\)/g, ' ')
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean)
+        .map(token => ABBREVIATIONS[token] || token);
+}
+
+/**
+ * Bring a station object or a station_response.json record into the
+ * station shape used by this library
+ * @param {Object} record - Station object or record
+ * @returns {Object|null}
+ */
+function toStation(record) {
+    if (!record || !record.number) {
+        return null;
+    }
+
+    if (record.location) {
+        return { ...structuredClone(record), number: String(record.number) };
+    }
+
+    // station_response.json stores coordinates multiplied by 1,000,000 and
+    // lists stop areas with an empty name and the area name in `meta`
+    const name = record.name || record.meta || '';
+    return {
+        number: String(record.number),
+        name,
+        type: record.name ? StationType.STATION : StationType.AREA,
+        meta: record.meta || name,
+        xcoord: record.longitude !== undefined ? String(record.longitude) : '',
+        ycoord: record.latitude !== undefined ? String(record.latitude) : '',
+        location: {
+            longitude: record.longitude ? record.longitude / 1000000 : 0,
+            latitude: record.latitude ? record.latitude / 1000000 : 0,
+            distanceInKm: 0
+        }
+    };
+}
+
+/**
+ * Score how well a station name matches a query
+ * @param {string} normalized - Normalized query
+ * @param {Array<string>} tokens - Query tokens
+ * @param {Object} entry - Index entry with `normalized` name and `tokens`
+ * @param {boolean} fuzzy - Whether typos are tolerated
+ * @returns {number} - 0 for no match, up to 1 for an exact match
+ */
+function matchScore(normalized, tokens, entry, fuzzy) {
+    if (entry.normalized === normalized) {
+        return 1;
+    }
+    if (entry.normalized.startsWith(normalized)) {
+        return 0.95;
+    }
+    if (tokens.every(token => entry.tokens.some(name => name.startsWith(token)))) {
+        return 0.9;
+    }
+    if (!fuzzy) {
+        return 0;
+    }
+
+    // Every query word has to resemble a word of the name
+    let total = 0;
+    for (const token of tokens) {
+        const best = Math.max(0, ...entry.tokens.map(name => tokenSimilarity(token, name)));
+        if (best < MIN_SIMILARITY) {
+            return 0;
+        }
+        total += best;
+    }
+    return 0.8 * total / tokens.length;
+}
+
+function tokenSimilarity(token, name) {
+    const whole = similarity(token, name);
+    // Also compare against the start of longer words for partial input
+    if (token.length >= 3 && name.length > token.length) {
+        return Math.max(whole, 0.95 * similarity(token, name.substring(0, token.length)));
+    }
+    return whole;
+}
+
+function similarity(a, b) {
+    const length = Math.max(a.length, b.length);
+    return length === 0 ? 1 : 1 - levenshtein(a, b) / length;
+}
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
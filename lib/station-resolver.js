@@ -0,0 +1,107 @@
+/**
+ * Resolution of station arguments
+ *
+ * Everywhere a station is expected, callers may pass a station ID
+ * ("1290401"), a station object (as returned by `searchStations`) or a name
+ * ("Wien Hbf"). Names are looked up with the station search of the client.
+ */
+
+import { AmbiguousStationError, StationNotFoundError, ValidationError } from './errors.js';
+import { normalizeStationName } from './station-index.js';
+import { StationType } from './station-types.js';
+
+// Candidates looked at when resolving a name
+const MAX_CANDIDATES = 10;
+
+export class StationResolver {
+    /**
+     * @param {OebbClient} client - Client whose station search is used for names
+     */
+    constructor(client) {
+        this.client = client;
+    }
+
+    /**
+     * Resolve a station argument to a station object
+     * @param {string|number|Object} station - Station ID, station object or name
+     * @param {Object} [options]
+     * @param {boolean} [options.pickBest] - Take the best match instead of failing on ambiguous names
+     * @param {boolean} [options.cache] - `false` to bypass the cache of the station search
+     * @returns {Promise<Object>} - Station object (only `number` is guaranteed for IDs that are
+     *   not in the local station index)
+     */
+    resolve(station, options = {}) {
+        if (station && typeof station === 'object') {
+            const id = station.number || station.id;
+            if (!id) {
+                return Promise.reject(new ValidationError('Station object has no station ID (`number`)'));
+            }
+            return Promise.resolve({ ...station, number: String(id) });
+        }
+
+        const value = String(station === undefined || station === null ? '' : station).trim();
+        if (!value) {
+            return Promise.reject(new ValidationError('A station ID or name is required'));
+        }
+
+        if (isStationId(value)) {
+            return Promise.resolve(this.client.stationIndex.get(value) || { number: value, name: '' });
+        }
+
+        return this.client.searchStations(value, MAX_CANDIDATES, { cache: options.cache })
+            .then(stations => pickStation(value, stations, options.pickBest));
+    }
+
+    /**
+     * Resolve a station argument to a station ID
+     * @param {string|number|Object} station - Station ID, station object or name
+     * @param {Object} [options] - See resolve
+     * @returns {Promise<string>}
+     */
+    resolveId(station, options = {}) {
+        return this.resolve(station, options)
+            .then(resolved => resolved.number);
+    }
+}
+
+/**
+ * Check whether a station argument is an ID rather than a name
+ * @param {string} value - Station argument
+ * @returns {boolean}
+ */
+export function isStationId(value) {
+    return /^\d+$/.test(String(value).trim());
+}
+
+/**
+ * Choose the station meant by a name from the search results
+ * @param {string} query - Name that was searched for
+ * @param {Array<Object>} stations - Search results, best first
+ * @param {boolean} [pickBest] - Take the first candidate if the name is ambiguous
+ * @returns {Object} - Station object
+ */
+function pickStation(query, stations, pickBest) {
+    // Stop areas only count if the search found no real station
+    const found = stations.filter(station => station.number);
+    const real = found.filter(station => station.type !== StationType.AREA);
+    const candidates = real.length > 0 ? real : found;
+
+    if (candidates.length === 0) {
+        throw new StationNotFoundError(`No station found for "${query}"`, { query });
+    }
+    if (candidates.length === 1 || pickBest) {
+        return candidates[0];
+    }
+
+    const normalized = normalizeStationName(query);
+    const exact = candidates.filter(station => normalizeStationName(station.name) === normalized);
+    if (exact.length === 1) {
+        return exact[0];
+    }
+
+    const list = candidates.map(station => `${station.name} (${station.number})`).join(', ');
+    throw new AmbiguousStationError(`Station name "${query}" is ambiguous: ${list}`, {
+        query,
+        candidates
+    });
+}
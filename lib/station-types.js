@@ -0,0 +1,111 @@
+/**
+ * Classification of station search results
+ *
+ * The station search mixes real stations with stop areas (meta entries
+ * grouping the stops of a place, e.g. "Wien Floridsdorf" next to
+ * "Wien Floridsdorf Bahnhof (U)"), addresses and points of interest.
+ */
+
+import { ValidationError } from './errors.js';
+
+/**
+ * Kind of a search result
+ * @readonly
+ * @enum {string}
+ */
+export const StationType = Object.freeze({
+    STATION: 'station',
+    AREA: 'area',
+    ADDRESS: 'address',
+    POI: 'poi'
+});
+
+// Bits of the REQ0JourneyStopsS0A selector; stop areas come with the stations
+const TYPE_SELECTOR = Object.freeze({
+    station: 1,
+    area: 1,
+    address: 2,
+    poi: 4
+});
+
+// `type` of the suggestions returned by ajax-getstop
+const SUGGESTION_TYPES = Object.freeze({
+    1: StationType.STATION,
+    2: StationType.ADDRESS,
+    4: StationType.POI
+});
+
+export const DEFAULT_TYPES = Object.freeze([StationType.STATION, StationType.AREA]);
+
+/**
+ * Read the flags encoded in a station name
+ * @param {string} name - Station name (e.g., "Wien Floridsdorf Bahnhof (U)")
+ * @returns {{subway: boolean, railwayStation: boolean, railwayHalt: boolean}} -
+ *   `subway` for "(U)", `railwayStation` for "Bahnhof"/"Bhf"/"Hbf",
+ *   `railwayHalt` for "Bahnhst"/"Bahnhaltestelle"
+ */
+export function parseStationFlags(name) {
+    const value = name || '';
+    return {
+        subway: /\(U\)/.test(value),
+        railwayStation: /\b(Bahnhof|Bhf|Hbf|Hauptbahnhof)\b/i.test(value),
+        railwayHalt: /\b(Bahnhst|Bahnhaltestelle)\b/i.test(value)
+    };
+}
+
+/**
+ * Map the `type` of an ajax-getstop suggestion
+ * @param {string|number} type - Suggestion type ("1", "2" or "4")
+ * @returns {string} - StationType value
+ */
+export function suggestionType(type) {
+    return SUGGESTION_TYPES[type] || StationType.STATION;
+}
+
+/**
+ * Set `flags` on search results and fill in `type` (default: station) and
+ * `meta` (default: the name) where the source did not set them. Stop areas
+ * have to be marked by the source (HAFAS meta stations), names and
+ * positions don't tell them apart reliably.
+ * @param {Array<Object>} stations - Station objects, `type` and `meta` may be preset
+ * @returns {Array<Object>} - The same array
+ */
+export function classifyStations(stations) {
+    stations.forEach(station => {
+        station.flags = parseStationFlags(station.name);
+        if (!station.type) {
+            station.type = StationType.STATION;
+        }
+        if (station.meta === undefined) {
+            station.meta = station.name;
+        }
+    });
+    return stations;
+}
+
+/**
+ * Build the REQ0JourneyStopsS0A selector for result types
+ * @param {Array<string>} types - StationType values
+ * @returns {number} - Bitmask (1 stations, 2 addresses, 4 POIs)
+ */
+export function typeSelector(types) {
+    const selector = types.reduce((mask, type) => mask | (TYPE_SELECTOR[type] || 0), 0);
+    return selector || TYPE_SELECTOR.station;
+}
+
+/**
+ * Normalize the `types` option of the station search
+ * @param {string|Array<string>} [types] - StationType value(s)
+ * @returns {Array<string>}
+ */
+export function normalizeTypes(types) {
+    if (!types) {
+        return DEFAULT_TYPES.slice();
+    }
+    const list = [].concat(types);
+    const unknown = list.filter(type => !Object.values(StationType).includes(type));
+    if (unknown.length > 0) {
+        throw new ValidationError(`Unknown station type(s): ${unknown.join(', ')}`, { parameter: 'types' });
+    }
+    return list;
+}
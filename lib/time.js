@@ -0,0 +1,153 @@
+/**
+ * Date handling in Austrian time
+ *
+ * SCOTTY and HAFAS send and expect wall-clock times in Europe/Vienna without
+ * an offset. The helpers below convert between those and real instants
+ * regardless of the host's time zone, including across DST changes.
+ */
+
+export const TIME_ZONE = 'Europe/Vienna';
+
+const partsFormat = new Intl.DateTimeFormat('en-US', {
+    timeZone: TIME_ZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+});
+
+/**
+ * Wall-clock time in Vienna of an instant
+ * @param {Date} date - Instant
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}} -
+ *   `month` is 1-based
+ */
+export function viennaParts(date) {
+    const parts = {};
+    partsFormat.formatToParts(date).forEach(part => {
+        if (part.type !== 'literal') {
+            parts[part.type] = parseInt(part.value);
+        }
+    });
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second
+    };
+}
+
+/**
+ * Offset of Vienna time from UTC at an instant
+ * @param {Date} date - Instant
+ * @returns {number} - Offset in minutes (60 in winter, 120 in summer)
+ */
+export function viennaOffset(date) {
+    const parts = viennaParts(date);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Instant of a wall-clock time in Vienna. Days and times out of range roll
+ * over like `Date.UTC` (day 32 is the 1st of the next month). Times skipped
+ * by the spring DST change move forward by an hour, times that occur twice
+ * in autumn resolve to the second occurrence.
+ * @param {number} year - Year
+ * @param {number} month - Month (1-based)
+ * @param {number} day - Day of the month
+ * @param {number} [hour] - Hour
+ * @param {number} [minute] - Minute
+ * @param {number} [second] - Second
+ * @returns {Date}
+ */
+export function fromVienna(year, month, day, hour = 0, minute = 0, second = 0) {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    // The offset at the guessed instant may differ from the one at the result
+    // around DST changes, so check it twice
+    let result = asUtc - viennaOffset(new Date(asUtc)) * 60000;
+    result = asUtc - viennaOffset(new Date(result)) * 60000;
+    return new Date(result);
+}
+
+/**
+ * Format an instant as ISO 8601 with the Vienna offset
+ * (e.g., "2025-05-07T20:58:00+02:00")
+ * @param {Date|null} date - Instant
+ * @returns {string|null}
+ */
+export function toIsoString(date) {
+    if (!date) {
+        return null;
+    }
+    const parts = viennaParts(date);
+    const offset = viennaOffset(date);
+    const sign = offset < 0 ? '-' : '+';
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T` +
+           `${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+           `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+}
+
+/**
+ * Format the Vienna time of day of an instant as "HH:MM"
+ * @param {Date|null} date - Instant
+ * @returns {string}
+ */
+export function formatTime(date) {
+    if (!date) {
+        return '';
+    }
+    const parts = viennaParts(date);
+    return `${pad(parts.hour)}:${pad(parts.minute)}`;
+}
+
+function pad(value) {
+    return value.toString().padStart(2, '0');
+}
+
+/**
+ * Parse a date given as text. Times without an offset are Austrian time.
+ * @param {string|Date} value - ISO 8601 with offset ("2025-05-07T20:58:00Z"), a date and time
+ *   in Vienna ("2025-05-07T20:58", "2025-05-07 20:58"), a day ("2025-05-07", midnight) or a
+ *   time of day ("20:58", today)
+ * @param {Date} [now] - Reference for times of day (default: now)
+ * @returns {Date|null} - Null if the value is not a valid date
+ */
+export function parseDateTime(value, now = new Date()) {
+    if (value instanceof Date) {
+        return isNaN(value) ? null : value;
+    }
+    const text = String(value || '').trim();
+
+    const time = text.match(/^(\d{1,2}):(\d{2})$/);
+    if (time) {
+        const hour = parseInt(time[1]);
+        const minute = parseInt(time[2]);
+        if (hour > 23 || minute > 59) {
+            return null;
+        }
+        const today = viennaParts(now);
+        return fromVienna(today.year, today.month, today.day, hour, minute);
+    }
+
+    const local = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (local) {
+        const [year, month, day, hour = 0, minute = 0, second = 0] = local.slice(1).map(part => parseInt(part || '0'));
+        if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 59) {
+            return null;
+        }
+        return fromVienna(year, month, day, hour, minute, second);
+    }
+
+    // Anything else needs an explicit offset, the host's time zone is never used
+    if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+        return null;
+    }
+    const date = new Date(text);
+    return isNaN(date) ? null : date;
+}
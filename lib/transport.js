@@ -0,0 +1,101 @@
+/**
+ * HTTP transports
+ *
+ * A transport is any object with a `request(options)` method that performs a
+ * single HTTP request and resolves to `{ status, headers, body, url }` with the
+ * body as text. The client never talks to the network directly, so a custom
+ * transport can replay recorded fixtures or route requests elsewhere.
+ *
+ * Request options passed to a transport:
+ * - url (string): Fully built URL including the query string
+ * - method (string): HTTP method
+ * - headers (Object): Request headers
+ * - body (string|undefined): Request body
+ * - signal (AbortSignal): Aborts the request (timeouts are applied through it)
+ */
+
+/**
+ * Transport based on the native `fetch` of Node.js
+ */
+export class FetchTransport {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.proxy] - HTTP(S) proxy URL (requires the `undici` package)
+     */
+    constructor(options = {}) {
+        this.proxy = options.proxy || null;
+        this._fetch = null;
+    }
+
+    /**
+     * Perform a request
+     * @param {Object} options - Request options (see module documentation)
+     * @returns {Promise<Object>} - `{ status, headers, body, url }`
+     */
+    request(options) {
+        return this._getFetch()
+            .then(({ fetch, dispatcher }) => {
+                return fetch(options.url, {
+                    method: options.method || 'GET',
+                    headers: options.headers,
+                    body: options.body,
+                    signal: options.signal,
+                    dispatcher
+                });
+            })
+            .then(response => {
+                return response.arrayBuffer()
+                    .then(buffer => {
+                        const headers = {};
+                        response.headers.forEach((value, key) => {
+                            headers[key] = value;
+                        });
+                        return {
+                            status: response.status,
+                            headers,
+                            body: decodeBody(buffer, headers['content-type']),
+                            url: response.url || options.url
+                        };
+                    });
+            });
+    }
+
+    /**
+     * Resolve the fetch implementation, loading undici lazily for proxies
+     * @returns {Promise<Object>} - `{ fetch, dispatcher }`
+     */
+    _getFetch() {
+        if (this._fetch) {
+            return this._fetch;
+        }
+
+        if (!this.proxy) {
+            this._fetch = Promise.resolve({ fetch: globalThis.fetch, dispatcher: undefined });
+        } else {
+            this._fetch = import('undici')
+                .then(undici => ({
+                    fetch: undici.fetch,
+                    dispatcher: new undici.ProxyAgent(this.proxy)
+                }));
+        }
+
+        return this._fetch;
+    }
+}
+
+/**
+ * Decode a response body using the charset announced by the server.
+ * Older SCOTTY endpoints answer in ISO-8859-1.
+ * @param {ArrayBuffer} buffer - Raw body
+ * @param {string} [contentType] - Content-Type header
+ * @returns {string}
+ */
+function decodeBody(buffer, contentType) {
+    const match = (contentType || '').match(/charset=["']?([\w-]+)/i);
+    const charset = match ? match[1].toLowerCase() : 'utf-8';
+    try {
+        return new TextDecoder(charset).decode(buffer);
+    } catch (e) {
+        return new TextDecoder('utf-8').decode(buffer);
+    }
+}
@@ -0,0 +1,76 @@
+/**
+ * Trip (single train run) model built from HAFAS JourneyDetails results
+ */
+
+import { splitProductName } from './board-entry.js';
+import { delayMinutes, parseHafasDateTime, parseLocation, parsePlatform } from './hafas.js';
+import { productClass } from './products.js';
+
+/**
+ * One stop of a train run with scheduled and real-time times
+ */
+export class TripStop {
+    /**
+     * @param {Object} stop - Entry of `journey.stopL`
+     * @param {string} date - Service day of the trip ("YYYYMMDD")
+     * @param {Object} common - `common` section of the JourneyDetails response
+     */
+    constructor(stop, date, common) {
+        this.station = parseLocation((common.locL || [])[stop.locX]);
+        this.scheduledArrival = parseHafasDateTime(date, stop.aTimeS);
+        this.expectedArrival = parseHafasDateTime(date, stop.aTimeR) || this.scheduledArrival;
+        this.arrivalDelay = delayMinutes(this.scheduledArrival, this.expectedArrival);
+        this.arrivalPlatform = parsePlatform(stop, 'a', 'R') || parsePlatform(stop, 'a', 'S');
+        this.scheduledDeparture = parseHafasDateTime(date, stop.dTimeS);
+        this.expectedDeparture = parseHafasDateTime(date, stop.dTimeR) || this.scheduledDeparture;
+        this.departureDelay = delayMinutes(this.scheduledDeparture, this.expectedDeparture);
+        this.departurePlatform = parsePlatform(stop, 'd', 'R') || parsePlatform(stop, 'd', 'S');
+        this.platformChanged = platformChanged(stop, 'a') || platformChanged(stop, 'd');
+        this.canceled = Boolean(stop.aCncl || stop.dCncl);
+    }
+}
+
+/**
+ * A single run of a train with its complete stop sequence
+ */
+export class Trip {
+    /**
+     * @param {Object} journey - `journey` of the JourneyDetails response
+     * @param {Object} common - `common` section of the JourneyDetails response
+     */
+    constructor(journey, common) {
+        const product = journey.prodX !== undefined ? (common.prodL || [])[journey.prodX] || {} : {};
+        const name = (product.name || '').trim();
+        const { category, number } = splitProductName(name);
+        const stops = (journey.stopL || []).map(stop => new TripStop(stop, journey.date, common));
+
+        this.id = journey.jid || '';
+        this.name = name;
+        this.category = category;
+        this.number = number;
+        this.productClass = productClass(category, product.cls);
+        this.direction = journey.dirTxt || '';
+        this.date = parseHafasDateTime(journey.date, '000000');
+        this.origin = stops.length > 0 ? stops[0].station : null;
+        this.destination = stops.length > 0 ? stops[stops.length - 1].station : null;
+        this.canceled = Boolean(journey.isCncld) || (stops.length > 0 && stops.every(stop => stop.canceled));
+        this.stops = stops;
+
+        Object.defineProperty(this, 'raw', { value: journey, enumerable: false });
+    }
+
+    /**
+     * Find the stop at a station
+     * @param {string} stationId - Station ID
+     * @returns {TripStop|undefined}
+     */
+    stopAt(stationId) {
+        return this.stops.find(stop => stop.station && stop.station.number === String(stationId));
+    }
+}
+
+function platformChanged(stop, prefix) {
+    const scheduled = parsePlatform(stop, prefix, 'S');
+    const realtime = parsePlatform(stop, prefix, 'R');
+    return Boolean(scheduled && realtime && scheduled !== realtime);
+}
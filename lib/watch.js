@@ -0,0 +1,336 @@
+/**
+ * Watching trains and station boards for changes
+ *
+ * A watcher polls the departure board of a station and emits typed events
+ * when something changes: the delay, the platform, a cancellation, a
+ * departure, or an entry leaving the board early. The time between polls
+ * grows with the time left until the departure, so a train leaving in two
+ * hours is not polled as often as one leaving in five minutes.
+ */
+
+import { EventEmitter } from 'events';
+import { AmbiguousStationError, StationNotFoundError, TrainNotFoundError, ValidationError } from './errors.js';
+import { boardEntryKey, diffBoards, entryChanges } from './board-diff.js';
+import { silentLogger } from './logger.js';
+
+/**
+ * Types of watch events
+ * @readonly
+ * @enum {string}
+ */
+export const WatchEventType = Object.freeze({
+    ADDED: 'added',
+    DELAY_CHANGED: 'delayChanged',
+    PLATFORM_CHANGED: 'platformChanged',
+    CANCELED: 'canceled',
+    DEPARTED: 'departed',
+    DISAPPEARED: 'disappeared'
+});
+
+export const DEFAULT_WATCH_OPTIONS = Object.freeze({
+    interval: 30 * 1000,
+    maxInterval: 10 * 60 * 1000
+});
+
+// Share of the time left until the next departure waited between polls
+const BACKOFF_FACTOR = 0.1;
+
+// Errors that polling again will not fix
+const FATAL_ERRORS = [TypeError, ValidationError, StationNotFoundError, AmbiguousStationError, TrainNotFoundError];
+
+/**
+ * Common polling and event handling of the watchers
+ */
+class Watcher extends EventEmitter {
+    /**
+     * @param {Function} load - Loads the departure board at a date, `(date) => Promise<Array<Departure>>`
+     * @param {Object} [options]
+     * @param {number} [options.interval] - Shortest time between polls in milliseconds (default: 30 s)
+     * @param {number} [options.maxInterval] - Longest time between polls in milliseconds (default: 10 min)
+     * @param {Object} [options.logger] - Logger for failed polls nobody listens for
+     */
+    constructor(load, options = {}) {
+        super();
+        this.load = load;
+        this.interval = options.interval || DEFAULT_WATCH_OPTIONS.interval;
+        this.maxInterval = Math.max(this.interval, options.maxInterval || DEFAULT_WATCH_OPTIONS.maxInterval);
+        this.logger = options.logger || silentLogger;
+        this.polls = 0;
+        this.stopped = false;
+        // First poll on the next tick, so listeners can be attached first
+        this.timer = setTimeout(() => this._poll(), 0);
+    }
+
+    /**
+     * Stop polling and end all iterators
+     */
+    stop() {
+        if (this.stopped) {
+            return;
+        }
+        this.stopped = true;
+        clearTimeout(this.timer);
+        this.emit('end');
+    }
+
+    /**
+     * Iterate over the events of all types (`{ type, time, entry, ... }`). Leaving the loop stops the watcher.
+     * @returns {AsyncIterator<Object>}
+     */
+    [Symbol.asyncIterator]() {
+        const queue = [];
+        const waiting = [];
+        const push = event => {
+            if (waiting.length > 0) {
+                waiting.shift()({ value: event, done: false });
+            } else {
+                queue.push(event);
+            }
+        };
+        const finish = () => {
+            this.off('change', push);
+            this.off('end', finish);
+            waiting.splice(0).forEach(resolve => resolve({ value: undefined, done: true }));
+        };
+
+        this.on('change', push);
+        this.on('end', finish);
+
+        return {
+            next: () => {
+                if (queue.length > 0) {
+                    return Promise.resolve({ value: queue.shift(), done: false });
+                }
+                if (this.stopped) {
+                    return Promise.resolve({ value: undefined, done: true });
+                }
+                return new Promise(resolve => waiting.push(resolve));
+            },
+            return: () => {
+                finish();
+                this.stop();
+                return Promise.resolve({ value: undefined, done: true });
+            },
+            [Symbol.asyncIterator]() {
+                return this;
+            }
+        };
+    }
+
+    /**
+     * Time to wait until the next poll
+     * @returns {number} - Milliseconds
+     */
+    nextInterval() {
+        const next = this._nextDeparture();
+        const left = next ? next.getTime() - Date.now() : 0;
+        return Math.min(this.maxInterval, Math.max(this.interval, left * BACKOFF_FACTOR));
+    }
+
+    _poll() {
+        this.load(this._requestTime())
+            .then(entries => {
+                if (this.stopped) {
+                    return;
+                }
+                this.polls++;
+                this._update(entries, new Date());
+                this.emit('update', entries);
+            })
+            .catch(error => {
+                if (this.stopped) {
+                    return;
+                }
+                if (this.listenerCount('error') > 0) {
+                    this.emit('error', error);
+                } else {
+                    this.logger.warn('Watch poll failed', { error: error.message });
+                }
+                if (FATAL_ERRORS.some(type => error instanceof type)) {
+                    this.stop();
+                }
+            })
+            .then(() => {
+                if (!this.stopped) {
+                    this.timer = setTimeout(() => this._poll(), this.nextInterval());
+                }
+            });
+    }
+
+    _publish(type, fields) {
+        const event = { type, time: new Date(), ...fields };
+        this.emit(type, event);
+        this.emit('change', event);
+    }
+
+    _publishChanges(entry, previous) {
+        const changes = entryChanges(previous, entry);
+        if (changes.delay) {
+            this._publish(WatchEventType.DELAY_CHANGED, {
+                entry,
+                previous,
+                delayMinutes: entry.delayMinutes,
+                previousDelayMinutes: previous ? previous.delayMinutes : 0
+            });
+        }
+        if (changes.platform) {
+            this._publish(WatchEventType.PLATFORM_CHANGED, {
+                entry,
+                previous,
+                platform: entry.platform,
+                previousPlatform: previous ? previous.platform : null
+            });
+        }
+        if (changes.canceled) {
+            this._publish(WatchEventType.CANCELED, { entry, previous });
+        }
+    }
+
+    /**
+     * Report an entry that is no longer on the board
+     * @param {Departure} entry - Last version of the entry
+     * @param {Date} now - Time of the poll
+     */
+    _publishGone(entry, now) {
+        const left = !entry.isCanceled && entry.expectedTime && entry.expectedTime <= now;
+        this._publish(left ? WatchEventType.DEPARTED : WatchEventType.DISAPPEARED, { entry });
+    }
+}
+
+/**
+ * Watches all departures of a station. The first poll is the baseline:
+ * entries that are already delayed, canceled or gone then are not reported,
+ * only what changes afterwards. Besides the change events, `added` is
+ * emitted for entries that show up later.
+ */
+export class BoardWatcher extends Watcher {
+    /**
+     * @param {Function} load - Loads the departure board at a date
+     * @param {Object} [options] - See Watcher
+     */
+    constructor(load, options = {}) {
+        super(load, options);
+        this.entries = [];
+        this.departed = new Set();
+    }
+
+    _requestTime() {
+        return new Date();
+    }
+
+    _nextDeparture() {
+        const now = Date.now();
+        const upcoming = this.entries
+            .map(entry => entry.expectedTime)
+            .filter(time => time && time.getTime() > now);
+        return upcoming.length > 0 ? new Date(Math.min(...upcoming)) : null;
+    }
+
+    _update(entries, now) {
+        if (this.polls === 1) {
+            // Reporting the whole board as changes would alert on every late train at once
+            entries.forEach(entry => {
+                if (!entry.isCanceled && entry.expectedTime && entry.expectedTime <= now) {
+                    this.departed.add(boardEntryKey(entry));
+                }
+            });
+            this.entries = entries;
+            return;
+        }
+
+        const diff = diffBoards(this.entries, entries);
+
+        diff.added.forEach(entry => {
+            this._publish(WatchEventType.ADDED, { entry });
+            // New entries are compared with the schedule
+            this._publishChanges(entry, null);
+        });
+        diff.changed.forEach(change => this._publishChanges(change.entry, change.previous));
+        diff.removed.forEach(entry => {
+            if (!this.departed.has(boardEntryKey(entry))) {
+                this._publishGone(entry, now);
+            }
+        });
+
+        const keys = new Set(entries.map(boardEntryKey));
+        this.departed.forEach(key => {
+            if (!keys.has(key)) {
+                this.departed.delete(key);
+            }
+        });
+        entries.forEach(entry => {
+            const key = boardEntryKey(entry);
+            if (!this.departed.has(key) && !entry.isCanceled && entry.expectedTime && entry.expectedTime <= now) {
+                this.departed.add(key);
+                this._publish(WatchEventType.DEPARTED, { entry });
+            }
+        });
+
+        this.entries = entries;
+    }
+}
+
+/**
+ * Watches one train at a station. The watcher stops by itself once the
+ * train has departed, was canceled or disappeared from the board, and with a
+ * TrainNotFoundError if the first poll does not find it.
+ */
+export class TrainWatcher extends Watcher {
+    /**
+     * @param {Function} load - Loads the departure board at a date
+     * @param {string} trainName - Train name/number (e.g., "RJ 840")
+     * @param {Object} [options] - See Watcher
+     * @param {Date} [options.date] - Scheduled departure to look for the train from (default: now)
+     */
+    constructor(load, trainName, options = {}) {
+        super(load, options);
+        this.trainName = trainName;
+        this.date = options.date || null;
+        this.entry = null;
+    }
+
+    _requestTime() {
+        // Asking from the scheduled time keeps a late train on the board
+        if (this.entry) {
+            return this.entry.scheduledTime;
+        }
+        return this.date || new Date();
+    }
+
+    _nextDeparture() {
+        return this.entry ? this.entry.expectedTime : this.date;
+    }
+
+    _update(entries, now) {
+        const previous = this.entry;
+        const entry = previous
+            ? entries.find(candidate => boardEntryKey(candidate) === boardEntryKey(previous))
+            : entries.find(candidate => candidate.matches(this.trainName));
+
+        if (!entry) {
+            if (!previous) {
+                // Polling a board the train was never on would go on forever
+                throw new TrainNotFoundError(`Train ${this.trainName} not found on the departure board`, {
+                    trainName: this.trainName,
+                    date: this._requestTime()
+                });
+            }
+            this._publishGone(previous, now);
+            this.stop();
+            return;
+        }
+
+        this.entry = entry;
+        this._publishChanges(entry, previous);
+
+        // A canceled train stays on the board at its scheduled time and never departs
+        if (entry.isCanceled) {
+            this.stop();
+            return;
+        }
+        if (entry.expectedTime && entry.expectedTime <= now) {
+            this._publish(WatchEventType.DEPARTED, { entry });
+            this.stop();
+        }
+    }
+}
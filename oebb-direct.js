@@ -2,392 +2,245 @@
  * Direct OEBB API client
  * 
  * This is a clean implementation that works with the current OEBB API,
- * bypassing the outdated oebb-api package
+ * bypassing the outdated oebb-api package.
+ * 
+ * The functions exported here use a shared default `OebbClient`. Create your
+ * own `OebbClient` instances to use different settings side by side.
+ */
+
+import { OebbClient } from './lib/client.js';
+
+export { OebbClient } from './lib/client.js';
+export { BoardEntry, Departure, Arrival, CancellationStatus } from './lib/board-entry.js';
+export { BoardPager } from './lib/board-pager.js';
+export { diffBoards } from './lib/board-diff.js';
+export { BoardFeed, FeedEventType } from './lib/board-feed.js';
+export { BoardWatcher, TrainWatcher, WatchEventType } from './lib/watch.js';
+export { Notifier, AlertType } from './lib/notifier.js';
+export { WebhookSink, EmailSink, PushSink, renderTemplate } from './lib/sinks.js';
+export { SmtpConnection, sendMail } from './lib/smtp.js';
+export { ApiServer, createServer } from './lib/server.js';
+export { Connection, Leg } from './lib/connection.js';
+export { Trip, TripStop } from './lib/trip.js';
+export { TrainPosition, PositionStatus, estimatePosition } from './lib/position.js';
+export { distanceKm } from './lib/geo.js';
+export { StationIndex } from './lib/station-index.js';
+export { StationType, parseStationFlags } from './lib/station-types.js';
+export { Product, productBitmask, formatProductFilter } from './lib/products.js';
+export { TIME_ZONE, toIsoString, formatTime, fromVienna, parseDateTime } from './lib/time.js';
+export { HttpClient } from './lib/http-client.js';
+export { FetchTransport } from './lib/transport.js';
+export { ConsoleLogger, silentLogger, createLogger } from './lib/logger.js';
+export {
+    OebbError,
+    NetworkError,
+    HttpStatusError,
+    ParseError,
+    UpstreamChangedError,
+    NotFoundError,
+    TrainNotFoundError,
+    StationNotFoundError,
+    AmbiguousStationError,
+    ValidationError,
+    SmtpError
+} from './lib/errors.js';
+export { RetryPolicy } from './lib/retry.js';
+export { ResponseCache, MemoryStore, FileStore } from './lib/cache.js';
+export { RequestScheduler, TokenBucket } from './lib/scheduler.js';
+
+// Client used by the module-level functions
+let defaultClient = new OebbClient();
+
+/**
+ * Get the client used by the module-level functions
+ * @returns {OebbClient}
+ */
+export function getDefaultClient() {
+    return defaultClient;
+}
+
+/**
+ * Replace the client used by the module-level functions
+ * @param {OebbClient|Object} clientOrOptions - Client instance or OebbClient options
+ * @returns {OebbClient} - The new default client
  */
+export function setDefaultClient(clientOrOptions = {}) {
+    defaultClient = clientOrOptions instanceof OebbClient
+        ? clientOrOptions
+        : new OebbClient(clientOrOptions);
+    return defaultClient;
+}
 
-import request from 'request';
+/**
+ * Configure how requests of the default client are sent
+ * @param {Object} [options] - HttpClient options
+ * @param {Object} [options.transport] - Custom transport with a `request(options)` method
+ * @param {Object} [options.headers] - Headers added to every request
+ * @param {number} [options.timeout] - Request timeout in milliseconds
+ * @param {string} [options.proxy] - Proxy URL for the default fetch transport
+ * @param {AbortSignal} [options.signal] - Signal that aborts all requests
+ * @param {Object} [options.logger] - Logger for the default client
+ */
+export function configureHttp(options = {}) {
+    setDefaultClient({ ...defaultClient.options, ...options });
+}
 
 /**
  * Search for stations by name
  * @param {string} name - The station name to search for
  * @param {number} count - Maximum number of results (default: 15)
+ * @param {Object} [options] - Call options (`cache: false` bypasses the cache, `types` selects
+ *   the result types)
  * @returns {Promise<Array>} - Array of station objects
  */
-export function searchStations(name, count = 15) {
-    return authenticate()
-        .then(auth => {
-            return getStations(auth, name, count);
-        });
+export function searchStations(name, count = 15, options = {}) {
+    return defaultClient.searchStations(name, count, options);
+}
+
+/**
+ * Resolve a station ID, station object or station name to a station object
+ * @param {string|number|Object} station - Station ID, station object or name
+ * @param {Object} [options] - `pickBest: true` takes the best match for ambiguous names
+ * @returns {Promise<Object>} - Station object
+ */
+export function resolveStation(station, options = {}) {
+    return defaultClient.resolveStation(station, options);
+}
+
+/**
+ * Search for stations around a point, nearest first
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {Object} [options] - Search options (see OebbClient#searchNearbyStations)
+ * @returns {Promise<Array>} - Array of station objects with `location.distanceInKm`
+ */
+export function searchNearbyStations(latitude, longitude, options = {}) {
+    return defaultClient.searchNearbyStations(latitude, longitude, options);
 }
 
 /**
  * Get train departures from a station
- * @param {string} stationId - The station ID (e.g., "1290401" for Wien Hbf)
- * @param {Date} [date] - Optional date for departures (defaults to current time)
- * @returns {Promise<Array>} - Array of departure objects
+ * @param {string|Object} stationId - Station ID (e.g., "1290401" for Wien Hbf), station object or name
+ * @param {Date|Object} [dateOrOptions] - Date for departures (defaults to current time) or options
+ *   (see OebbClient#getTrainDepartures)
+ * @returns {Promise<Array<Departure>>} - Array of departure objects
  */
-export function getTrainDepartures(stationId, date = new Date()) {
-    return authenticate()
-        .then(auth => {
-            return getBoardData(auth, stationId, date);
-        });
+export function getTrainDepartures(stationId, dateOrOptions) {
+    return defaultClient.getTrainDepartures(stationId, dateOrOptions);
+}
+
+/**
+ * Get train arrivals at a station
+ * @param {string|Object} stationId - Station ID (e.g., "1290401" for Wien Hbf), station object or name
+ * @param {Date|Object} [dateOrOptions] - Date for arrivals (defaults to current time) or options
+ * @returns {Promise<Array<Arrival>>} - Array of arrival objects
+ */
+export function getTrainArrivals(stationId, dateOrOptions) {
+    return defaultClient.getTrainArrivals(stationId, dateOrOptions);
+}
+
+/**
+ * Get both arrivals and departures of a station
+ * @param {string|Object} stationId - Station ID (e.g., "1290401" for Wien Hbf), station object or name
+ * @param {Date|Object} [dateOrOptions] - Date for the board (defaults to current time) or options
+ * @returns {Promise<Object>} - Object with `arrivals` and `departures` arrays
+ */
+export function getStationBoard(stationId, dateOrOptions) {
+    return defaultClient.getStationBoard(stationId, dateOrOptions);
+}
+
+/**
+ * Iterate over the departures of a time window, loading the board page by page
+ * @param {string|Object} stationId - Station ID, station object or name
+ * @param {Object} [options] - Board options with `from` and `to` (see OebbClient#iterateDepartures)
+ * @returns {BoardPager} - Async iterator of Departure objects
+ */
+export function iterateDepartures(stationId, options = {}) {
+    return defaultClient.iterateDepartures(stationId, options);
+}
+
+/**
+ * Iterate over the arrivals of a time window, loading the board page by page
+ * @param {string|Object} stationId - Station ID, station object or name
+ * @param {Object} [options] - Board options with `from` and `to` (see OebbClient#iterateArrivals)
+ * @returns {BoardPager} - Async iterator of Arrival objects
+ */
+export function iterateArrivals(stationId, options = {}) {
+    return defaultClient.iterateArrivals(stationId, options);
 }
 
 /**
  * Check if a specific train is delayed
- * @param {string} stationId - The station ID (e.g., "1290401" for Wien Hbf)
+ * @param {string|Object} stationId - Station ID (e.g., "1290401" for Wien Hbf), station object or name
  * @param {string} trainNumber - The train number (e.g., "RJ 840")
+ * @param {Object} [options] - Call options (`cache: false` bypasses the cache)
  * @returns {Promise<Object>} - Train information including delay status
  */
-export function checkTrainDelay(stationId, trainNumber) {
-    return authenticate()
-        .then(auth => {
-            return getBoardData(auth, stationId)
-                .then(departures => {
-                    console.log(`Searching for train ${trainNumber} in ${departures.length} departures`);
-                    
-                    // Normalize the search pattern by removing spaces
-                    const searchPattern = trainNumber.replace(/\s+/g, '').toLowerCase();
-                    
-                    // Find the specific train - try different matching approaches
-                    const train = departures.find(d => {
-                        // Try various formats for matching
-                        const fullName = (d.pr || '').toLowerCase().replace(/\s+/g, '');
-                        
-                        return fullName === searchPattern || 
-                               d.pr === trainNumber ||
-                               (d.pr && d.pr.toLowerCase().includes(trainNumber.toLowerCase()));
-                    });
-                    
-                    if (!train) {
-                        throw new Error(`Train ${trainNumber} not found at station ${stationId}`);
-                    }
-                    
-                    // Format the train information
-                    const departureTime = train.ti || '';
-                    const departureDate = train.da || '';
-                    const delay = train.rt && train.rt.dlm ? parseInt(train.rt.dlm) : 0;
-                    const actualTime = train.rt && train.rt.dlt ? train.rt.dlt : departureTime;
-                    const actualDate = train.rt && train.rt.dld ? train.rt.dld : departureDate;
-                    const status = train.rt && train.rt.status ? train.rt.status : null;
-                    
-                    return {
-                        train,
-                        isDelayed: delay > 0,
-                        delayMinutes: delay,
-                        scheduledDeparture: `${departureDate} ${departureTime}`,
-                        actualDeparture: `${actualDate} ${actualTime}`,
-                        platform: train.tr || '',
-                        direction: train.lastStop || '',
-                        status: status,
-                        canceled: status === 'Ausfall'
-                    };
-                });
-        });
+export function checkTrainDelay(stationId, trainNumber, options = {}) {
+    return defaultClient.checkTrainDelay(stationId, trainNumber, options);
 }
 
 /**
- * Track a train's journey through multiple stations
- * @param {string} trainName - Train name/number (e.g., "RJ 840")
- * @param {Array<string>} stationIds - Array of station IDs to check
- * @returns {Promise<Array>} - Array of station status objects
+ * Watch a train at a station for delay, platform and cancellation changes
+ * @param {string|Object} stationId - Station ID, station object or name
+ * @param {string} trainNumber - The train number (e.g., "RJ 840")
+ * @param {Object} [options] - Poll options (see OebbClient#watchTrain)
+ * @returns {TrainWatcher} - EventEmitter and async iterator of watch events
  */
-export function trackTrainJourney(trainName, stationIds) {
-    // Use the authentication once for all stations
-    return authenticate()
-        .then(auth => {
-            // Create an array of promises for each station check
-            const stationPromises = stationIds.map(stationId => {
-                return getBoardData(auth, stationId)
-                    .then(departures => {
-                        // Try to find the train at this station
-                        const train = departures.find(d => {
-                            const fullName = (d.pr || '').toLowerCase().replace(/\s+/g, '');
-                            return fullName === trainName.toLowerCase().replace(/\s+/g, '') || 
-                                   d.pr === trainName ||
-                                   (d.pr && d.pr.toLowerCase().includes(trainName.toLowerCase()));
-                        });
-                        
-                        if (!train) {
-                            // Train not found at this station - might have already departed
-                            return {
-                                stationId,
-                                found: false,
-                                status: 'not_found'
-                            };
-                        }
-                        
-                        // Check if the train has already departed from this station
-                        const now = new Date();
-                        const scheduledTime = train.ti.split(':');
-                        const scheduledHour = parseInt(scheduledTime[0]);
-                        const scheduledMinute = parseInt(scheduledTime[1]);
-                        
-                        const scheduledDate = new Date();
-                        scheduledDate.setHours(scheduledHour, scheduledMinute, 0, 0);
-                        
-                        // If train has real-time data with delay
-                        const hasDelay = train.rt && train.rt.dlm;
-                        const delayMinutes = hasDelay ? parseInt(train.rt.dlm) : 0;
-                        
-                        // Adjust for delay
-                        const actualDepartureDate = new Date(scheduledDate);
-                        actualDepartureDate.setMinutes(actualDepartureDate.getMinutes() + delayMinutes);
-                        
-                        let status = 'scheduled';
-                        
-                        if (now > actualDepartureDate) {
-                            status = 'departed';
-                        } else if (hasDelay) {
-                            status = 'delayed';
-                        }
-                        
-                        return {
-                            stationId,
-                            found: true,
-                            train,
-                            status,
-                            scheduledDeparture: `${train.da} ${train.ti}`,
-                            actualDeparture: hasDelay ? `${train.rt.dld} ${train.rt.dlt}` : `${train.da} ${train.ti}`,
-                            delayMinutes,
-                            platform: train.tr || 'N/A',
-                            departed: now > actualDepartureDate
-                        };
-                    })
-                    .catch(error => {
-                        console.error(`Error checking station ${stationId}:`, error.message);
-                        return {
-                            stationId,
-                            found: false,
-                            error: error.message
-                        };
-                    });
-            });
-            
-            // Execute all promises and return the combined results
-            return Promise.all(stationPromises);
-        });
+export function watchTrain(stationId, trainNumber, options = {}) {
+    return defaultClient.watchTrain(stationId, trainNumber, options);
 }
 
 /**
- * Authenticate with the OEBB API
- * @returns {Promise<Object>} - Authentication object
+ * Watch the departure board of a station for changes
+ * @param {string|Object} stationId - Station ID, station object or name
+ * @param {Object} [options] - Poll and board options (see OebbClient#watchBoard)
+ * @returns {BoardWatcher} - EventEmitter and async iterator of watch events
  */
-function authenticate() {
-    return new Promise((resolve, reject) => {
-        // Skip the authentication with tickets.oebb.at which now returns 403
-        // Instead, we'll use an anonymous approach for the SCOTTY API
-        console.log('Using direct SCOTTY API without authentication token...');
-        
-        // Create a mock authentication object with empty values
-        // The SCOTTY board API doesn't strictly require authentication tokens
-        resolve({
-            accessToken: '',
-            channel: 'inet',
-            sessionId: 'anonymous',
-            supportId: 'direct',
-            cookie: 'mock-cookie-value'
-        });
-    });
+export function watchBoard(stationId, options = {}) {
+    return defaultClient.watchBoard(stationId, options);
 }
 
 /**
- * Get stations matching the search name
- * @param {Object} auth - Authentication object
- * @param {string} name - Station name to search for
- * @param {number} count - Maximum number of results
- * @returns {Promise<Array>} - Array of station objects
+ * Track a train's journey through multiple stations
+ * @param {string} trainName - Train name/number (e.g., "RJ 840")
+ * @param {Array<string|Object>} [stationIds] - Stations to check (default: all stops of the run)
+ * @param {Object} [options] - Call options (`date`; `cache: false` bypasses the cache)
+ * @returns {Promise<Array>} - Array of station status objects
  */
-function getStations(auth, name, count) {
-    return new Promise((resolve, reject) => {
-        // Use SCOTTY station suggestion API with the correct parameters
-        console.log(`Searching for stations matching "${name}"...`);
-        
-        request({
-            url: "https://fahrplan.oebb.at/bin/ajax-getstop.exe/dn",
-            method: "GET",
-            qs: { 
-                start: 1,
-                REQ0JourneyStopsS0A: 1,
-                REQ0JourneyStopsS0G: name,
-                getstop: 1,
-                noEvaluation: 'yes'
-            },
-            headers: {
-                "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-                "Accept": "application/json, text/javascript, */*"
-            }
-        }, (error, response, body) => {
-            if (error) {
-                reject(error);
-                return;
-            }
-            
-            if (!body) {
-                reject(new Error("No body in stations response"));
-                return;
-            }
-            
-            try {
-                // The response is in format: SLs.sls={"suggestions":[...]}
-                const match = body.match(/SLs\.sls\s*=\s*(\{.*\})/s);
-                if (match && match[1]) {
-                    const data = JSON.parse(match[1]);
-                    console.log(`Found ${data.suggestions ? data.suggestions.length : 0} stations`);
-                    
-                    // Transform to similar format as the original API
-                    const stations = data.suggestions ? data.suggestions.map(s => {
-                        return {
-                            number: s.extId,
-                            name: s.value,
-                            meta: s.value,
-                            xcoord: s.xcoord,
-                            ycoord: s.ycoord,
-                            location: {
-                                longitude: s.xcoord ? parseFloat(s.xcoord) / 1000000 : 0,
-                                latitude: s.ycoord ? parseFloat(s.ycoord) / 1000000 : 0,
-                                distanceInKm: 0
-                            }
-                        };
-                    }) : [];
-                    
-                    resolve(stations);
-                } else {
-                    console.error('Could not parse station suggestions response');
-                    reject(new Error('Could not parse station suggestions response'));
-                }
-            } catch (e) {
-                console.error('Error parsing station data:', e.message);
-                reject(new Error(`Error parsing station data: ${e.message}`));
-            }
-        });
-    });
+export function trackTrainJourney(trainName, stationIds, options = {}) {
+    return defaultClient.trackTrainJourney(trainName, stationIds, options);
 }
 
 /**
- * Alternative method to search for stations
- * @param {string} name - Station name to search for
- * @param {number} count - Maximum number of results
- * @returns {Promise<Array>} - Array of station objects
+ * Search connections between two stations
+ * @param {string|Object} from - Station ID, object or name of the origin
+ * @param {string|Object} to - Station ID, object or name of the destination
+ * @param {Object} [options] - Search options (see OebbClient#searchConnections)
+ * @returns {Promise<Array<Connection>>} - Array of connection objects
  */
-function searchStationsAlternative(name, count) {
-    return new Promise((resolve, reject) => {
-        // Use station search from the timetable API
-        request({
-            url: "https://fahrplan.oebb.at/bin/query.exe/dn",
-            method: "GET",
-            qs: {
-                look_stopid: name,
-                REQ0JourneyStopsS0A: 1,
-                REQ0JourneyStopsS0G: name,
-                REQ0JourneyStopsB: count,
-                tpl: "stop2json"
-            },
-            headers: {
-                "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/96.0.4664.45 Safari/537.36"
-            }
-        }, (error, response, body) => {
-            if (error) {
-                reject(error);
-                return;
-            }
-            
-            console.log('Alternative search response:', body.substring(0, 200));
-            
-            try {
-                // Response is likely to be direct JSON
-                const data = JSON.parse(body);
-                
-                const stations = data.stops ? data.stops.map(s => {
-                    return {
-                        number: s.extId || s.id,
-                        name: s.name,
-                        meta: s.name,
-                        location: {
-                            longitude: 0,
-                            latitude: 0,
-                            distanceInKm: 0
-                        }
-                    };
-                }) : [];
-                
-                console.log(`Found ${stations.length} stations via alternative endpoint`);
-                resolve(stations);
-            } catch (e) {
-                console.error('Error parsing alternative station data:', e.message);
-                resolve([]); // Return empty array as last resort
-            }
-        });
-    });
+export function searchConnections(from, to, options = {}) {
+    return defaultClient.searchConnections(from, to, options);
 }
 
 /**
- * Get station board data (departures/arrivals)
- * @param {Object} auth - Authentication object
- * @param {string} stationId - Station ID
- * @param {Date} date - Date for board data
- * @returns {Promise<Array>} - Array of departure objects
+ * Get the complete stop sequence of a train run
+ * @param {string|BoardEntry} trip - Train name, HAFAS trip ID, board entry ID or board entry
+ * @param {Date|Object} [dateOrOptions] - Service day or options (see OebbClient#getTripDetails)
+ * @returns {Promise<Trip>} - Trip with all stops
  */
-function getBoardData(auth, stationId, date = new Date()) {
-    return new Promise((resolve, reject) => {
-        // Format date for OEBB API
-        const formattedDate = `${date.getDate().toString().padStart(2, '0')}.${(date.getMonth() + 1).toString().padStart(2, '0')}.${date.getFullYear()}`;
-        const formattedTime = `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
-        
-        console.log(`Requesting departures for station ${stationId} on ${formattedDate} at ${formattedTime}`);
-        
-        // Use SCOTTY HAFAS endpoint from fahrplan.oebb.at
-        request({
-            url: "https://fahrplan.oebb.at/bin/stboard.exe/dn",
-            method: "GET",
-            qs: {
-                L: "vs_scotty.vs_liveticker",
-                evaId: stationId,
-                boardType: "dep", // dep for departures, arr for arrivals
-                time: formattedTime,
-                date: formattedDate,
-                productsFilter: "1111111111111111", // all products
-                additionalTime: "0",
-                maxJourneys: "50", // max departures
-                outputMode: "tickerDataOnly",
-                start: "yes",
-                selectDate: "today"
-            },
-            headers: {
-                "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/96.0.4664.45 Safari/537.36"
-            }
-        }, (error, response, body) => {
-            if (error) {
-                reject(error);
-                return;
-            }
-            
-            // Handle JSONP response format: journeysObj = {...}
-            let data;
-            try {
-                // Extract the JSON part from JSONP response
-                const match = body.match(/journeysObj\s*=\s*(\{.*\})/s);
-                if (match && match[1]) {
-                    data = JSON.parse(match[1]);
-                } else {
-                    throw new Error('Could not extract JSON from response');
-                }
-            } catch (e) {
-                console.log('Error parsing response:', e.message);
-                console.log('Response sample:', body.substring(0, 200));
-                reject(new Error('Invalid response format from station board API'));
-                return;
-            }
-            
-            if (!data || !data.journey) {
-                console.log('Full response:', JSON.stringify(data, null, 2));
-                reject(new Error('No departures data in response'));
-                return;
-            }
-            
-            resolve(data.journey);
-        });
-    });
+export function getTripDetails(trip, dateOrOptions) {
+    return defaultClient.getTripDetails(trip, dateOrOptions);
+}
+
+/**
+ * Estimate where a train is right now
+ * @param {string|BoardEntry} trip - Train name, HAFAS trip ID, board entry ID or board entry
+ * @param {Date|Object} [dateOrOptions] - Service day or options (see OebbClient#getTrainPosition)
+ * @returns {Promise<TrainPosition>} - Current segment, progress, location and next stop with ETA
+ */
+export function getTrainPosition(trip, dateOrOptions) {
+    return defaultClient.getTrainPosition(trip, dateOrOptions);
 }
 
 // Example usage
@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+
+/**
+ * Start the HTTP API server (see README, "HTTP API")
+ *
+ * Configured with environment variables: PORT (default: 3000), HOST
+ * (default: 127.0.0.1), CORS_ORIGIN (comma-separated origins, default: any)
+ * and LOG_LEVEL (default: info).
+ */
+
+import { ApiServer, ConsoleLogger } from './oebb-direct.js';
+
+const logger = new ConsoleLogger({ level: process.env.LOG_LEVEL || 'info' });
+const cors = process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',').map(origin => origin.trim()) : '*';
+
+const server = new ApiServer({ clientOptions: { logger }, cors, logger });
+
+server.listen(Number(process.env.PORT || 3000), process.env.HOST || '127.0.0.1')
+    .then(address => {
+        logger.info(`Listening on http://${address.address}:${address.port}`);
+    })
+    .catch(error => {
+        logger.error('Server failed to start', { error: error.message });
+        process.exit(1);
+    });
+
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.once(signal, () => {
+        server.close().then(() => process.exit(0));
+    });
+});
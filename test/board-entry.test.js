@@ -0,0 +1,27 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Departure } from '../lib/board-entry.js';
+import { toIsoString } from '../lib/time.js';
+
+const raw = { id: '1', pr: 'RJ 373', da: '07.05.2025', ti: '23:58', tr: '8A-C', lastStop: 'Salzburg Hbf' };
+
+describe('BoardEntry', () => {
+    test('takes the expected time from dlt', () => {
+        const entry = new Departure({ ...raw, rt: { dlm: '9', dlt: '00:07' } });
+        assert.equal(toIsoString(entry.expectedTime), '2025-05-08T00:07:00+02:00');
+        assert.equal(entry.delayMinutes, 9);
+    });
+
+    test('adds dlm to the scheduled time without dlt', () => {
+        const entry = new Departure({ ...raw, rt: { dlm: '5' } });
+        assert.equal(toIsoString(entry.expectedTime), '2025-05-08T00:03:00+02:00');
+        assert.equal(entry.delayMinutes, 5);
+        assert.ok(entry.isDelayed);
+    });
+
+    test('keeps the scheduled time without real-time data', () => {
+        const entry = new Departure({ ...raw, rt: false });
+        assert.equal(entry.expectedTime.getTime(), entry.scheduledTime.getTime());
+        assert.equal(entry.delayMinutes, 0);
+    });
+});
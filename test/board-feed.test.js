@@ -0,0 +1,111 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { BoardFeed, FeedEventType } from '../lib/board-feed.js';
+import { Departure } from '../lib/board-entry.js';
+
+function departure(id, name, ti, rt = false) {
+    return new Departure({ id, pr: name, da: '07.05.2025', ti, tr: '1', lastStop: 'Salzburg Hbf', rt }, '1290401');
+}
+
+// Loader handing out the given boards one per poll, the last one repeating
+function loader(boards) {
+    const load = () => {
+        load.calls++;
+        return Promise.resolve(boards[Math.min(load.calls, boards.length) - 1]);
+    };
+    load.calls = 0;
+    return load;
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('BoardFeed', () => {
+    test('sends a snapshot first and diffs after that', () => {
+        const load = loader([
+            [departure('1', 'RJ 373', '20:58'), departure('2', 'S 60', '21:02')],
+            [departure('1', 'RJ 373', '20:58', { dlm: '5' }), departure('3', 'REX 7', '21:10')]
+        ]);
+        const feed = new BoardFeed(load, { interval: 5, stationId: '1290401' });
+        const events = [];
+        const unsubscribe = feed.subscribe(event => events.push(event));
+        return wait(30)
+            .then(() => {
+                unsubscribe();
+                const [snapshot, diff] = events;
+                assert.equal(snapshot.type, FeedEventType.SNAPSHOT);
+                assert.equal(snapshot.stationId, '1290401');
+                assert.deepEqual(snapshot.entries.map(entry => entry.name), ['RJ 373', 'S 60']);
+                assert.equal(diff.type, FeedEventType.DIFF);
+                assert.deepEqual(diff.added.map(entry => entry.name), ['REX 7']);
+                assert.deepEqual(diff.removed.map(entry => entry.name), ['S 60']);
+                assert.deepEqual(diff.delayUpdated.map(entry => entry.delayMinutes), [5]);
+                // Unchanged boards send nothing
+                assert.equal(events.length, 2);
+            });
+    });
+
+    test('polls once for all subscribers and hands late ones the last board', () => {
+        const load = loader([[departure('1', 'RJ 373', '20:58')]]);
+        const feed = new BoardFeed(load, { interval: 1000 });
+        const first = [];
+        const second = [];
+        const unsubscribeFirst = feed.subscribe(event => first.push(event));
+        const unsubscribeSecond = feed.subscribe(event => second.push(event));
+        return wait(10)
+            .then(() => {
+                const late = [];
+                feed.subscribe(event => late.push(event))();
+                assert.equal(load.calls, 1);
+                assert.equal(first.length, 1);
+                assert.equal(second.length, 1);
+                assert.equal(late[0].type, FeedEventType.SNAPSHOT);
+                unsubscribeFirst();
+                unsubscribeSecond();
+            });
+    });
+
+    test('stops polling when the last subscriber leaves', () => {
+        const load = loader([[departure('1', 'RJ 373', '20:58')]]);
+        let idle = 0;
+        const feed = new BoardFeed(load, { interval: 5, onIdle: () => idle++ });
+        const unsubscribeFirst = feed.subscribe(() => {});
+        const unsubscribeSecond = feed.subscribe(() => {});
+        return wait(20)
+            .then(() => {
+                unsubscribeFirst();
+                assert.equal(idle, 0);
+                unsubscribeSecond();
+                unsubscribeSecond();
+                assert.equal(idle, 1);
+                assert.equal(feed.size, 0);
+                const calls = load.calls;
+                return wait(30).then(() => assert.equal(load.calls, calls));
+            });
+    });
+
+    test('releases a feed nobody subscribed to', () => {
+        let idle = 0;
+        const feed = new BoardFeed(loader([[]]), { onIdle: () => idle++ });
+        const unsubscribe = feed.subscribe(() => {});
+        feed.releaseIfIdle();
+        assert.equal(idle, 0);
+        unsubscribe();
+        assert.equal(idle, 1);
+
+        const unused = new BoardFeed(loader([[]]), { onIdle: () => idle++ });
+        unused.releaseIfIdle();
+        assert.equal(idle, 2);
+    });
+
+    test('sends failed polls as error events', () => {
+        const feed = new BoardFeed(() => Promise.reject(new Error('down')), { interval: 1000 });
+        const events = [];
+        const unsubscribe = feed.subscribe(event => events.push(event));
+        return wait(10)
+            .then(() => {
+                unsubscribe();
+                assert.equal(events[0].type, FeedEventType.ERROR);
+                assert.equal(events[0].error.message, 'down');
+            });
+    });
+});
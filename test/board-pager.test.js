@@ -0,0 +1,69 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { BoardPager, MAX_PAGE_SIZE } from '../lib/board-pager.js';
+
+const start = new Date('2025-05-07T20:00:00+02:00');
+
+// Board of `count` entries, `perMinute` of them leaving in each minute from the start
+function board(count, perMinute) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: String(i),
+        scheduledTime: new Date(start.getTime() + Math.floor(i / perMinute) * 60000)
+    }));
+}
+
+// Loader answering like the station board: entries from the date on, at most `pageSize`
+function loader(entries, requests) {
+    return (date, pageSize) => {
+        requests.push(pageSize);
+        return Promise.resolve(entries.filter(entry => entry.scheduledTime >= date).slice(0, pageSize));
+    };
+}
+
+describe('BoardPager', () => {
+    test('pages through the window without duplicates', () => {
+        const requests = [];
+        const pager = new BoardPager(loader(board(30, 2), requests), {
+            from: start,
+            to: new Date(start.getTime() + 9 * 60000),
+            pageSize: 8
+        });
+        return pager.toArray()
+            .then(entries => {
+                assert.deepEqual(entries.map(entry => entry.id), board(20, 2).map(entry => entry.id));
+                assert.ok(requests.every(size => size === 8));
+                assert.equal(pager.truncated, false);
+            });
+    });
+
+    test('asks for larger pages when a full page does not get past its minute', () => {
+        const requests = [];
+        const entries = [...board(12, 12), ...board(14, 2).slice(2).map(entry => ({ ...entry, id: `later-${entry.id}` }))];
+        const pager = new BoardPager(loader(entries, requests), {
+            from: start,
+            to: new Date(start.getTime() + 3 * 60000),
+            pageSize: 5
+        });
+        return pager.toArray()
+            .then(result => {
+                assert.equal(result.filter(entry => entry.scheduledTime.getTime() === start.getTime()).length, 12);
+                assert.deepEqual(requests.slice(0, 3), [5, 10, 20]);
+                assert.equal(pager.truncated, false);
+            });
+    });
+
+    test('flags skipped entries beyond the largest page', () => {
+        const requests = [];
+        const pager = new BoardPager(loader(board(MAX_PAGE_SIZE + 10, MAX_PAGE_SIZE + 10), requests), {
+            from: start,
+            to: new Date(start.getTime() + 60000),
+            pageSize: MAX_PAGE_SIZE / 2
+        });
+        return pager.toArray()
+            .then(entries => {
+                assert.equal(entries.length, MAX_PAGE_SIZE);
+                assert.deepEqual(requests, [MAX_PAGE_SIZE / 2, MAX_PAGE_SIZE, MAX_PAGE_SIZE]);
+                assert.equal(pager.truncated, true);
+            });
+    });
+});
@@ -0,0 +1,131 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { FileStore, MemoryStore, NoCache, ResponseCache } from '../lib/cache.js';
+
+describe('MemoryStore', () => {
+    test('evicts the least recently used entry', () => {
+        const store = new MemoryStore({ maxEntries: 2 });
+        store.set('a', { value: 1 });
+        store.set('b', { value: 2 });
+        store.get('a');
+        store.set('c', { value: 3 });
+        assert.equal(store.size, 2);
+        assert.equal(store.get('b'), undefined);
+        assert.deepEqual(store.get('a'), { value: 1 });
+    });
+});
+
+describe('FileStore', () => {
+    test('persists entries as files', () => {
+        const directory = mkdtempSync(path.join(tmpdir(), 'oebb-cache-'));
+        const store = new FileStore({ directory: path.join(directory, 'nested') });
+        const entry = { value: { stations: ['1290401'] }, expires: 123 };
+        return store.set('stations:Wien', entry)
+            .then(() => new FileStore({ directory: path.join(directory, 'nested') }).get('stations:Wien'))
+            .then(stored => assert.deepEqual(stored, entry))
+            .then(() => store.clear())
+            .then(() => store.get('stations:Wien'))
+            .then(stored => assert.equal(stored, undefined))
+            .finally(() => rmSync(directory, { recursive: true, force: true }));
+    });
+});
+
+describe('ResponseCache', () => {
+    const loader = values => {
+        let calls = 0;
+        const load = () => Promise.resolve(values[Math.min(calls++, values.length - 1)]);
+        load.calls = () => calls;
+        return load;
+    };
+
+    test('serves repeated requests from the cache', () => {
+        const cache = new ResponseCache();
+        const load = loader(['first', 'second']);
+        return cache.get('board', { id: 1 }, load)
+            .then(() => cache.get('board', { id: 1 }, load))
+            .then(value => {
+                assert.equal(value, 'first');
+                assert.equal(load.calls(), 1);
+                assert.deepEqual(cache.stats().board, { hits: 1, misses: 1, shared: 0, bypassed: 0, hitRate: 0.5 });
+            });
+    });
+
+    test('keeps parameters apart', () => {
+        const cache = new ResponseCache();
+        const load = loader(['first', 'second']);
+        return cache.get('board', { id: 1 }, load)
+            .then(() => cache.get('board', { id: 2 }, load))
+            .then(value => assert.equal(value, 'second'));
+    });
+
+    test('loads again after the TTL', () => {
+        const store = new MemoryStore();
+        const cache = new ResponseCache({ store });
+        const load = loader(['first', 'second']);
+        return cache.get('board', {}, load)
+            .then(() => {
+                store.entries.forEach(entry => {
+                    entry.expires = Date.now() - 1;
+                });
+                return cache.get('board', {}, load);
+            })
+            .then(value => assert.equal(value, 'second'));
+    });
+
+    test('shares one load between concurrent requests', () => {
+        const cache = new ResponseCache();
+        const load = loader(['first']);
+        return Promise.all([cache.get('trip', {}, load), cache.get('trip', {}, load)])
+            .then(values => {
+                assert.deepEqual(values, ['first', 'first']);
+                assert.equal(load.calls(), 1);
+                assert.equal(cache.stats().trip.shared, 1);
+            });
+    });
+
+    test('bypass reloads and stores the fresh value', () => {
+        const cache = new ResponseCache();
+        const load = loader(['first', 'second']);
+        return cache.get('board', {}, load)
+            .then(() => cache.get('board', {}, load, { bypass: true }))
+            .then(() => cache.get('board', {}, load))
+            .then(value => assert.equal(value, 'second'));
+    });
+
+    test('does not cache failures', () => {
+        const cache = new ResponseCache();
+        let calls = 0;
+        const load = () => (calls++ === 0 ? Promise.reject(new Error('down')) : Promise.resolve('up'));
+        return assert.rejects(cache.get('board', {}, load), /down/)
+            .then(() => cache.get('board', {}, load))
+            .then(value => assert.equal(value, 'up'));
+    });
+
+    test('a TTL of 0 and NoCache disable caching', () => {
+        const load = loader(['first', 'second']);
+        const noTtl = new ResponseCache({ ttl: { board: 0 } });
+        return noTtl.get('board', {}, load)
+            .then(() => noTtl.get('board', {}, load))
+            .then(value => assert.equal(value, 'second'))
+            .then(() => {
+                const none = new NoCache();
+                const other = loader(['a', 'b']);
+                return none.get('stations', {}, other).then(() => none.get('stations', {}, other));
+            })
+            .then(value => assert.equal(value, 'b'));
+    });
+
+    test('ignores failing stores', () => {
+        const store = {
+            get: () => Promise.reject(new Error('read')),
+            set: () => Promise.reject(new Error('write')),
+            delete() {},
+            clear() {}
+        };
+        return new ResponseCache({ store }).get('board', {}, loader(['fresh']))
+            .then(value => assert.equal(value, 'fresh'));
+    });
+});
@@ -0,0 +1,53 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ExitCode, main } from '../lib/cli.js';
+import { OebbClient } from '../lib/client.js';
+import { FixtureTransport } from './helpers/fixture-transport.js';
+
+function run(argv, client) {
+    const output = { stdout: '', stderr: '' };
+    const stream = key => ({ isTTY: false, write: text => { output[key] += text; } });
+    return main(argv, { client, stdout: stream('stdout'), stderr: stream('stderr'), env: {} })
+        .then(code => ({ code, ...output }));
+}
+
+describe('main', () => {
+    const client = new OebbClient({
+        transport: new FixtureTransport({ 'stboard.exe': 'stboard-dep.txt', 'ajax-getstop.exe': 'ajax-getstop-wien.txt', 'mgate.exe#LocMatch': 'mgate-loc-match-wien.json' }),
+        rateLimit: false,
+        retry: false
+    });
+
+    test('exits with the delay code for a late train', () => {
+        return run(['delay', '1290401', 'RJ 373', '--time', '2025-05-07T20:50', '--format', 'json'], client)
+            .then(({ code, stdout }) => {
+                assert.equal(code, ExitCode.DELAYED);
+                assert.equal(JSON.parse(stdout)[0].train.delayMinutes, 5);
+            });
+    });
+
+    test('exits with the usage code for invalid arguments', () => {
+        return Promise.all([
+            run(['departures', '1290401', '--bogus'], client),
+            run(['departures', '1290401', '--products', 'hovercraft'], client),
+            run(['departures', '1290401', '--limit', 'many'], client),
+            run(['departures'], client),
+            run(['teleport'], client)
+        ])
+            .then(results => {
+                for (const { code, stderr } of results) {
+                    assert.equal(code, ExitCode.USAGE, stderr);
+                    assert.match(stderr, /Run "oebb( departures)? --help"/);
+                }
+            });
+    });
+
+    test('reports a crash as a failure, not as bad usage', () => {
+        const broken = { searchStations: () => Promise.reject(new TypeError("Cannot read properties of undefined (reading 'name')")) };
+        return run(['search', 'Wien'], broken)
+            .then(({ code, stderr }) => {
+                assert.equal(code, ExitCode.ERROR);
+                assert.doesNotMatch(stderr, /--help/);
+            });
+    });
+});
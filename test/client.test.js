@@ -0,0 +1,317 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { OebbClient } from '../lib/client.js';
+import { CancellationStatus, Departure } from '../lib/board-entry.js';
+import { HttpStatusError, TrainNotFoundError, UpstreamChangedError, ValidationError } from '../lib/errors.js';
+import { toIsoString } from '../lib/time.js';
+import { FixtureTransport, fixture } from './helpers/fixture-transport.js';
+
+const createClient = (routes, options = {}) => {
+    const transport = new FixtureTransport(routes);
+    const client = new OebbClient({ transport, rateLimit: false, retry: { minDelay: 1, jitter: 0 }, ...options });
+    return { client, transport };
+};
+
+const date = new Date('2025-05-07T20:50:00+02:00');
+
+describe('OebbClient with recorded responses', () => {
+    test('searchStations parses ajax-getstop suggestions', () => {
+        const { client, transport } = createClient({ 'ajax-getstop.exe': 'ajax-getstop-wien.txt', 'mgate.exe#LocMatch': 'mgate-loc-match-wien.json' });
+        return client.searchStations('Wien', 5)
+            .then(stations => {
+                assert.deepEqual(stations.map(station => [station.number, station.name, station.type]), [
+                    ['1190100', 'Wien', 'area'],
+                    ['1290401', 'Wien Hbf (U)', 'station'],
+                    ['1191201', 'Wien Meidling Bahnhof', 'station']
+                ]);
+                assert.deepEqual(stations[1].location, { longitude: 16.375326, latitude: 48.185507, distanceInKm: 0 });
+                const url = new URL(transport.requests[0].url);
+                assert.equal(url.searchParams.get('REQ0JourneyStopsS0G'), 'Wien');
+                assert.equal(url.searchParams.get('REQ0JourneyStopsB'), '5');
+                assert.equal(stations[1].meta, 'Wien Hbf (U)');
+                const locMatch = JSON.parse(transport.requestsTo('mgate.exe#LocMatch')[0].body).svcReqL[0].req;
+                assert.deepEqual(locMatch.input, { field: 'S', loc: { name: 'Wien?', type: 'S' }, maxLoc: 5 });
+            });
+    });
+
+    test('searchStations lists all results as stations without the stop area lookup', () => {
+        const { client } = createClient({
+            'ajax-getstop.exe': 'ajax-getstop-wien.txt',
+            'mgate.exe#LocMatch': { status: 500, body: 'Internal Server Error' }
+        }, { retry: false });
+        return client.searchStations('Wien', 5)
+            .then(stations => {
+                assert.deepEqual(stations.map(station => station.type), ['station', 'station', 'station']);
+            });
+    });
+
+    test('getTrainDepartures parses the stboard journeys', () => {
+        const { client, transport } = createClient({ 'stboard.exe': 'stboard-dep.txt' });
+        return client.getTrainDepartures('1290401', date)
+            .then(departures => {
+                assert.equal(departures.length, 4);
+                assert.ok(departures.every(departure => departure instanceof Departure));
+
+                const [rj, sbahn, canceled, night] = departures;
+                assert.equal(rj.name, 'RJ 373');
+                assert.equal(rj.destination, 'Salzburg Hbf');
+                assert.equal(rj.platform, '8A-C');
+                assert.equal(rj.delayMinutes, 5);
+                assert.equal(toIsoString(rj.expectedTime), '2025-05-07T21:03:00+02:00');
+                assert.equal(sbahn.isDelayed, false);
+                assert.equal(canceled.cancellation, CancellationStatus.CANCELED);
+                assert.equal(canceled.platformChanged, true);
+                assert.equal(toIsoString(night.expectedTime), '2025-05-08T00:07:00+02:00');
+                assert.equal(toIsoString(night.destinationArrivalTime), '2025-05-08T09:20:00+02:00');
+
+                const url = new URL(transport.requests[0].url);
+                assert.equal(url.pathname, '/bin/stboard.exe/dn');
+                assert.equal(url.searchParams.get('evaId'), '1290401');
+                assert.equal(url.searchParams.get('boardType'), 'dep');
+                assert.equal(url.searchParams.get('date'), '07.05.2025');
+                assert.equal(url.searchParams.get('time'), '20:50');
+            });
+    });
+
+    test('products filter the board', () => {
+        const { client, transport } = createClient({ 'stboard.exe': 'stboard-dep.txt' });
+        return client.getTrainDepartures('1290401', { date, products: ['sbahn'] })
+            .then(departures => {
+                assert.deepEqual(departures.map(departure => departure.name), ['S 60']);
+                assert.equal(new URL(transport.requests[0].url).searchParams.get('productsFilter'), '0000010000000000');
+            });
+    });
+
+    test('rejects invalid dates and products with a ValidationError', () => {
+        const { client, transport } = createClient({ 'stboard.exe': 'stboard-dep.txt' });
+        return assert.rejects(client.getTrainDepartures('1290401', { date: '20:58' }), error => {
+            assert.ok(error instanceof ValidationError);
+            assert.equal(error.parameter, 'date');
+            return true;
+        })
+            .then(() => assert.rejects(client.getTrainDepartures('1290401', { date, products: ['hovercraft'] }), ValidationError))
+            .then(() => assert.rejects(client.checkTrainDelay('1290401', 'RJ 373', { date: new Date('invalid') }), ValidationError))
+            .then(() => assert.equal(transport.requests.length, 0));
+    });
+
+    test('checkTrainDelay finds the train on the board', () => {
+        const { client } = createClient({ 'stboard.exe': 'stboard-dep.txt' });
+        return client.checkTrainDelay('1290401', 'RJ 373', { date })
+            .then(result => {
+                assert.equal(result.isDelayed, true);
+                assert.equal(result.delayMinutes, 5);
+                assert.equal(result.scheduledDeparture, '2025-05-07T20:58:00+02:00');
+                assert.equal(result.actualDeparture, '2025-05-07T21:03:00+02:00');
+            })
+            .then(() => assert.rejects(client.checkTrainDelay('1290401', 'RJ 999', { date }), TrainNotFoundError));
+    });
+
+    test('direction and destination narrow the board down', () => {
+        const { client, transport } = createClient({ 'stboard.exe': 'stboard-dep.txt' });
+        return client.getTrainDepartures('1290401', { date, direction: '8100002' })
+            .then(departures => {
+                assert.equal(departures.length, 4);
+                assert.equal(new URL(transport.requests[0].url).searchParams.get('dirInput'), '8100002');
+                return client.getTrainDepartures('1290401', { date, destination: ['Zürich', 'Bruck/Leitha'] });
+            })
+            .then(departures => {
+                assert.deepEqual(departures.map(departure => departure.name), ['S 60', 'RJX 166', 'NJ 466']);
+            });
+    });
+
+    test('via keeps the trains calling there later on and loads only the trips it has to', () => {
+        const routes = {
+            'stboard.exe': 'stboard-dep.txt',
+            'mgate.exe#JourneyMatch': 'mgate-journey-match.json',
+            'mgate.exe#JourneyDetails': 'mgate-journey-details.json'
+        };
+        const { client, transport } = createClient(routes);
+        const lookups = () => transport.requestsTo('mgate.exe#JourneyMatch').map(request => JSON.parse(request.body).svcReqL[0].req.input);
+        return client.getTrainDepartures('1290401', { date, via: '8100013' })
+            .then(departures => {
+                assert.deepEqual(departures.map(departure => departure.name), ['RJ 373']);
+                assert.deepEqual(lookups(), ['RJ 373', 'S 60', 'RJX 166', 'NJ 466']);
+                return client.getTrainDepartures('1290401', { date, via: '8100013', destination: 'Salzburg Hbf', cache: false });
+            })
+            .then(departures => {
+                assert.deepEqual(departures.map(departure => departure.name), ['RJ 373']);
+                // The destination filter left one entry to look up
+                assert.equal(lookups().length, 5);
+            });
+    });
+
+    test('via checks no more entries than maxViaLookups', () => {
+        const { client, transport } = createClient({
+            'stboard.exe': 'stboard-dep.txt',
+            'mgate.exe#JourneyMatch': 'mgate-journey-match.json',
+            'mgate.exe#JourneyDetails': 'mgate-journey-details.json'
+        }, { maxViaLookups: 2 });
+        return client.getTrainDepartures('1290401', { date, via: '8100013' })
+            .then(departures => {
+                assert.deepEqual(departures.map(departure => departure.name), ['RJ 373']);
+                assert.equal(transport.requestsTo('mgate.exe#JourneyMatch').length, 2);
+            });
+    });
+
+    test('getTripDetails matches the train and loads its stops from mgate', () => {
+        const { client, transport } = createClient({
+            'mgate.exe#JourneyMatch': 'mgate-journey-match.json',
+            'mgate.exe#JourneyDetails': 'mgate-journey-details.json'
+        });
+        return client.getTripDetails('RJ 373', { date })
+            .then(trip => {
+                assert.equal(trip.name, 'RJ 373');
+                assert.equal(trip.direction, 'Salzburg Hbf');
+                assert.deepEqual(trip.stops.map(stop => stop.station.name), ['Wien Hbf (U)', 'St. Pölten Hbf', 'Linz/Donau Hbf', 'Salzburg Hbf']);
+                assert.equal(trip.stops[1].departureDelay, 4);
+                assert.equal(trip.stops[1].platformChanged, true);
+
+                const body = JSON.parse(transport.requestsTo('mgate.exe#JourneyMatch')[0].body);
+                assert.deepEqual(body.svcReqL[0].req, { input: 'RJ 373', date: '20250507', onlyCR: false });
+                assert.equal(body.auth.type, 'AID');
+            });
+    });
+
+    test('getTrainPosition only takes coordinates of the same station', () => {
+        // Linz comes without coordinates and the name search does not find it
+        const details = JSON.parse(fixture('mgate-journey-details.json'));
+        const linz = details.svcResL[0].res.common.locL.find(loc => loc.extId === '8100013');
+        delete linz.crd;
+        const { client } = createClient({
+            'mgate.exe#JourneyMatch': 'mgate-journey-match.json',
+            'mgate.exe#JourneyDetails': { body: JSON.stringify(details) },
+            'ajax-getstop.exe': 'ajax-getstop-wien.txt',
+            'mgate.exe#LocMatch': 'mgate-loc-match-wien.json'
+        });
+        return client.getTrainPosition('RJ 373', { date, at: new Date('2025-05-07T22:00:00+02:00') })
+            .then(position => {
+                assert.equal(position.nextStop.station.name, 'Linz/Donau Hbf');
+                assert.equal(position.location, null);
+                assert.equal(position.distanceToNextStopKm, null);
+            });
+    });
+
+    test('searchConnections parses TripSearch results', () => {
+        const { client } = createClient({ 'mgate.exe#TripSearch': 'mgate-trip-search.json' });
+        return client.searchConnections('1290401', '8100002', { departureAt: date })
+            .then(connections => {
+                assert.equal(connections.length, 1);
+                assert.equal(connections[0].changes, 0);
+                assert.equal(connections[0].durationMinutes, 152);
+            });
+    });
+
+    test('retries a failed board request', () => {
+        const { client, transport } = createClient({
+            'stboard.exe': [{ status: 503, body: 'Service Unavailable' }, 'stboard-dep.txt']
+        });
+        return client.getTrainDepartures('1290401', date)
+            .then(departures => {
+                assert.equal(departures.length, 4);
+                assert.equal(transport.requests.length, 2);
+            });
+    });
+
+    test('rejects failed and changed board responses', () => {
+        const { client } = createClient({ 'stboard.exe': { status: 404, body: 'Not Found' } }, { retry: false });
+        return assert.rejects(client.getTrainDepartures('1290401', date), error => {
+            assert.ok(error instanceof HttpStatusError);
+            assert.equal(error.stationId, '1290401');
+            return true;
+        })
+            .then(() => {
+                const changed = createClient({ 'stboard.exe': { body: '<html>Wartung</html>' } }, { retry: false }).client;
+                return assert.rejects(changed.getTrainDepartures('1290401', date), UpstreamChangedError);
+            });
+    });
+
+    test('getStationBoard loads arrivals and departures of the resolved station', () => {
+        const { client, transport } = createClient({ 'stboard.exe': 'stboard-dep.txt', 'ajax-getstop.exe': 'ajax-getstop-wien.txt', 'mgate.exe#LocMatch': 'mgate-loc-match-wien.json' });
+        return client.getStationBoard('Wien Hbf', { date, products: ['railjet'] })
+            .then(board => {
+                assert.equal(board.stationId, '1290401');
+                assert.deepEqual(board.departures.map(entry => entry.name), ['RJ 373', 'RJX 166']);
+                assert.equal(board.arrivals[0].boardType, 'arr');
+                const queries = transport.requestsTo('stboard.exe').map(request => new URL(request.url).searchParams);
+                assert.deepEqual(queries.map(query => query.get('boardType')).sort(), ['arr', 'dep']);
+                assert.ok(queries.every(query => query.get('evaId') === '1290401'));
+            });
+    });
+
+    test('trackTrainJourney reports each station and rejects when one cannot be checked', () => {
+        const board = request => (new URL(request.url).searchParams.get('evaId') === '8100173'
+            ? { status: 404, body: 'Not Found' }
+            : 'stboard-dep.txt');
+        const { client } = createClient({ 'stboard.exe': board }, { retry: false });
+        return client.trackTrainJourney('RJ 373', ['1290401'], { date })
+            .then(([result]) => {
+                assert.equal(result.found, true);
+                assert.equal(result.delayMinutes, 5);
+                return assert.rejects(client.trackTrainJourney('RJ 373', ['1290401', '8100173'], { date }), error => {
+                    assert.ok(error instanceof HttpStatusError);
+                    assert.equal(error.stationId, '8100173');
+                    return true;
+                });
+            });
+    });
+
+    test('trackTrainJourney takes a single station like a list of one', () => {
+        const { client, transport } = createClient({ 'stboard.exe': 'stboard-dep.txt' });
+        return Promise.all([
+            client.trackTrainJourney('RJ 373', '1290401', { date }),
+            client.trackTrainJourney('RJ 373', { number: '1290401', name: 'Wien Hbf (U)' }, { date, cache: false })
+        ])
+            .then(results => {
+                for (const [result, ...rest] of results) {
+                    assert.equal(rest.length, 0);
+                    assert.equal(result.stationId, '1290401');
+                    assert.equal(result.delayMinutes, 5);
+                }
+                assert.equal(transport.requestsTo('stboard.exe').length, 2);
+                return assert.rejects(client.trackTrainJourney('RJ 373', '', { date }), ValidationError);
+            });
+    });
+
+    test('answers repeated board requests from the cache', () => {
+        const { client, transport } = createClient({ 'stboard.exe': 'stboard-dep.txt' });
+        return client.getTrainDepartures('1290401', date)
+            .then(() => client.getTrainDepartures('1290401', date))
+            .then(departures => {
+                assert.equal(departures.length, 4);
+                assert.equal(transport.requests.length, 1);
+                assert.equal(client.cacheStats().board.hits, 1);
+            });
+    });
+
+    test('searchNearbyStations lists stations nearest first', () => {
+        const { client, transport } = createClient({ 'mgate.exe#LocGeoPos': 'mgate-loc-geo-pos.json' });
+        return client.searchNearbyStations(48.185, 16.376, { radiusMeters: 1000, limit: 5, products: ['railjet'] })
+            .then(stations => {
+                // The point of interest is left out
+                assert.deepEqual(stations.map(station => [station.number, station.type]), [
+                    ['1290401', 'station'],
+                    ['1190401', 'area'],
+                    ['1291501', 'station']
+                ]);
+                assert.equal(Math.round(stations[0].location.distanceInKm * 1000), 75);
+                // Without coordinates the distance HAFAS reports is used
+                assert.equal(stations[1].location.distanceInKm, 0.15);
+                assert.equal(Math.round(stations[2].location.distanceInKm * 1000), 792);
+
+                const req = JSON.parse(transport.requestsTo('mgate.exe#LocGeoPos')[0].body).svcReqL[0].req;
+                assert.deepEqual(req.ring, { cCrd: { x: 16376000, y: 48185000 }, maxDist: 1000 });
+                assert.equal(req.maxLoc, 5);
+                assert.deepEqual(req.locFltrL, [{ type: 'PROD', mode: 'INC', value: '1' }]);
+            });
+    });
+
+    test('searchNearbyStations applies the limit and rejects invalid coordinates', () => {
+        const { client, transport } = createClient({ 'mgate.exe#LocGeoPos': 'mgate-loc-geo-pos.json' });
+        return client.searchNearbyStations('48.185', '16.376', { limit: 1 })
+            .then(stations => {
+                assert.deepEqual(stations.map(station => station.number), ['1290401']);
+                return assert.rejects(client.searchNearbyStations('north', 16.376), ValidationError);
+            })
+            .then(() => assert.equal(transport.requests.length, 1));
+    });
+});
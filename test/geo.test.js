@@ -0,0 +1,43 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { distanceKm, hasCoordinates, interpolate } from '../lib/geo.js';
+
+const wienHbf = { latitude: 48.185507, longitude: 16.375326 };
+const salzburgHbf = { latitude: 47.813048, longitude: 13.045604 };
+
+describe('distanceKm', () => {
+    test('measures the great-circle distance', () => {
+        assert.equal(Math.round(distanceKm(wienHbf, salzburgHbf)), 251);
+        assert.equal(distanceKm(wienHbf, salzburgHbf), distanceKm(salzburgHbf, wienHbf));
+        assert.equal(distanceKm(wienHbf, wienHbf), 0);
+        // A quarter of the equator
+        assert.equal(Math.round(distanceKm({ latitude: 0, longitude: 0 }, { latitude: 0, longitude: 90 })), 10008);
+    });
+
+    test('stays accurate over short distances', () => {
+        const distance = distanceKm({ latitude: 48.185, longitude: 16.376 }, wienHbf);
+        assert.ok(distance > 0.07 && distance < 0.08, String(distance));
+    });
+});
+
+describe('hasCoordinates', () => {
+    test('treats 0/0 and missing values as no coordinates', () => {
+        assert.equal(hasCoordinates(wienHbf), true);
+        assert.equal(hasCoordinates({ latitude: 0, longitude: 16.375326 }), true);
+        assert.equal(hasCoordinates({ latitude: 0, longitude: 0 }), false);
+        assert.equal(hasCoordinates({ latitude: NaN, longitude: 16.375326 }), false);
+        assert.equal(hasCoordinates({}), false);
+        assert.equal(hasCoordinates(null), false);
+    });
+});
+
+describe('interpolate', () => {
+    test('finds points along the great circle', () => {
+        assert.ok(distanceKm(interpolate(wienHbf, salzburgHbf, 0), wienHbf) < 0.001);
+        const end = interpolate(wienHbf, salzburgHbf, 1);
+        assert.ok(distanceKm(end, salzburgHbf) < 0.001);
+        const middle = interpolate(wienHbf, salzburgHbf, 0.5);
+        assert.ok(Math.abs(distanceKm(wienHbf, middle) - distanceKm(middle, salzburgHbf)) < 0.001);
+        assert.deepEqual(interpolate(wienHbf, wienHbf, 0.5), wienHbf);
+    });
+});
@@ -0,0 +1,70 @@
+/**
+ * Transport replaying recorded responses from test/fixtures
+ */
+
+import { readFileSync } from 'fs';
+
+const FIXTURES = new URL('../fixtures/', import.meta.url);
+
+/**
+ * Read a fixture file
+ * @param {string} name - File name in test/fixtures
+ * @returns {string}
+ */
+export function fixture(name) {
+    return readFileSync(new URL(name, FIXTURES), 'utf8');
+}
+
+/**
+ * Transport answering requests with fixtures. Routes are keyed by endpoint
+ * name ("stboard.exe"), mgate requests by endpoint and method
+ * ("mgate.exe#JourneyDetails"). A route is a fixture name, a response object
+ * or a function `(request) => response`; an array of routes is used one
+ * after the other, the last one repeating.
+ */
+export class FixtureTransport {
+    /**
+     * @param {Object} routes - Routes by key
+     */
+    constructor(routes) {
+        this.routes = routes;
+        this.requests = [];
+    }
+
+    request(request) {
+        this.requests.push(request);
+        const key = routeKey(request);
+        const route = this.routes[key];
+        if (route === undefined) {
+            return Promise.reject(new Error(`No fixture for ${key}`));
+        }
+
+        const count = this.requests.filter(other => routeKey(other) === key).length;
+        const current = Array.isArray(route) ? route[Math.min(count, route.length) - 1] : route;
+        return Promise.resolve()
+            .then(() => (typeof current === 'function' ? current(request) : current))
+            .then(response => {
+                if (typeof response === 'string') {
+                    return { status: 200, headers: {}, body: fixture(response), url: request.url };
+                }
+                return { status: 200, headers: {}, url: request.url, ...response };
+            });
+    }
+
+    /**
+     * Requests made to a route
+     * @param {string} key - Route key
+     * @returns {Array<Object>}
+     */
+    requestsTo(key) {
+        return this.requests.filter(request => routeKey(request) === key);
+    }
+}
+
+function routeKey(request) {
+    const endpoint = new URL(request.url).pathname.split('/')[2];
+    if (endpoint !== 'mgate.exe') {
+        return endpoint;
+    }
+    return `${endpoint}#${JSON.parse(request.body).svcReqL[0].meth}`;
+}
@@ -0,0 +1,73 @@
+/**
+ * Local stand-in for a mail server
+ */
+
+import net from 'net';
+
+/**
+ * Start a plain SMTP server on a free port. It records every command and
+ * the message data it receives.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.extensions] - Extensions announced after EHLO
+ * @param {Object} [options.replies] - Replies by command verb replacing the default
+ *   (e.g., `{ RCPT: '550 No such user' }`)
+ * @returns {Promise<Object>} - `{ port, commands, messages, close() }`
+ */
+export function startSmtpServer(options = {}) {
+    const extensions = options.extensions || ['AUTH PLAIN', '8BITMIME'];
+    const replies = options.replies || {};
+    const commands = [];
+    const messages = [];
+
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let data = null;
+        socket.setEncoding('utf8');
+        socket.write('220 localhost ESMTP stand-in\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.substring(0, end);
+                buffer = buffer.substring(end + 2);
+                if (data !== null) {
+                    if (line === '.') {
+                        messages.push(data.join('\r\n'));
+                        data = null;
+                        socket.write(`${replies.DATA_END || '250 2.0.0 Ok: queued'}\r\n`);
+                    } else {
+                        data.push(line);
+                    }
+                    continue;
+                }
+                commands.push(line);
+                const verb = line.split(/[\s:]/)[0].toUpperCase();
+                if (replies[verb]) {
+                    socket.write(`${replies[verb]}\r\n`);
+                } else if (verb === 'EHLO') {
+                    const lines = ['localhost', ...extensions];
+                    socket.write(lines.map((text, i) => `250${i < lines.length - 1 ? '-' : ' '}${text}\r\n`).join(''));
+                } else if (verb === 'AUTH') {
+                    socket.write('235 2.7.0 Authentication successful\r\n');
+                } else if (verb === 'DATA') {
+                    data = [];
+                    socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+                } else if (verb === 'QUIT') {
+                    socket.end('221 Bye\r\n');
+                } else {
+                    socket.write('250 Ok\r\n');
+                }
+            }
+        });
+        socket.on('error', () => {});
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        resolve({
+            port: server.address().port,
+            commands,
+            messages,
+            close: () => new Promise(done => server.close(done))
+        });
+    }));
+}
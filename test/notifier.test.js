@@ -0,0 +1,40 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Notifier } from '../lib/notifier.js';
+import { Departure } from '../lib/board-entry.js';
+import { ValidationError } from '../lib/errors.js';
+
+const now = new Date('2025-05-07T20:50:00+02:00');
+const entry = new Departure({ id: '1', pr: 'RJ 373', da: '07.05.2025', ti: '20:58', tr: '8A-C', lastStop: 'Salzburg Hbf', rt: { dlm: '10', dlt: '21:08' } }, '1290401');
+
+function createNotifier() {
+    const sent = [];
+    const notifier = new Notifier({ sinks: { test: { send: alert => Promise.resolve(sent.push(alert)) } } });
+    return { notifier, sent };
+}
+
+describe('Notifier', () => {
+    test('matches subscriptions by station ID or station object', () => {
+        const { notifier, sent } = createNotifier();
+        notifier.subscribe({ id: 'id', train: 'RJ 373', station: 1290401 });
+        notifier.subscribe({ id: 'object', station: { number: '1290401', name: 'Wien Hbf (U)' } });
+        notifier.subscribe({ id: 'other', station: '1190100' });
+        return notifier.check(entry, now)
+            .then(() => {
+                assert.deepEqual(sent.map(alert => alert.subscriptionId).sort(), ['id', 'object']);
+                assert.equal(sent[0].message, 'RJ 373 to Salzburg Hbf (20:58) is 10 min late, expected at 21:08');
+            });
+    });
+
+    test('rejects station names', () => {
+        const { notifier } = createNotifier();
+        assert.throws(() => notifier.subscribe({ station: 'Wien Hbf' }), error => {
+            assert.ok(error instanceof ValidationError);
+            assert.equal(error.parameter, 'station');
+            assert.match(error.message, /"Wien Hbf"/);
+            return true;
+        });
+        assert.throws(() => notifier.subscribe({ station: { name: 'Wien Hbf' } }), ValidationError);
+        assert.equal(notifier.subscriptions.size, 0);
+    });
+});
@@ -0,0 +1,44 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { PositionStatus, estimatePosition } from '../lib/position.js';
+
+const at = time => new Date(`2025-05-07T${time}:00+02:00`);
+
+function stop(station, arrival, departure) {
+    return {
+        station,
+        expectedArrival: arrival ? at(arrival) : null,
+        expectedDeparture: departure ? at(departure) : null,
+        arrivalDelay: 0,
+        departureDelay: 0,
+        canceled: false
+    };
+}
+
+const wien = { name: 'Wien Hbf (U)', location: { latitude: 48.185507, longitude: 16.375326 } };
+const trip = {
+    id: '1',
+    name: 'RJ 373',
+    canceled: false,
+    stops: [stop(wien, null, '20:58'), stop(null, '21:24', '21:26'), stop(wien, '22:30', null)]
+};
+
+describe('estimatePosition', () => {
+    test('locates a train at a stop', () => {
+        const position = estimatePosition(trip, at('20:30'));
+        assert.equal(position.status, PositionStatus.SCHEDULED);
+        assert.deepEqual(position.location, wien.location);
+    });
+
+    test('has no location at or next to a stop without a station', () => {
+        const stopped = estimatePosition(trip, at('21:25'));
+        assert.equal(stopped.status, PositionStatus.STOPPED);
+        assert.equal(stopped.location, null);
+        assert.equal(stopped.distanceToNextStopKm, null);
+
+        const running = estimatePosition(trip, at('21:10'));
+        assert.equal(running.status, PositionStatus.RUNNING);
+        assert.equal(running.location, null);
+        assert.equal(running.segment.distanceKm, null);
+    });
+});
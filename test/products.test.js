@@ -0,0 +1,81 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ALL_PRODUCTS, Product, formatProductFilter, includesProduct, productBitmask, productClass } from '../lib/products.js';
+import { Departure } from '../lib/board-entry.js';
+import { ValidationError } from '../lib/errors.js';
+
+describe('productBitmask', () => {
+    test('combines the bits of product names', () => {
+        assert.equal(productBitmask('railjet'), 1);
+        assert.equal(productBitmask(['sbahn', 'regional']), 48);
+        assert.equal(productBitmask(['S-Bahn', 'Intercity']), 32 | 6);
+        assert.equal(productBitmask(['interregional']), 8 | 4096);
+        assert.equal(productBitmask([Product.TRAM, Product.SUBWAY, Product.TRAM]), 768);
+    });
+
+    test('takes bitmasks and station board filters as they are', () => {
+        assert.equal(productBitmask(48), 48);
+        assert.equal(productBitmask('0000110000000000'), 48);
+        assert.equal(productBitmask('1'), 1);
+        assert.equal(productBitmask(), ALL_PRODUCTS);
+        assert.equal(productBitmask(null), ALL_PRODUCTS);
+    });
+
+    test('rejects unknown names and empty selections', () => {
+        assert.throws(() => productBitmask(['sbahn', 'hovercraft']), error => {
+            assert.ok(error instanceof ValidationError);
+            assert.equal(error.parameter, 'products');
+            assert.match(error.message, /^Unknown product\(s\): hovercraft \(/);
+            return true;
+        });
+        assert.throws(() => productBitmask([]), ValidationError);
+        assert.throws(() => productBitmask(0), ValidationError);
+        assert.throws(() => productBitmask(1.5), ValidationError);
+        assert.throws(() => productBitmask('0000000000000000'), ValidationError);
+    });
+});
+
+describe('formatProductFilter', () => {
+    test('writes one digit per bit, lowest first', () => {
+        assert.equal(formatProductFilter(48), '0000110000000000');
+        assert.equal(formatProductFilter(ALL_PRODUCTS), '1111111111111111');
+        assert.equal(formatProductFilter(productBitmask(formatProductFilter(4096 | 1))), '1000000000001000');
+    });
+});
+
+describe('productClass', () => {
+    test('decodes the class bits of HAFAS products', () => {
+        assert.equal(productClass('RJ', 1), Product.RAILJET);
+        assert.equal(productClass('', 4), Product.INTERCITY);
+        assert.equal(productClass('', 4096), Product.INTERREGIONAL);
+        assert.equal(productClass('', 2048), Product.ONDEMAND);
+        // Bits win over the category
+        assert.equal(productClass('Bus', 32), Product.SBAHN);
+    });
+
+    test('falls back to the category of the name', () => {
+        assert.equal(productClass('RJX'), Product.RAILJET);
+        assert.equal(productClass('NJ'), Product.INTERREGIONAL);
+        assert.equal(productClass('cjx'), Product.REGIONAL);
+        assert.equal(productClass('S', 16384), Product.SBAHN);
+        assert.equal(productClass('Schiff'), Product.FERRY);
+        assert.equal(productClass('Zeppelin'), null);
+        assert.equal(productClass(undefined), null);
+    });
+
+    test('sets the class of board entries', () => {
+        const entry = name => new Departure({ id: '1', pr: name, da: '07.05.2025', ti: '20:58' }, '1290401');
+        assert.equal(entry('RJ 373').productClass, Product.RAILJET);
+        assert.equal(entry('S 60').productClass, Product.SBAHN);
+        assert.equal(entry('Bus 13A').productClass, Product.BUS);
+    });
+});
+
+describe('includesProduct', () => {
+    test('checks the bits of a class and keeps unknown classes', () => {
+        assert.equal(includesProduct(48, Product.SBAHN), true);
+        assert.equal(includesProduct(48, Product.RAILJET), false);
+        assert.equal(includesProduct(4096, Product.INTERREGIONAL), true);
+        assert.equal(includesProduct(1, null), true);
+    });
+});
@@ -0,0 +1,89 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { RetryPolicy, createRetryPolicies } from '../lib/retry.js';
+import { HttpStatusError, NetworkError, ParseError, UpstreamChangedError } from '../lib/errors.js';
+
+const fast = { minDelay: 1, maxDelay: 2, jitter: 0 };
+
+describe('RetryPolicy', () => {
+    test('retries transient failures until an attempt succeeds', () => {
+        const attempts = [];
+        const retries = [];
+        return new RetryPolicy(fast).run(attempt => {
+            attempts.push(attempt);
+            if (attempt < 3) {
+                return Promise.reject(new NetworkError('reset', { code: 'ECONNRESET' }));
+            }
+            return 'ok';
+        }, { onRetry: (error, attempt, delay) => retries.push([attempt, delay]) })
+            .then(result => {
+                assert.equal(result, 'ok');
+                assert.deepEqual(attempts, [1, 2, 3]);
+                assert.deepEqual(retries, [[1, 1], [2, 2]]);
+            });
+    });
+
+    test('gives up after maxAttempts and reports the attempts', () => {
+        let calls = 0;
+        return assert.rejects(new RetryPolicy({ ...fast, maxAttempts: 2 }).run(() => {
+            calls++;
+            throw new HttpStatusError('HTTP 503', { status: 503 });
+        }), error => {
+            assert.equal(calls, 2);
+            assert.equal(error.attempts, 2);
+            return true;
+        });
+    });
+
+    test('does not retry client errors, structure changes or aborts', () => {
+        const policy = new RetryPolicy();
+        assert.equal(policy.isRetryable(new HttpStatusError('HTTP 404', { status: 404 }), 1), false);
+        assert.equal(policy.isRetryable(new UpstreamChangedError('changed'), 1), false);
+        assert.equal(policy.isRetryable(new NetworkError('aborted', { code: 'ABORTED' }), 1), false);
+        assert.equal(policy.isRetryable(new TypeError('bug'), 1), false);
+        assert.equal(policy.isRetryable(new HttpStatusError('HTTP 429', { status: 429 }), 1), true);
+        assert.equal(policy.isRetryable(new ParseError('truncated'), 1), true);
+    });
+
+    test('uses shouldRetry instead of the default check', () => {
+        const policy = new RetryPolicy({ shouldRetry: (error, attempt) => attempt < 2 });
+        assert.equal(policy.isRetryable(new TypeError('any'), 1), true);
+        assert.equal(policy.isRetryable(new NetworkError('any'), 2), false);
+    });
+
+    test('backs off exponentially up to maxDelay', () => {
+        const policy = new RetryPolicy({ minDelay: 100, maxDelay: 300, factor: 2, jitter: 0 });
+        assert.deepEqual([1, 2, 3].map(attempt => policy.delayFor(attempt, new NetworkError('x'))), [100, 200, 300]);
+    });
+
+    test('honors Retry-After up to maxRetryAfter', () => {
+        const policy = new RetryPolicy({ maxRetryAfter: 5000 });
+        const error = seconds => new HttpStatusError('HTTP 429', { status: 429, headers: { 'Retry-After': seconds } });
+        assert.equal(policy.delayFor(1, error('2')), 2000);
+        assert.equal(policy.delayFor(1, error('60')), 5000);
+    });
+
+    test('stops waiting when the signal aborts', () => {
+        const controller = new AbortController();
+        const result = new RetryPolicy({ minDelay: 10000, jitter: 0 }).run(() => {
+            setImmediate(() => controller.abort());
+            return Promise.reject(new NetworkError('reset'));
+        }, { signal: controller.signal });
+        return assert.rejects(result, error => error instanceof NetworkError && error.message === 'reset');
+    });
+});
+
+describe('createRetryPolicies', () => {
+    test('applies shared options with per-operation overrides', () => {
+        const policies = createRetryPolicies({ maxAttempts: 4, board: { maxAttempts: 6 }, trip: false }, ['board', 'stations', 'trip']);
+        assert.equal(policies.board.options.maxAttempts, 6);
+        assert.equal(policies.stations.options.maxAttempts, 4);
+        assert.equal(policies.stations.options.board, undefined);
+        assert.equal(policies.trip.options.maxAttempts, 1);
+    });
+
+    test('disables retries with false', () => {
+        const policies = createRetryPolicies(false, ['board']);
+        assert.equal(policies.board.options.maxAttempts, 1);
+    });
+});
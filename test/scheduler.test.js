@@ -0,0 +1,103 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { RequestScheduler, TokenBucket } from '../lib/scheduler.js';
+import { NetworkError } from '../lib/errors.js';
+
+const deferred = () => {
+    let resolve;
+    const promise = new Promise(done => {
+        resolve = done;
+    });
+    return { promise, resolve };
+};
+
+describe('TokenBucket', () => {
+    test('allows a burst, then reports the wait for the next token', () => {
+        const bucket = new TokenBucket({ rate: 10, burst: 2 });
+        assert.equal(bucket.take(), 0);
+        assert.equal(bucket.take(), 0);
+        const wait = bucket.take();
+        assert.ok(wait > 0 && wait <= 100, `wait ${wait}`);
+    });
+
+    test('never waits with an infinite rate', () => {
+        const bucket = new TokenBucket({ rate: Infinity });
+        assert.ok([1, 2, 3, 4, 5, 6].every(() => bucket.take() === 0));
+    });
+});
+
+describe('RequestScheduler', () => {
+    test('limits the number of tasks in flight', () => {
+        const scheduler = new RequestScheduler({ maxConcurrency: 2, requestsPerSecond: Infinity });
+        const gates = [deferred(), deferred(), deferred()];
+        let running = 0;
+        let highest = 0;
+        const results = gates.map((gate, index) => scheduler.schedule(() => {
+            running++;
+            highest = Math.max(highest, running);
+            return gate.promise.then(() => {
+                running--;
+                return index;
+            });
+        }));
+
+        return Promise.resolve()
+            .then(() => {
+                assert.deepEqual(scheduler.metrics(), { queued: 1, active: 2, started: 2, completed: 0, failed: 0, canceled: 0, maxQueued: 1 });
+                gates.forEach(gate => gate.resolve());
+                return Promise.all(results);
+            })
+            .then(values => {
+                assert.deepEqual(values, [0, 1, 2]);
+                assert.equal(highest, 2);
+                assert.equal(scheduler.metrics().completed, 3);
+            });
+    });
+
+    test('spaces tasks out to the request rate', () => {
+        const scheduler = new RequestScheduler({ maxConcurrency: 10, requestsPerSecond: 20, burst: 1 });
+        const started = Date.now();
+        return Promise.all([1, 2, 3].map(() => scheduler.schedule(() => Date.now() - started)))
+            .then(times => {
+                // 20 per second are one every 50 ms
+                assert.ok(times[2] >= 90, `third task after ${times[2]} ms`);
+            });
+    });
+
+    test('passes failures through and counts them', () => {
+        const scheduler = new RequestScheduler({ requestsPerSecond: Infinity });
+        return assert.rejects(scheduler.schedule(() => Promise.reject(new Error('boom'))), /boom/)
+            .then(() => assert.equal(scheduler.metrics().failed, 1));
+    });
+
+    test('drops queued tasks whose signal aborts', () => {
+        const scheduler = new RequestScheduler({ maxConcurrency: 1, requestsPerSecond: Infinity });
+        const gate = deferred();
+        const controller = new AbortController();
+        const first = scheduler.schedule(() => gate.promise);
+        let ran = false;
+        const second = scheduler.schedule(() => {
+            ran = true;
+        }, { signal: controller.signal });
+
+        controller.abort(new Error('user left'));
+        gate.resolve('done');
+        return assert.rejects(second, error => {
+            assert.ok(error instanceof NetworkError);
+            assert.equal(error.code, 'ABORTED');
+            assert.match(error.message, /user left/);
+            return true;
+        })
+            .then(() => first)
+            .then(value => {
+                assert.equal(value, 'done');
+                assert.equal(ran, false);
+                assert.equal(scheduler.metrics().canceled, 1);
+            });
+    });
+
+    test('rejects tasks with an already aborted signal', () => {
+        const scheduler = new RequestScheduler();
+        return assert.rejects(scheduler.schedule(() => 1, { signal: AbortSignal.abort() }), NetworkError);
+    });
+});
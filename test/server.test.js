@@ -0,0 +1,201 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { ApiServer, errorBody } from '../lib/server.js';
+import { OebbClient } from '../lib/client.js';
+import { NetworkError, OebbError, StationNotFoundError, UpstreamChangedError, ValidationError } from '../lib/errors.js';
+import { FixtureTransport } from './helpers/fixture-transport.js';
+
+describe('ApiServer', () => {
+    let server;
+    let baseUrl;
+    const client = new OebbClient({
+        transport: new FixtureTransport({ 'stboard.exe': 'stboard-dep.txt', 'ajax-getstop.exe': 'ajax-getstop-wien.txt', 'mgate.exe#LocMatch': 'mgate-loc-match-wien.json' }),
+        rateLimit: false,
+        retry: false
+    });
+
+    before(() => {
+        server = new ApiServer({ client });
+        return server.listen(0).then(address => {
+            baseUrl = `http://127.0.0.1:${address.port}`;
+        });
+    });
+
+    after(() => server.close());
+
+    const get = path => fetch(`${baseUrl}${path}`).then(response => response.json().then(body => ({ status: response.status, body })));
+
+    test('answers board routes', () => {
+        return get('/stations/1290401/departures?date=2025-05-07T20:50&products=railjet')
+            .then(({ status, body }) => {
+                assert.equal(status, 200);
+                assert.deepEqual(body.map(entry => entry.name), ['RJ 373', 'RJX 166']);
+                assert.equal(body[0].scheduledTime, '2025-05-07T20:58:00+02:00');
+            });
+    });
+
+    test('rejects invalid parameters with 400', () => {
+        return get('/stations/1290401/departures?limit=0')
+            .then(({ status, body }) => {
+                assert.equal(status, 400);
+                assert.equal(body.error.code, 'invalid_request');
+                assert.equal(body.error.type, 'ValidationError');
+                assert.equal(body.error.parameter, 'limit');
+            });
+    });
+
+    test('rejects unknown products with 400', () => {
+        return get('/stations/1290401/departures?products=hovercraft')
+            .then(({ status, body }) => {
+                assert.equal(status, 400);
+                assert.equal(body.error.parameter, 'products');
+                assert.match(body.error.message, /hovercraft/);
+            });
+    });
+
+    test('lists the error codes in the OpenAPI document', () => {
+        return get('/openapi.json')
+            .then(({ body }) => {
+                assert.ok(body.components.schemas.Error.properties.error.properties.code.enum.includes('upstream_failure'));
+                assert.deepEqual(body.paths['/stations/{id}/departures'].get.responses[502], { $ref: '#/components/responses/Error' });
+            });
+    });
+
+    test('answers programming errors with 500 without their message', () => {
+        const original = client.searchStations;
+        client.searchStations = () => Promise.reject(new TypeError("Cannot read properties of undefined (reading 'location')"));
+        return get('/stations?q=Wien')
+            .finally(() => {
+                client.searchStations = original;
+            })
+            .then(({ status, body }) => {
+                assert.equal(status, 500);
+                assert.equal(body.error.code, 'internal_error');
+                assert.equal(body.error.message, 'Internal server error');
+            });
+    });
+});
+
+describe('ApiServer streams', () => {
+    let server;
+    let baseUrl;
+    const transport = new FixtureTransport({ 'stboard.exe': 'stboard-dep.txt', 'ajax-getstop.exe': 'ajax-getstop-wien.txt', 'mgate.exe#LocMatch': 'mgate-loc-match-wien.json' });
+    const client = new OebbClient({ transport, rateLimit: false, retry: false });
+
+    before(() => {
+        server = new ApiServer({ client, streamInterval: 20 });
+        return server.listen(0).then(address => {
+            baseUrl = `http://127.0.0.1:${address.port}`;
+        });
+    });
+
+    after(() => server.close());
+
+    // Open a stream and collect its events until `count` of them arrived
+    const stream = (path, count) => new Promise((resolve, reject) => {
+        const request = http.get(`${baseUrl}${path}`, response => {
+            const events = [];
+            let buffer = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => {
+                buffer += chunk;
+                const blocks = buffer.split('\n\n');
+                buffer = blocks.pop();
+                for (const block of blocks) {
+                    const type = block.match(/^event: (.*)$/m);
+                    const data = block.match(/^data: (.*)$/m);
+                    if (type) {
+                        events.push({ type: type[1], data: JSON.parse(data[1]) });
+                    }
+                }
+                if (events.length >= count) {
+                    resolve({ response, events, close: () => request.destroy() });
+                }
+            });
+        });
+        request.on('error', reject);
+    });
+
+    const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+    test('sends the board as a snapshot event', () => {
+        return stream('/stations/1290401/departures/stream', 1)
+            .then(({ response, events, close }) => {
+                close();
+                assert.equal(response.headers['content-type'], 'text/event-stream; charset=utf-8');
+                assert.equal(events[0].type, 'snapshot');
+                assert.equal(events[0].data.stationId, '1290401');
+                assert.ok(events[0].data.entries.some(entry => entry.name === 'RJ 373'));
+            })
+            .then(settle);
+    });
+
+    test('shares one poll between the clients of a station and closes it after they left', () => {
+        return Promise.all([stream('/stations/1290401/departures/stream', 1), stream('/stations/1290401/departures/stream', 1)])
+            .then(streams => {
+                assert.equal(server.feeds.size, 1);
+                const polls = transport.requestsTo('stboard.exe').length;
+                return settle()
+                    .then(() => {
+                        // Both clients read the same polls, so there is at most one per interval
+                        assert.ok(transport.requestsTo('stboard.exe').length - polls <= 3);
+                        streams.forEach(({ close }) => close());
+                    });
+            })
+            .then(settle)
+            .then(() => {
+                assert.equal(server.feeds.size, 0);
+                assert.equal(server.streams.size, 0);
+                const polls = transport.requestsTo('stboard.exe').length;
+                return settle().then(() => assert.equal(transport.requestsTo('stboard.exe').length, polls));
+            });
+    });
+
+    test('leaves no live board behind for a client that left before the stream opened', () => {
+        const original = client.resolveStation;
+        let resolveStation;
+        client.resolveStation = station => new Promise(resolve => {
+            resolveStation = () => resolve(original.call(client, station));
+        });
+        const polls = transport.requestsTo('stboard.exe').length;
+        const request = http.get(`${baseUrl}/stations/1290401/arrivals/stream`);
+        request.on('error', () => {});
+        return settle()
+            .then(() => {
+                request.destroy();
+                return settle();
+            })
+            .then(() => {
+                resolveStation();
+                return settle();
+            })
+            .finally(() => {
+                client.resolveStation = original;
+            })
+            .then(() => {
+                assert.equal(server.feeds.size, 0);
+                assert.equal(server.streams.size, 0);
+                assert.equal(transport.requestsTo('stboard.exe').length, polls);
+            });
+    });
+});
+
+describe('errorBody', () => {
+    test('maps library errors to status codes', () => {
+        assert.equal(errorBody(new ValidationError('bad', { parameter: 'date' })).error.status, 400);
+        assert.equal(errorBody(new StationNotFoundError('none', { query: 'Wien Hbx' })).error.query, 'Wien Hbx');
+        assert.equal(errorBody(new NetworkError('down')).error.status, 504);
+        assert.equal(errorBody(new TypeError('x is not a function')).error.status, 500);
+    });
+
+    test('answers other library errors as an upstream failure', () => {
+        assert.deepEqual(errorBody(new OebbError('mgate error H9380: departure station too close to arrival station')).error, {
+            status: 502,
+            code: 'upstream_failure',
+            type: 'OebbError',
+            message: 'mgate error H9380: departure station too close to arrival station'
+        });
+        assert.equal(errorBody(new UpstreamChangedError('changed')).error.code, 'upstream_error');
+    });
+});
@@ -0,0 +1,133 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { EmailSink, PushSink, WebhookSink, renderTemplate } from '../lib/sinks.js';
+import { HttpStatusError } from '../lib/errors.js';
+import { startSmtpServer } from './helpers/smtp-server.js';
+
+const alert = {
+    type: 'delay',
+    train: 'RJ 373',
+    stationId: '1290401',
+    delayMinutes: 10,
+    title: 'RJ 373 delayed',
+    message: 'RJ 373 to Salzburg Hbf (20:58) is 10 min late, expected at 21:08'
+};
+
+describe('HTTP sinks', () => {
+    let server;
+    let baseUrl;
+    const received = [];
+
+    before(() => {
+        server = http.createServer((request, response) => {
+            const chunks = [];
+            request.on('data', chunk => chunks.push(chunk));
+            request.on('end', () => {
+                received.push({
+                    method: request.method,
+                    url: request.url,
+                    headers: request.headers,
+                    body: JSON.parse(Buffer.concat(chunks).toString() || 'null')
+                });
+                response.writeHead(request.url === '/broken' ? 500 : 200);
+                response.end();
+            });
+        });
+        return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            resolve();
+        }));
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    const last = () => received[received.length - 1];
+
+    test('WebhookSink posts the alert', () => {
+        return new WebhookSink({ url: `${baseUrl}/hook`, headers: { Authorization: 'Bearer abc' } }).send(alert)
+            .then(result => {
+                assert.deepEqual(result, { status: 200 });
+                assert.equal(last().method, 'POST');
+                assert.equal(last().headers.authorization, 'Bearer abc');
+                assert.equal(last().headers['user-agent'], 'oebb-direct');
+                assert.doesNotMatch(last().headers.accept || '', /javascript/);
+                assert.deepEqual(last().body, alert);
+            });
+    });
+
+    test('WebhookSink fills the body template', () => {
+        const template = { text: '{{title}}: {{delayMinutes}} min', delay: '{{delayMinutes}}', tags: ['{{train}}'] };
+        return new WebhookSink({ url: `${baseUrl}/hook`, method: 'PUT', template }).send(alert)
+            .then(() => {
+                assert.equal(last().method, 'PUT');
+                assert.deepEqual(last().body, { text: 'RJ 373 delayed: 10 min', delay: 10, tags: ['RJ 373'] });
+            });
+    });
+
+    test('WebhookSink rejects failed deliveries', () => {
+        return assert.rejects(new WebhookSink({ url: `${baseUrl}/broken` }).send(alert), HttpStatusError);
+    });
+
+    test('PushSink publishes to an ntfy topic', () => {
+        return new PushSink({ url: `${baseUrl}/`, topic: 'zug', token: 'tk' }).send({ ...alert, type: 'canceled' })
+            .then(() => {
+                assert.equal(last().url, '/');
+                assert.equal(last().headers.authorization, 'Bearer tk');
+                assert.deepEqual(last().body, { topic: 'zug', title: alert.title, message: alert.message, priority: 5, tags: ['warning'] });
+            });
+    });
+
+    test('PushSink sends Gotify messages', () => {
+        return new PushSink({ url: baseUrl, style: 'gotify', token: 'app', title: '[{{train}}]' }).send(alert)
+            .then(() => {
+                assert.equal(last().url, '/message');
+                assert.equal(last().headers['x-gotify-key'], 'app');
+                assert.equal(last().headers['user-agent'], 'oebb-direct');
+                assert.deepEqual(last().body, { title: '[RJ 373]', message: alert.message, priority: 5 });
+            });
+    });
+
+    test('PushSink checks its options', () => {
+        assert.throws(() => new PushSink({ url: baseUrl }), TypeError);
+        assert.throws(() => new PushSink({ url: baseUrl, style: 'pushover' }), TypeError);
+    });
+});
+
+describe('EmailSink', () => {
+    let server;
+
+    before(() => startSmtpServer().then(started => {
+        server = started;
+    }));
+
+    after(() => server.close());
+
+    test('mails the alert with the subject and text templates', () => {
+        const sink = new EmailSink({
+            host: '127.0.0.1',
+            port: server.port,
+            from: 'alerts@example.test',
+            to: 'pendler@example.test',
+            subject: 'Zug: {{title}}'
+        });
+        return sink.send(alert)
+            .then(result => {
+                assert.ok(result.messageId);
+                const [headers, body] = server.messages[0].split('\r\n\r\n');
+                assert.match(headers, /^Subject: Zug: RJ 373 delayed$/m);
+                assert.equal(Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString(), alert.message);
+            });
+    });
+});
+
+describe('renderTemplate', () => {
+    test('keeps single placeholders typed and follows dotted paths', () => {
+        const values = { delay: 7, train: { name: 'S 60' }, empty: null };
+        assert.equal(renderTemplate('{{delay}}', values), 7);
+        assert.equal(renderTemplate('{{ train.name }} +{{delay}}', values), 'S 60 +7');
+        assert.equal(renderTemplate('{{missing}}', values), null);
+        assert.equal(renderTemplate('[{{empty}}{{missing.deep}}]', values), '[]');
+        assert.equal(renderTemplate(5, values), 5);
+    });
+});
@@ -0,0 +1,87 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { sendMail } from '../lib/smtp.js';
+import { SmtpError } from '../lib/errors.js';
+import { startSmtpServer } from './helpers/smtp-server.js';
+
+const message = {
+    from: 'Zugalarm <alerts@example.test>',
+    to: ['pendler@example.test', 'Team <team@example.test>'],
+    subject: 'RJ 373 verspätet',
+    text: 'RJ 373 to Salzburg Hbf (20:58) is 10 min late'
+};
+
+describe('sendMail', () => {
+    let server;
+
+    afterEach(() => server.close());
+
+    describe('without authentication', () => {
+        beforeEach(() => startSmtpServer().then(started => {
+            server = started;
+        }));
+
+        test('hands the message to the server', () => {
+            return sendMail({ host: '127.0.0.1', port: server.port, name: 'oebb.test' }, message)
+                .then(result => {
+                    assert.match(result.messageId, /^<[\w-]+@oebb\.test>$/);
+                    assert.equal(result.response, '250 2.0.0 Ok: queued');
+                    assert.deepEqual(server.commands.slice(0, 5), [
+                        'EHLO oebb.test',
+                        'MAIL FROM:<alerts@example.test>',
+                        'RCPT TO:<pendler@example.test>',
+                        'RCPT TO:<team@example.test>',
+                        'DATA'
+                    ]);
+
+                    const [headers, body] = server.messages[0].split('\r\n\r\n');
+                    assert.match(headers, /^Subject: =\?UTF-8\?B\?UkogMzczIHZlcnNww6R0ZXQ=\?=$/m);
+                    assert.match(headers, /^To: pendler@example\.test, Team <team@example\.test>$/m);
+                    assert.equal(Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString(), message.text);
+                });
+        });
+    });
+
+    describe('with credentials on a server without STARTTLS', () => {
+        beforeEach(() => startSmtpServer({ extensions: ['AUTH PLAIN'] }).then(started => {
+            server = started;
+        }));
+
+        test('refuses to send them unencrypted', () => {
+            const options = { host: '127.0.0.1', port: server.port, user: 'pu', pass: 'secret' };
+            return assert.rejects(sendMail(options, message), error => {
+                assert.ok(error instanceof SmtpError);
+                assert.equal(error.code, 'EINSECURE');
+                return true;
+            })
+                .then(() => {
+                    assert.ok(server.commands.every(command => !command.startsWith('AUTH')), server.commands.join(', '));
+                    assert.equal(server.messages.length, 0);
+                });
+        });
+
+        test('sends them with allowInsecureAuth', () => {
+            const options = { host: '127.0.0.1', port: server.port, user: 'pu', pass: 'secret', allowInsecureAuth: true };
+            return sendMail(options, message)
+                .then(() => {
+                    assert.ok(server.commands.includes(`AUTH PLAIN ${Buffer.from('\0pu\0secret').toString('base64')}`));
+                    assert.equal(server.messages.length, 1);
+                });
+        });
+    });
+
+    describe('with a rejecting server', () => {
+        beforeEach(() => startSmtpServer({ replies: { RCPT: '550 5.1.1 No such user' } }).then(started => {
+            server = started;
+        }));
+
+        test('rejects with the reply code', () => {
+            return assert.rejects(sendMail({ host: '127.0.0.1', port: server.port }, message), error => {
+                assert.ok(error instanceof SmtpError);
+                assert.equal(error.code, 550);
+                assert.match(error.message, /No such user/);
+                return true;
+            });
+        });
+    });
+});
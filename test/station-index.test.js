@@ -0,0 +1,144 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { StationIndex, normalizeStationName } from '../lib/station-index.js';
+import { OebbClient } from '../lib/client.js';
+import { FixtureTransport } from './helpers/fixture-transport.js';
+
+const file = new URL('../station_response.json', import.meta.url).pathname;
+const numbers = stations => stations.map(station => station.number);
+
+describe('StationIndex', () => {
+    const loaded = StationIndex.load(file);
+
+    test('reads station_response.json records', () => {
+        return loaded.then(index => {
+            assert.equal(index.size, 15);
+            const area = index.get(1190100);
+            assert.equal(area.name, 'Wien');
+            assert.equal(area.type, 'area');
+            assert.deepEqual(area.location, { longitude: 16.372134, latitude: 48.208547, distanceInKm: 0 });
+            const station = index.get('1290401');
+            assert.equal(station.name, 'Wien Hbf (U)');
+            assert.equal(station.type, 'station');
+            assert.equal(station.meta, 'Wien Hbf (U)');
+            assert.equal(index.get('9999999'), undefined);
+        });
+    });
+
+    test('hands out copies', () => {
+        return loaded.then(index => {
+            index.get('1290401').location.latitude = 0;
+            index.search('Wien Hbf')[0].name = 'Graz';
+            assert.equal(index.get('1290401').location.latitude, 48.185507);
+            assert.equal(index.get('1290401').name, 'Wien Hbf (U)');
+        });
+    });
+
+    test('finds names with abbreviations, without diacritics and with typos', () => {
+        return loaded.then(index => {
+            assert.deepEqual(numbers(index.search('Wien Hauptbahnhof')), ['1290401']);
+            assert.deepEqual(numbers(index.search('wien hbf')), ['1290401']);
+            assert.deepEqual(numbers(index.search('Hutteldorf')), ['1191401', '1291401']);
+            assert.deepEqual(numbers(index.search('Wien Hüteldorf')), ['1191401', '1291401']);
+            assert.deepEqual(numbers(index.search('Brunner Strasse')), ['1292106']);
+            assert.deepEqual(index.search(''), []);
+        });
+    });
+
+    test('ranks exact matches first and applies limit and types', () => {
+        return loaded.then(index => {
+            assert.equal(index.search('Wien')[0].number, '1190100');
+            assert.equal(index.search('Wien', { limit: 3 }).length, 3);
+            assert.deepEqual(numbers(index.search('Hernals', { types: ['station'] })), ['1291701']);
+            assert.deepEqual(numbers(index.search('Wien Hernals', { types: ['area'] })), ['1191701']);
+        });
+    });
+
+    test('matches only word starts without fuzzy search', () => {
+        return loaded.then(index => {
+            assert.deepEqual(numbers(index.prefix('Wien He')), ['1191701', '1191901', '1291903', '1291701']);
+            assert.deepEqual(index.prefix('Wien Hbx'), []);
+            assert.deepEqual(index.search('Wien Hüteldorf', { fuzzy: false }), []);
+        });
+    });
+
+    test('lists stations around a point within the radius', () => {
+        return StationIndex.load(file).then(index => {
+            index.add([{ number: '1290999', name: 'Somewhere', location: { longitude: 0, latitude: 0, distanceInKm: 0 } }]);
+            const stations = index.nearby(48.2496, 16.3655, { radiusMeters: 1000 });
+            assert.deepEqual(numbers(stations), ['1291903', '1191901']);
+            assert.ok(stations[0].location.distanceInKm < stations[1].location.distanceInKm);
+            assert.deepEqual(numbers(index.nearby(48.2496, 16.3655, { limit: 1 })), ['1291903']);
+            // Stations without coordinates are never near
+            assert.ok(!numbers(index.nearby(0, 0)).includes('1290999'));
+            assert.equal(index.get('1291903').location.distanceInKm, 0);
+        });
+    });
+
+    test('updates stations by ID and skips records without one', () => {
+        const index = new StationIndex([{ number: 1290401, name: 'Wien Hbf', longitude: 16375326, latitude: 48185507 }]);
+        index.add([
+            { number: '1290401', name: 'Wien Hbf (U)', location: { longitude: 16.375326, latitude: 48.185507, distanceInKm: 0 } },
+            { name: 'Nowhere' },
+            null
+        ]);
+        assert.equal(index.size, 1);
+        assert.equal(index.get('1290401').name, 'Wien Hbf (U)');
+    });
+
+    test('saves and loads the index', () => {
+        let directory;
+        return mkdtemp(path.join(tmpdir(), 'oebb-index-'))
+            .then(created => {
+                directory = created;
+                return loaded.then(index => index.save(path.join(directory, 'stations.json')));
+            })
+            .then(() => StationIndex.load(path.join(directory, 'stations.json')))
+            .then(copy => loaded.then(index => assert.deepEqual(copy.toJSON(), index.toJSON())))
+            .finally(() => rm(directory, { recursive: true, force: true }));
+    });
+});
+
+describe('normalizeStationName', () => {
+    test('drops case, diacritics and flags and expands abbreviations', () => {
+        assert.equal(normalizeStationName('Wien Hbf (U)'), 'wien hauptbahnhof');
+        assert.equal(normalizeStationName('Wien Brünner Straße Bahnhst'), 'wien brunner strasse bahnhaltestelle');
+        assert.equal(normalizeStationName('St. Pölten Hbf'), 'sankt polten hauptbahnhof');
+    });
+});
+
+describe('OebbClient with a station index', () => {
+    test('searches the index offline without requests', () => {
+        const transport = new FixtureTransport({});
+        const empty = new OebbClient({ transport, offline: true, rateLimit: false });
+        return StationIndex.load(file)
+            .then(index => {
+                const client = new OebbClient({ transport, stations: index, offline: true, rateLimit: false });
+                return Promise.all([client.searchStations('Wien Hbf', 5), empty.searchStations('Wien Hbf', 5)]);
+            })
+            .then(([found, none]) => {
+                assert.deepEqual(numbers(found), ['1290401']);
+                assert.deepEqual(none, []);
+                assert.equal(transport.requests.length, 0);
+            });
+    });
+
+    test('falls back to the index when the search fails', () => {
+        const transport = new FixtureTransport({
+            'ajax-getstop.exe': { status: 503, body: 'Service Unavailable' },
+            'mgate.exe#LocMatch': 'mgate-loc-match-wien.json'
+        });
+        return StationIndex.load(file)
+            .then(index => {
+                const client = new OebbClient({ transport, stations: index, rateLimit: false, retry: false });
+                return client.searchStations('Hutteldorf', 5);
+            })
+            .then(stations => {
+                assert.deepEqual(numbers(stations), ['1191401', '1291401']);
+                assert.equal(transport.requestsTo('ajax-getstop.exe').length, 1);
+            });
+    });
+});
@@ -0,0 +1,66 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { fromVienna, parseDateTime, toIsoString, viennaOffset, viennaParts } from '../lib/time.js';
+
+describe('fromVienna', () => {
+    test('converts summer and winter times', () => {
+        assert.equal(fromVienna(2025, 5, 7, 20, 58).toISOString(), '2025-05-07T18:58:00.000Z');
+        assert.equal(fromVienna(2025, 1, 15, 8, 5).toISOString(), '2025-01-15T07:05:00.000Z');
+    });
+
+    test('moves times in the spring DST gap forward by an hour', () => {
+        assert.equal(toIsoString(fromVienna(2025, 3, 30, 1, 59)), '2025-03-30T01:59:00+01:00');
+        assert.equal(toIsoString(fromVienna(2025, 3, 30, 2, 30)), '2025-03-30T03:30:00+02:00');
+        assert.equal(toIsoString(fromVienna(2025, 3, 30, 3, 0)), '2025-03-30T03:00:00+02:00');
+    });
+
+    test('takes the second occurrence of the hour repeated in autumn', () => {
+        assert.equal(fromVienna(2025, 10, 26, 2, 30).toISOString(), '2025-10-26T01:30:00.000Z');
+        assert.equal(toIsoString(fromVienna(2025, 10, 26, 1, 59)), '2025-10-26T01:59:00+02:00');
+        assert.equal(toIsoString(fromVienna(2025, 10, 26, 3, 0)), '2025-10-26T03:00:00+01:00');
+    });
+
+    test('rolls times and days out of range over to the next day', () => {
+        assert.equal(toIsoString(fromVienna(2025, 5, 7, 24, 7)), '2025-05-08T00:07:00+02:00');
+        assert.equal(toIsoString(fromVienna(2025, 12, 32, 0, 30)), '2026-01-01T00:30:00+01:00');
+        // From the last summer day to the first winter day
+        assert.equal(toIsoString(fromVienna(2025, 10, 25, 26, 30)), '2025-10-26T02:30:00+01:00');
+    });
+});
+
+describe('viennaParts', () => {
+    test('reads the Vienna wall clock on both sides of midnight', () => {
+        assert.deepEqual(viennaParts(new Date('2025-05-07T21:59:00Z')), { year: 2025, month: 5, day: 7, hour: 23, minute: 59, second: 0 });
+        assert.deepEqual(viennaParts(new Date('2025-05-07T22:07:00Z')), { year: 2025, month: 5, day: 8, hour: 0, minute: 7, second: 0 });
+        assert.deepEqual(viennaParts(new Date('2025-12-31T23:30:00Z')), { year: 2026, month: 1, day: 1, hour: 0, minute: 30, second: 0 });
+    });
+
+    test('reads both occurrences of the repeated autumn hour as 02:30', () => {
+        const first = new Date('2025-10-26T00:30:00Z');
+        const second = new Date('2025-10-26T01:30:00Z');
+        assert.equal(viennaParts(first).hour, 2);
+        assert.equal(viennaParts(second).hour, 2);
+        assert.equal(viennaOffset(first), 120);
+        assert.equal(viennaOffset(second), 60);
+    });
+
+    test('skips the spring DST gap', () => {
+        assert.equal(viennaParts(new Date('2025-03-30T00:59:00Z')).hour, 1);
+        assert.equal(viennaParts(new Date('2025-03-30T01:00:00Z')).hour, 3);
+    });
+});
+
+describe('parseDateTime', () => {
+    test('reads times without an offset as Vienna time', () => {
+        assert.equal(toIsoString(parseDateTime('2025-03-30T02:30')), '2025-03-30T03:30:00+02:00');
+        assert.equal(toIsoString(parseDateTime('2025-10-26 02:30')), '2025-10-26T02:30:00+01:00');
+        assert.equal(toIsoString(parseDateTime('23:30', new Date('2025-05-07T22:30:00Z'))), '2025-05-08T23:30:00+02:00');
+        assert.equal(parseDateTime('2025-05-07T20:58:00Z').toISOString(), '2025-05-07T20:58:00.000Z');
+    });
+
+    test('rejects invalid values', () => {
+        assert.equal(parseDateTime('24:00'), null);
+        assert.equal(parseDateTime('2025-13-01'), null);
+        assert.equal(parseDateTime('Wed May 07 2025 20:58'), null);
+    });
+});
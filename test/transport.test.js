@@ -0,0 +1,156 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { FetchTransport } from '../lib/transport.js';
+import { HttpClient, buildUrl, DEFAULT_HEADERS } from '../lib/http-client.js';
+import { HttpStatusError, NetworkError, ParseError } from '../lib/errors.js';
+import { RequestScheduler } from '../lib/scheduler.js';
+
+describe('FetchTransport', () => {
+    let server;
+    let baseUrl;
+
+    before(() => {
+        server = http.createServer((request, response) => {
+            const chunks = [];
+            request.on('data', chunk => chunks.push(chunk));
+            request.on('end', () => {
+                if (request.url === '/latin1') {
+                    response.writeHead(200, { 'Content-Type': 'text/javascript; charset=ISO-8859-1' });
+                    response.end(Buffer.from('SLs.sls={"value":"St. Pölten Hbf"};', 'latin1'));
+                    return;
+                }
+                if (request.url === '/slow') {
+                    setTimeout(() => response.end('late'), 500);
+                    return;
+                }
+                response.writeHead(201, { 'Content-Type': 'application/json', 'X-Test': 'yes' });
+                response.end(JSON.stringify({
+                    method: request.method,
+                    url: request.url,
+                    agent: request.headers['user-agent'],
+                    body: Buffer.concat(chunks).toString()
+                }));
+            });
+        });
+        return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            resolve();
+        }));
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    test('resolves to status, lower-cased headers, body text and URL', () => {
+        return new FetchTransport().request({ url: `${baseUrl}/echo?a=1`, method: 'POST', headers: { 'User-Agent': 'test' }, body: 'payload' })
+            .then(response => {
+                assert.equal(response.status, 201);
+                assert.equal(response.headers['x-test'], 'yes');
+                assert.equal(response.url, `${baseUrl}/echo?a=1`);
+                assert.deepEqual(JSON.parse(response.body), { method: 'POST', url: '/echo?a=1', agent: 'test', body: 'payload' });
+            });
+    });
+
+    test('decodes bodies in the announced charset', () => {
+        return new FetchTransport().request({ url: `${baseUrl}/latin1` })
+            .then(response => assert.equal(response.body, 'SLs.sls={"value":"St. Pölten Hbf"};'));
+    });
+
+    test('HttpClient times out slow responses with a NetworkError', () => {
+        const client = new HttpClient({ timeout: 50 });
+        return assert.rejects(client.getText(`${baseUrl}/slow`), error => {
+            assert.ok(error instanceof NetworkError);
+            assert.equal(error.code, 'ETIMEDOUT');
+            assert.equal(error.endpoint, `${baseUrl}/slow`);
+            return true;
+        });
+    });
+});
+
+describe('HttpClient', () => {
+    const transport = respond => ({
+        requests: [],
+        request(request) {
+            this.requests.push(request);
+            return Promise.resolve(respond(request));
+        }
+    });
+
+    test('sends the default headers and builds the query string', () => {
+        const fake = transport(request => ({ status: 200, headers: {}, body: 'ok', url: request.url }));
+        const client = new HttpClient({ transport: fake, headers: { 'X-Client': 'oebb' } });
+        return client.getText('https://example.test/bin/stboard.exe/dn', { evaId: '1290401', dirInput: undefined, time: '20:58' })
+            .then(body => {
+                assert.equal(body, 'ok');
+                const [request] = fake.requests;
+                assert.equal(request.url, 'https://example.test/bin/stboard.exe/dn?evaId=1290401&time=20%3A58');
+                assert.equal(request.method, 'GET');
+                assert.equal(request.headers['User-Agent'], DEFAULT_HEADERS['User-Agent']);
+                assert.equal(request.headers['X-Client'], 'oebb');
+                assert.ok(request.signal instanceof AbortSignal);
+            });
+    });
+
+    test('posts JSON and parses the JSON response', () => {
+        const fake = transport(request => ({ status: 200, headers: {}, body: request.body, url: request.url }));
+        return new HttpClient({ transport: fake }).postJson('https://example.test/bin/mgate.exe', { svcReqL: [] })
+            .then(body => {
+                assert.deepEqual(body, { svcReqL: [] });
+                assert.equal(fake.requests[0].headers['Content-Type'], 'application/json');
+            });
+    });
+
+    test('rejects non-2xx responses with an HttpStatusError', () => {
+        const fake = transport(request => ({ status: 503, headers: { 'retry-after': '2' }, body: 'Service Unavailable', url: request.url }));
+        return assert.rejects(new HttpClient({ transport: fake }).getText('https://example.test/x'), error => {
+            assert.ok(error instanceof HttpStatusError);
+            assert.equal(error.status, 503);
+            assert.equal(error.headers['retry-after'], '2');
+            assert.equal(error.bodySnippet, 'Service Unavailable');
+            return true;
+        });
+    });
+
+    test('rejects invalid JSON with a ParseError', () => {
+        const fake = transport(request => ({ status: 200, headers: {}, body: '{"svcResL":', url: request.url }));
+        return assert.rejects(new HttpClient({ transport: fake }).postJson('https://example.test/x', {}), ParseError);
+    });
+
+    test('wraps transport failures in a NetworkError with the system code', () => {
+        const fake = { request: () => Promise.reject(Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNRESET' } })) };
+        return assert.rejects(new HttpClient({ transport: fake }).getText('https://example.test/x'), error => {
+            assert.ok(error instanceof NetworkError);
+            assert.equal(error.code, 'ECONNRESET');
+            assert.equal(error.cause.message, 'fetch failed');
+            return true;
+        });
+    });
+
+    test('aborts requests through the client signal', () => {
+        const controller = new AbortController();
+        const fake = {
+            request: request => new Promise((resolve, reject) => {
+                request.signal.addEventListener('abort', () => reject(request.signal.reason));
+                controller.abort(new Error('shutdown'));
+            })
+        };
+        const result = new HttpClient({ transport: fake, signal: controller.signal }).getText('https://example.test/x');
+        return assert.rejects(result, error => error instanceof NetworkError && error.code === 'ABORTED');
+    });
+
+    test('queues requests on the scheduler', () => {
+        const scheduler = new RequestScheduler({ maxConcurrency: 1, requestsPerSecond: Infinity });
+        const fake = transport(request => ({ status: 200, headers: {}, body: '', url: request.url }));
+        const client = new HttpClient({ transport: fake, scheduler });
+        return Promise.all([client.getText('https://example.test/a'), client.getText('https://example.test/b')])
+            .then(() => assert.equal(scheduler.metrics().completed, 2));
+    });
+});
+
+describe('buildUrl', () => {
+    test('skips empty values and appends to existing queries', () => {
+        assert.equal(buildUrl('https://example.test/x'), 'https://example.test/x');
+        assert.equal(buildUrl('https://example.test/x', { a: null }), 'https://example.test/x');
+        assert.equal(buildUrl('https://example.test/x?L=vs', { a: 1, b: 'ä' }), 'https://example.test/x?L=vs&a=1&b=%C3%A4');
+    });
+});
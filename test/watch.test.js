@@ -0,0 +1,93 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { OebbClient } from '../lib/client.js';
+import { Departure, formatBoardDateTime } from '../lib/board-entry.js';
+import { TrainNotFoundError } from '../lib/errors.js';
+import { BoardWatcher, TrainWatcher, WatchEventType } from '../lib/watch.js';
+import { ExitCode, main } from '../lib/cli.js';
+import { FixtureTransport } from './helpers/fixture-transport.js';
+
+const date = new Date('2025-05-07T20:50:00+02:00');
+
+const createClient = () => new OebbClient({
+    transport: new FixtureTransport({ 'stboard.exe': 'stboard-dep.txt' }),
+    rateLimit: false,
+    retry: false
+});
+
+// Board entry leaving `minutes` from now, `delay` minutes late
+function departure(id, name, minutes, delay = 0) {
+    const [da, ti] = formatBoardDateTime(new Date(Date.now() + minutes * 60000)).split(' ');
+    const rt = delay ? { dlm: String(delay) } : false;
+    return new Departure({ id, pr: name, da, ti, tr: '1', lastStop: 'Salzburg Hbf', rt }, '1290401');
+}
+
+describe('BoardWatcher', () => {
+    test('takes the first poll as the baseline', () => {
+        const boards = [
+            [departure('1', 'RJ 373', 10, 5), departure('2', 'S 60', 20), departure('3', 'R 2', -5)],
+            [departure('1', 'RJ 373', 10, 5), departure('2', 'S 60', 20, 3), departure('4', 'REX 7', 30, 2)]
+        ];
+        const watcher = new BoardWatcher(() => Promise.resolve(boards.shift()), { interval: 1, maxInterval: 1 });
+        const events = [];
+        watcher.on('change', event => events.push([event.type, event.entry.name]));
+        watcher.on('update', () => {
+            if (boards.length === 0) {
+                watcher.stop();
+            }
+        });
+        return new Promise(resolve => watcher.on('end', resolve))
+            .then(() => {
+                assert.deepEqual(events, [
+                    [WatchEventType.ADDED, 'REX 7'],
+                    [WatchEventType.DELAY_CHANGED, 'REX 7'],
+                    [WatchEventType.DELAY_CHANGED, 'S 60']
+                ]);
+            });
+    });
+});
+
+describe('TrainWatcher', () => {
+    test('stops with TrainNotFoundError when the first poll misses the train', () => {
+        const watcher = createClient().watchTrain('1290401', 'IC 999', { date, interval: 10 });
+        const errors = [];
+        watcher.on('error', error => errors.push(error));
+        return new Promise(resolve => watcher.on('end', resolve))
+            .then(() => {
+                assert.equal(errors.length, 1);
+                assert.ok(errors[0] instanceof TrainNotFoundError);
+                assert.equal(errors[0].trainName, 'IC 999');
+            });
+    });
+
+    test('stops once the train is canceled', () => {
+        const canceled = new Departure({ ...departure('2', 'RJX 166', 20).raw, rt: { status: 'Ausfall' } }, '1290401');
+        let polls = 0;
+        const load = () => {
+            polls++;
+            return Promise.resolve([departure('1', 'RJ 373', 10), canceled]);
+        };
+        const watcher = new TrainWatcher(load, 'RJX 166', { interval: 1, maxInterval: 1 });
+        const events = [];
+        watcher.on('change', event => events.push(event.type));
+        return new Promise(resolve => watcher.on('end', resolve))
+            .then(() => new Promise(resolve => setTimeout(resolve, 20)))
+            .then(() => {
+                assert.deepEqual(events, [WatchEventType.CANCELED]);
+                assert.equal(watcher.stopped, true);
+                assert.equal(polls, 1);
+            });
+    });
+
+    test('makes the CLI exit with the canceled code', () => {
+        const sink = { isTTY: false, write: () => {} };
+        return main(['watch', '1290401', 'RJX 166', '--time', '2025-05-07T20:50'], { client: createClient(), stdout: sink, stderr: sink, env: {} })
+            .then(code => assert.equal(code, ExitCode.CANCELED));
+    });
+
+    test('makes the CLI exit with the not found code', () => {
+        const sink = { isTTY: false, write: () => {} };
+        return main(['watch', '1290401', 'IC 999', '--time', '2025-05-07T20:50'], { client: createClient(), stdout: sink, stderr: sink, env: {} })
+            .then(code => assert.equal(code, ExitCode.NOT_FOUND));
+    });
+});